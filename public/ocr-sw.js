@@ -0,0 +1,45 @@
+/**
+ * File: /public/ocr-sw.js
+ *
+ * Service worker that keeps the Tesseract engine (worker script, WASM core)
+ * and language data available offline. Only OCR assets are handled; every
+ * other request goes straight to the network.
+ */
+
+const CACHE_NAME = "splitly-ocr-v1";
+
+function isOcrAsset(url) {
+  if (url.origin === self.location.origin) {
+    return url.pathname.startsWith("/tessdata/");
+  }
+  return url.hostname === "cdn.jsdelivr.net" && /tesseract/.test(url.pathname);
+}
+
+self.addEventListener("install", () => self.skipWaiting());
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(keys.filter((key) => key !== CACHE_NAME).map((key) => caches.delete(key)))
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+// Cache-first: these files are versioned in their URLs and never change
+self.addEventListener("fetch", (event) => {
+  const url = new URL(event.request.url);
+  if (event.request.method !== "GET" || !isOcrAsset(url)) return;
+
+  event.respondWith(
+    caches.open(CACHE_NAME).then(async (cache) => {
+      const cached = await cache.match(event.request);
+      if (cached) return cached;
+      const response = await fetch(event.request);
+      if (response.ok) cache.put(event.request, response.clone());
+      return response;
+    })
+  );
+});
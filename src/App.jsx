@@ -1,5 +1,5 @@
 import React from "react";
-import { Routes, Route } from "react-router-dom";
+import { Routes, Route, Navigate } from "react-router-dom";
 import Navbar from "./components/Navbar";
 
 import Home from "./pages/Home";
@@ -14,6 +14,10 @@ import ReceiptHistory from "./pages/ReceiptHistory";
 import ReceiptAssign from "./pages/ReceiptAssign";
 import ConnectedAccounts from "./pages/ConnectedAccounts";
 import InputReceipt from "./pages/InputReceipt";
+import ImportReceipt from "./pages/ImportReceipt";
+import BatchUpload from "./pages/BatchUpload";
+import ReceiptDrafts from "./pages/ReceiptDrafts";
+import ItemCatalog from "./pages/ItemCatalog";
 import MySocialsPortal from "./pages/MySocialsPortal";
 
 import "./App.css";
@@ -34,8 +38,15 @@ function App() {
         <Route path="/dashboard" element={<Dashboard />} />
         <Route path="/receipt/input-receipt" element={<InputReceipt />} />
         <Route path="/receipt/upload" element={<UploadReceipt />} />
+        <Route path="/receipt/import" element={<ImportReceipt />} />
+        <Route path="/receipt/batch" element={<BatchUpload />} />
         <Route path="/receipt/history" element={<ReceiptHistory />} />
-        <Route path="/receipt/analysis" element={<ReceiptAnalysis />} />
+        <Route path="/receipt/drafts" element={<ReceiptDrafts />} />
+        <Route path="/receipt/catalog" element={<ItemCatalog />} />
+        <Route path="/receipt/:receiptId/analysis" element={<ReceiptAnalysis />} />
+        <Route path="/receipt/:receiptId/edit" element={<InputReceipt />} />
+        {/* Old bookmark: analysis now needs the draft's id */}
+        <Route path="/receipt/analysis" element={<Navigate to="/receipt/drafts" replace />} />
         <Route path="/receipt/assign/:userId" element={<ReceiptAssign />} />
         <Route path="/interactive-messenger" element={<InteractiveMessenger />} />
         <Route path="/final-calculation" element={<FinalCalculation />} />
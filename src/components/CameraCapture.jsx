@@ -0,0 +1,224 @@
+import { useState, useEffect, useRef } from "react";
+import PropTypes from "prop-types";
+import { detectReceiptInFrame } from "../utils/imagePreprocess";
+
+// How often a frame is checked for the receipt, in ms (kept low for slow phones)
+const DETECT_INTERVAL = 200;
+
+// Frames in a row the outline must hold still before the automatic shot (~1s)
+const STEADY_FRAMES = 5;
+
+// Largest corner movement between frames that still counts as steady, as a fraction of the frame
+const MAX_CORNER_SHIFT = 0.02;
+
+// Focus: at least this Laplacian variance, and close to the sharpest frame seen so far
+const MIN_SHARPNESS = 40;
+const SHARPNESS_RATIO = 0.8;
+
+const CORNERS = ["tl", "tr", "br", "bl"];
+
+function cornerShift(a, b) {
+  return Math.max(...CORNERS.map((c) => Math.hypot(a[c].x - b[c].x, a[c].y - b[c].y)));
+}
+
+/**
+ * CameraCapture:
+ * Full-screen camera view for photographing a receipt. The detected paper
+ * edges are outlined live; once the outline has held still for about a
+ * second and the frame is in focus, the shot is taken automatically (or the
+ * user can press the shutter). The photo is handed to `onCapture` as a File.
+ */
+export default function CameraCapture({ onCapture, onClose }) {
+  const videoRef = useRef(null);
+  const [quad, setQuad] = useState(null);
+  const [steadyCount, setSteadyCount] = useState(0);
+  const [autoCapture, setAutoCapture] = useState(true);
+  const [error, setError] = useState("");
+  const [ready, setReady] = useState(false);
+  const captured = useRef(false);
+
+  /**
+   * Opens the rear camera and stops it again when the view closes.
+   */
+  useEffect(() => {
+    let stream = null;
+    let cancelled = false;
+
+    const start = async () => {
+      try {
+        stream = await navigator.mediaDevices.getUserMedia({
+          video: {
+            facingMode: { ideal: "environment" },
+            width: { ideal: 1920 },
+            height: { ideal: 1080 },
+          },
+          audio: false,
+        });
+        if (cancelled) {
+          stream.getTracks().forEach((track) => track.stop());
+          return;
+        }
+        videoRef.current.srcObject = stream;
+        await videoRef.current.play();
+        setReady(true);
+      } catch (err) {
+        console.error("Error opening camera:", err);
+        setError(
+          err.name === "NotAllowedError"
+            ? "Camera access was denied. Allow it in your browser settings, or use “Take Photo” instead."
+            : "Could not open the camera. Use “Take Photo” instead."
+        );
+      }
+    };
+    start();
+
+    return () => {
+      cancelled = true;
+      if (stream) stream.getTracks().forEach((track) => track.stop());
+    };
+  }, []);
+
+  /**
+   * Grabs the current video frame at full resolution as a JPEG file.
+   */
+  const takePhoto = () => {
+    const video = videoRef.current;
+    if (!video || !video.videoWidth || captured.current) return;
+    captured.current = true;
+
+    const canvas = document.createElement("canvas");
+    canvas.width = video.videoWidth;
+    canvas.height = video.videoHeight;
+    canvas.getContext("2d").drawImage(video, 0, 0);
+    canvas.toBlob(
+      (blob) => {
+        if (!blob) {
+          captured.current = false;
+          setError("Could not capture the photo. Please try again.");
+          return;
+        }
+        onCapture(new File([blob], `receipt-${Date.now()}.jpg`, { type: "image/jpeg" }));
+      },
+      "image/jpeg",
+      0.92
+    );
+  };
+  // The detection loop below reads the latest takePhoto without restarting
+  const takePhotoRef = useRef(takePhoto);
+  takePhotoRef.current = takePhoto;
+
+  /**
+   * Detection loop: outline the receipt and count how long it has been steady
+   * and sharp. Runs on a timer rather than every animation frame to leave the
+   * CPU for the camera itself.
+   */
+  useEffect(() => {
+    if (!ready) return;
+    let previous = null;
+    let steady = 0;
+    let bestSharpness = 0;
+    let timer = null;
+
+    const check = () => {
+      const video = videoRef.current;
+      if (!video || !video.videoWidth || captured.current) return;
+
+      const frame = detectReceiptInFrame(video, video.videoWidth, video.videoHeight);
+      if (frame.quad) {
+        bestSharpness = Math.max(bestSharpness, frame.sharpness);
+        const inFocus =
+          frame.sharpness >= Math.max(MIN_SHARPNESS, bestSharpness * SHARPNESS_RATIO);
+        const still = previous && cornerShift(previous, frame.quad) <= MAX_CORNER_SHIFT;
+        steady = still && inFocus ? steady + 1 : 0;
+      } else {
+        steady = 0;
+      }
+      previous = frame.quad;
+      setQuad(frame.quad);
+      setSteadyCount(steady);
+
+      if (autoCapture && steady >= STEADY_FRAMES) {
+        takePhotoRef.current();
+        return;
+      }
+      timer = setTimeout(check, DETECT_INTERVAL);
+    };
+    timer = setTimeout(check, DETECT_INTERVAL);
+
+    return () => clearTimeout(timer);
+  }, [ready, autoCapture]);
+
+  const locked = steadyCount > 0;
+  const hint = error
+    ? ""
+    : !ready
+    ? "Opening camera..."
+    : !quad
+    ? "Point the camera at the receipt on a darker surface."
+    : autoCapture
+    ? locked
+      ? "Hold still..."
+      : "Receipt found. Hold the phone steady."
+    : "Receipt found. Press the shutter when ready.";
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/90 flex flex-col items-center justify-center p-4">
+      <div className="relative w-full max-w-xl">
+        <video ref={videoRef} playsInline muted className="w-full h-auto rounded bg-black" />
+        {quad && (
+          <svg
+            viewBox="0 0 1 1"
+            preserveAspectRatio="none"
+            className="absolute inset-0 w-full h-full pointer-events-none"
+          >
+            <polygon
+              points={CORNERS.map((c) => `${quad[c].x},${quad[c].y}`).join(" ")}
+              fill={locked ? "rgba(34,197,94,0.15)" : "rgba(250,204,21,0.1)"}
+              stroke={locked ? "#22c55e" : "#facc15"}
+              strokeWidth="3"
+              vectorEffect="non-scaling-stroke"
+            />
+          </svg>
+        )}
+        {autoCapture && locked && (
+          <div className="absolute bottom-2 left-2 right-2 h-1 bg-white/30 rounded">
+            <div
+              className="h-1 bg-green-500 rounded transition-all"
+              style={{ width: `${Math.min(100, (steadyCount / STEADY_FRAMES) * 100)}%` }}
+            />
+          </div>
+        )}
+      </div>
+
+      <p className="text-white text-center mt-3 min-h-[1.5rem]">{error || hint}</p>
+
+      <div className="flex items-center gap-4 mt-3">
+        <button
+          onClick={onClose}
+          className="px-4 py-2 bg-gray-200 text-gray-800 font-semibold rounded shadow hover:bg-gray-300 transition"
+        >
+          Close
+        </button>
+        <button
+          onClick={takePhoto}
+          disabled={!ready}
+          aria-label="Take photo"
+          className="w-16 h-16 rounded-full border-4 border-white bg-white/20 hover:bg-white/40 disabled:opacity-40 transition"
+        />
+        <label className="flex items-center gap-2 text-white text-sm">
+          <input
+            type="checkbox"
+            checked={autoCapture}
+            onChange={(e) => setAutoCapture(e.target.checked)}
+          />
+          Auto-capture
+        </label>
+      </div>
+    </div>
+  );
+}
+
+CameraCapture.propTypes = {
+  onCapture: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired,
+};
@@ -0,0 +1,73 @@
+import PropTypes from "prop-types";
+import { formatMoney } from "../utils/helpers";
+
+/**
+ * Switching to dollars keeps what the percentage came to; a new percentage
+ * starts empty.
+ */
+function switchMode(charge, mode, amount) {
+  const value = mode === "amount" && amount > 0 ? amount.toFixed(2) : "";
+  return { ...charge, mode, value };
+}
+
+/**
+ * ChargeInput:
+ * A Tax or Tip field that takes either a dollar amount or a percentage,
+ * showing the dollars a percentage works out to. Extra controls (tip presets,
+ * base choice) go in `children`.
+ */
+export default function ChargeInput({ label, charge, amount, onChange, children }) {
+  const isPercent = charge.mode === "percent";
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-1">
+        <label className="block font-medium text-gray-700">{label}</label>
+        <div className="flex text-sm border border-purple-200 rounded overflow-hidden">
+          {[
+            ["amount", "$"],
+            ["percent", "%"],
+          ].map(([mode, symbol]) => (
+            <button
+              key={mode}
+              type="button"
+              onClick={() => charge.mode !== mode && onChange(switchMode(charge, mode, amount))}
+              className={`px-3 py-1 ${
+                charge.mode === mode ? "bg-purple-600 text-white" : "bg-white text-gray-700"
+              }`}
+              aria-pressed={charge.mode === mode}
+            >
+              {symbol}
+            </button>
+          ))}
+        </div>
+      </div>
+      <div className="flex items-center gap-2">
+        <input
+          type="text"
+          inputMode="decimal"
+          className="w-full bg-purple-50 border border-purple-200 rounded px-3 py-2 focus:outline-none focus:ring-2 focus:ring-purple-400"
+          placeholder={isPercent ? "0" : "0.00"}
+          value={charge.value}
+          onChange={(e) => onChange({ ...charge, value: e.target.value })}
+        />
+        {isPercent && <span className="text-gray-700">%</span>}
+      </div>
+      {isPercent && (
+        <p className="text-sm text-gray-500 mt-1">= {formatMoney(amount)}</p>
+      )}
+      {children}
+    </div>
+  );
+}
+
+ChargeInput.propTypes = {
+  label: PropTypes.string.isRequired,
+  charge: PropTypes.shape({
+    mode: PropTypes.oneOf(["amount", "percent"]).isRequired,
+    value: PropTypes.string.isRequired,
+  }).isRequired,
+  amount: PropTypes.number.isRequired,
+  onChange: PropTypes.func.isRequired,
+  children: PropTypes.node,
+};
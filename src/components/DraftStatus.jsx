@@ -0,0 +1,24 @@
+import PropTypes from "prop-types";
+
+const LABELS = {
+  saved: "✓ Draft saved",
+  saving: "Saving draft...",
+  offline: "Saved on this device, will sync when online",
+  error: "Couldn't save the draft",
+};
+
+/**
+ * DraftStatus:
+ * Small label for the autosave state from useDraftAutosave.
+ */
+export default function DraftStatus({ status }) {
+  return (
+    <span className={`text-sm ${status === "error" ? "text-red-600" : "text-gray-500"}`}>
+      {LABELS[status]}
+    </span>
+  );
+}
+
+DraftStatus.propTypes = {
+  status: PropTypes.oneOf(Object.keys(LABELS)).isRequired,
+};
@@ -0,0 +1,69 @@
+import PropTypes from "prop-types";
+import { formatDate, formatMoney } from "../utils/helpers";
+
+const REASONS = {
+  photo: "The photo matches one uploaded before.",
+  details: "The merchant or date and the total match an earlier receipt.",
+};
+
+/**
+ * DuplicateReceiptPrompt:
+ * Shown when an upload matches a receipt already in the user's history, or
+ * in the history of someone in their group (see findExistingReceipt). The
+ * user can open the existing receipt or save this one anyway.
+ */
+export default function DuplicateReceiptPrompt({ match, onOpenExisting, onContinue }) {
+  const { receipt, reason, shared } = match;
+  // When it was split/uploaded, not when the meal happened
+  const when = formatDate(receipt.createdAt || receipt.date);
+  const verb = receipt.status === "analyzed" ? "already split" : "already uploaded";
+  const details = [receipt.name, receipt.total ? formatMoney(receipt.total) : null]
+    .filter(Boolean)
+    .join(", ");
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/50 flex items-center justify-center p-4">
+      <div className="bg-white rounded shadow-lg p-6 w-full max-w-md">
+        <h3 className="text-lg font-bold text-gray-800 mb-2">Duplicate receipt?</h3>
+        <p className="text-gray-700 mb-2">
+          This looks like a receipt {shared ? "someone in your group" : "you"} {verb} on{" "}
+          {when}.
+        </p>
+        <p className="text-sm text-gray-500 mb-4">
+          {REASONS[reason]} {details && `(${details})`}
+        </p>
+        <div className="flex justify-end gap-3">
+          <button
+            onClick={onContinue}
+            className="px-4 py-2 bg-gray-200 text-gray-800 font-semibold rounded shadow hover:bg-gray-300 transition"
+          >
+            Continue Anyway
+          </button>
+          <button
+            onClick={onOpenExisting}
+            className="px-4 py-2 bg-blue-600 text-white font-semibold rounded shadow hover:bg-blue-700 transition"
+          >
+            Open Existing
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+DuplicateReceiptPrompt.propTypes = {
+  match: PropTypes.shape({
+    receipt: PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      name: PropTypes.string,
+      status: PropTypes.string,
+      total: PropTypes.number,
+      date: PropTypes.string,
+      createdAt: PropTypes.string,
+    }).isRequired,
+    reason: PropTypes.oneOf(["photo", "details"]).isRequired,
+    shared: PropTypes.bool,
+  }).isRequired,
+  onOpenExisting: PropTypes.func.isRequired,
+  onContinue: PropTypes.func.isRequired,
+};
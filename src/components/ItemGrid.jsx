@@ -0,0 +1,261 @@
+import { useEffect, useRef } from "react";
+import PropTypes from "prop-types";
+import { parsePastedItems } from "../utils/receiptImport";
+
+const COLUMNS = [
+  { field: "qty", label: "Qty", inputMode: "numeric", className: "w-16", header: "w-20" },
+  { field: "name", label: "Item / Label", inputMode: "text", className: "w-full min-w-[240px]", header: "w-1/2" },
+  { field: "price", label: "Price", inputMode: "decimal", className: "w-20", header: "w-24" },
+];
+
+const blankRow = () => ({ qty: "1", name: "", price: "" });
+
+const rowClass = "border-b last:border-none focus:outline-none focus:bg-purple-100";
+
+const isBlankRow = (item) =>
+  !String(item.name ?? "").trim() && !String(item.price ?? "").replace(/[$0.\s]/g, "");
+
+/**
+ * ItemGrid:
+ * The receipt editors' item table, usable from the keyboard like a spreadsheet.
+ * - Enter adds a row below and arrows and Tab move between cells. Esc
+ *   selects the whole row instead of a cell; a selected row is removed with
+ *   Delete or Backspace, arrows move the selection and Enter edits it again.
+ * - Ctrl/⌘+Delete in a cell removes its row when there is nothing after the
+ *   caret to delete (otherwise it deletes the next word, as usual).
+ * - Pasting several lines, tab- or comma-separated, adds a row per line.
+ * - `renderDetails` adds content under an item's name (add-ons, badges) and
+ *   `renderActions` buttons before its Remove button.
+ * - `onSplice(index, deleteCount, rows)` inserts and removes rows, like
+ *   Array.prototype.splice.
+ */
+export default function ItemGrid({
+  items,
+  onChange,
+  onSplice,
+  renderDetails,
+  renderActions,
+  rowClassName,
+  onRowFocus,
+}) {
+  const cellRefs = useRef(new Map());
+  const rowRefs = useRef(new Map());
+  // Cell to focus once the row it's in has been rendered: [row, column], or
+  // [row, null] to select the whole row
+  const pendingFocus = useRef(null);
+
+  useEffect(() => {
+    if (!pendingFocus.current) return;
+    const [row, col] = pendingFocus.current;
+    pendingFocus.current = null;
+    if (col === null) rowRefs.current.get(row)?.focus();
+    else cellRefs.current.get(`${row}:${col}`)?.focus();
+  });
+
+  const focusCell = (row, col) => {
+    const cell = cellRefs.current.get(`${row}:${col}`);
+    if (cell) {
+      cell.focus();
+      cell.select();
+      return true;
+    }
+    return false;
+  };
+
+  const insertRows = (index, deleteCount, rows) => {
+    onSplice(index, deleteCount, rows);
+    pendingFocus.current = [index + rows.length - 1, 1];
+  };
+
+  const handleAddRow = () => insertRows(items.length, 0, [blankRow()]);
+
+  /**
+   * Keys on a selected row (Esc from one of its cells).
+   */
+  const handleRowKeyDown = (e, row) => {
+    if (e.target !== e.currentTarget) return;
+    let handled = true;
+    switch (e.key) {
+      case "Delete":
+      case "Backspace":
+        onSplice(row, 1, []);
+        if (items.length > 1) pendingFocus.current = [Math.min(row, items.length - 2), null];
+        break;
+      case "ArrowUp":
+        rowRefs.current.get(row - 1)?.focus();
+        break;
+      case "ArrowDown":
+        rowRefs.current.get(row + 1)?.focus();
+        break;
+      case "Enter":
+        focusCell(row, 1);
+        break;
+      default:
+        handled = false;
+    }
+    if (handled) e.preventDefault();
+  };
+
+  const handleKeyDown = (e, row, col) => {
+    if (e.nativeEvent.isComposing) return;
+    const input = e.target;
+    const atStart = input.selectionStart === 0 && input.selectionEnd === 0;
+    const atEnd = input.selectionStart === input.value.length;
+    const lastCol = COLUMNS.length - 1;
+    let moved = false;
+
+    switch (e.key) {
+      case "Enter":
+        insertRows(row + 1, 0, [blankRow()]);
+        moved = true;
+        break;
+      case "ArrowUp":
+        moved = focusCell(row - 1, col);
+        break;
+      case "ArrowDown":
+        moved = focusCell(row + 1, col);
+        break;
+      case "ArrowLeft":
+        moved = atStart && (focusCell(row, col - 1) || focusCell(row - 1, lastCol));
+        break;
+      case "ArrowRight":
+        moved = atEnd && (focusCell(row, col + 1) || focusCell(row + 1, 0));
+        break;
+      case "Tab":
+        // Past the first or last cell, Tab leaves the grid as usual
+        moved = e.shiftKey
+          ? focusCell(row, col - 1) || focusCell(row - 1, lastCol)
+          : focusCell(row, col + 1) || focusCell(row + 1, 0);
+        break;
+      case "Escape":
+        rowRefs.current.get(row)?.focus();
+        moved = true;
+        break;
+      case "Delete":
+        if ((e.ctrlKey || e.metaKey) && atEnd && input.selectionStart === input.selectionEnd) {
+          onSplice(row, 1, []);
+          if (items.length > 1) pendingFocus.current = [Math.min(row, items.length - 2), col];
+          moved = true;
+        }
+        break;
+      default:
+        break;
+    }
+    if (moved) e.preventDefault();
+  };
+
+  /**
+   * Several lines (or tab-separated cells) pasted into any cell become rows:
+   * they fill this row if it's still blank and go below it otherwise.
+   */
+  const handlePaste = (e, row) => {
+    const text = e.clipboardData.getData("text");
+    if (!/[\n\t]/.test(text.trim())) return;
+    const rows = parsePastedItems(text);
+    if (rows.length === 0) return;
+    e.preventDefault();
+    if (isBlankRow(items[row])) {
+      insertRows(row, 1, rows);
+    } else {
+      insertRows(row + 1, 0, rows);
+    }
+  };
+
+  return (
+    <div>
+      {items.length > 0 ? (
+        <div className="overflow-auto">
+          <table className="w-full text-left text-sm">
+            <thead>
+              <tr className="bg-purple-100 text-purple-700 uppercase">
+                {COLUMNS.map((column) => (
+                  <th key={column.field} className={`p-2 font-semibold ${column.header}`}>
+                    {column.label}
+                  </th>
+                ))}
+                <th className="p-2 font-semibold w-24">Action</th>
+              </tr>
+            </thead>
+            <tbody>
+              {items.map((item, idx) => (
+                <tr
+                  key={idx}
+                  tabIndex={-1}
+                  ref={(el) => {
+                    if (el) rowRefs.current.set(idx, el);
+                    else rowRefs.current.delete(idx);
+                  }}
+                  onKeyDown={(e) => handleRowKeyDown(e, idx)}
+                  onFocus={onRowFocus ? () => onRowFocus(idx) : undefined}
+                  className={`${rowClass} ${rowClassName ? rowClassName(item, idx) : ""}`}
+                >
+                  {COLUMNS.map((column, col) => (
+                    <td key={column.field} className="p-2 align-top">
+                      <input
+                        type="text"
+                        inputMode={column.inputMode}
+                        ref={(el) => {
+                          if (el) cellRefs.current.set(`${idx}:${col}`, el);
+                          else cellRefs.current.delete(`${idx}:${col}`);
+                        }}
+                        className={`${column.className} bg-purple-50 border border-purple-200 rounded px-2 py-1 focus:outline-none focus:ring-2 focus:ring-purple-400`}
+                        value={item[column.field] ?? ""}
+                        placeholder={column.field === "price" ? "0.00" : undefined}
+                        onChange={(e) => onChange(idx, column.field, e.target.value)}
+                        onKeyDown={(e) => handleKeyDown(e, idx, col)}
+                        onPaste={(e) => handlePaste(e, idx)}
+                      />
+                      {column.field === "name" && renderDetails && renderDetails(item, idx)}
+                    </td>
+                  ))}
+                  <td className="p-2 align-top">
+                    <div className="flex gap-2">
+                      {renderActions && renderActions(item, idx)}
+                      <button
+                        onClick={() => onSplice(idx, 1, [])}
+                        className="px-3 py-1 bg-red-500 text-white rounded shadow hover:bg-red-600 transition"
+                      >
+                        Remove
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <p className="text-gray-500 mb-4">No items added yet.</p>
+      )}
+
+      <div className="mt-4 flex flex-wrap items-center gap-4">
+        <button
+          onClick={handleAddRow}
+          className="px-5 py-2 bg-blue-600 text-white font-semibold rounded shadow hover:bg-blue-700 transition"
+        >
+          + Add New Item
+        </button>
+        <span className="text-xs text-gray-500">
+          Enter adds a row · arrows/Tab move · Ctrl/⌘+Delete at the end of a cell, or
+          Esc then Delete, removes its row · paste lines from a spreadsheet to add many
+        </span>
+      </div>
+    </div>
+  );
+}
+
+ItemGrid.propTypes = {
+  items: PropTypes.arrayOf(
+    PropTypes.shape({
+      qty: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+      name: PropTypes.string,
+      price: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+    })
+  ).isRequired,
+  onChange: PropTypes.func.isRequired,
+  onSplice: PropTypes.func.isRequired,
+  renderDetails: PropTypes.func,
+  renderActions: PropTypes.func,
+  rowClassName: PropTypes.func,
+  onRowFocus: PropTypes.func,
+};
@@ -0,0 +1,76 @@
+import PropTypes from "prop-types";
+
+/**
+ * ItemModifiers:
+ * The add-ons under an item in the receipt editors ("+ Bacon 2.00"), each
+ * editable and removable, with a button to add one.
+ * - `onDetach(index)` is optional; when given, an add-on can be turned back
+ *   into an item of its own.
+ */
+export default function ItemModifiers({ modifiers, onChange, onDetach }) {
+  const handleModifierChange = (index, field, value) => {
+    onChange(
+      modifiers.map((modifier, idx) => (idx === index ? { ...modifier, [field]: value } : modifier))
+    );
+  };
+
+  const inputClass =
+    "bg-purple-50 border border-purple-200 rounded px-2 py-0.5 focus:outline-none focus:ring-2 focus:ring-purple-400";
+
+  return (
+    <div className="mt-1 space-y-1">
+      {modifiers.map((modifier, idx) => (
+        <div key={idx} className="flex items-center gap-2 text-xs pl-4">
+          <span className="text-gray-500">+</span>
+          <input
+            className={`flex-1 min-w-[120px] ${inputClass}`}
+            value={modifier.name}
+            placeholder="Add-on"
+            onChange={(e) => handleModifierChange(idx, "name", e.target.value)}
+          />
+          <input
+            type="text"
+            inputMode="decimal"
+            className={`w-16 ${inputClass}`}
+            value={modifier.price}
+            placeholder="0.00"
+            onChange={(e) => handleModifierChange(idx, "price", e.target.value)}
+          />
+          {onDetach && (
+            <button
+              onClick={() => onDetach(idx)}
+              title="Make this an item of its own"
+              className="text-purple-600 hover:underline"
+            >
+              detach
+            </button>
+          )}
+          <button
+            onClick={() => onChange(modifiers.filter((_, i) => i !== idx))}
+            title="Remove"
+            className="text-red-500 hover:underline"
+          >
+            remove
+          </button>
+        </div>
+      ))}
+      <button
+        onClick={() => onChange([...modifiers, { name: "", price: "0.00" }])}
+        className="pl-4 text-xs text-purple-600 hover:underline"
+      >
+        + Add-on
+      </button>
+    </div>
+  );
+}
+
+ItemModifiers.propTypes = {
+  modifiers: PropTypes.arrayOf(
+    PropTypes.shape({
+      name: PropTypes.string.isRequired,
+      price: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+    })
+  ).isRequired,
+  onChange: PropTypes.func.isRequired,
+  onDetach: PropTypes.func,
+};
@@ -0,0 +1,184 @@
+import PropTypes from "prop-types";
+import {
+  ADJUSTMENT_TYPES,
+  ALLOCATION_RULES,
+  signedAdjustmentPrice,
+} from "../utils/adjustments";
+import { parseAmount, formatMoney } from "../utils/helpers";
+
+/**
+ * ReceiptAdjustmentsPanel:
+ * The receipt's whole-bill fees, service charges, discounts and credits, each
+ * with how it's shared: by spend, equally, or among specific people.
+ * - `participants` are the names who have assigned items so far, to pick from.
+ */
+export default function ReceiptAdjustmentsPanel({ adjustments, participants, onChange }) {
+  const updateAdjustment = (id, changes) => {
+    onChange(adjustments.map((adj) => (adj.id === id ? { ...adj, ...changes } : adj)));
+  };
+
+  const handleAdd = () => {
+    onChange([
+      ...adjustments,
+      {
+        id: `adjustment-${Date.now()}`,
+        qty: "1",
+        name: "",
+        price: "",
+        adjustment: "fee",
+        allocation: "proportional",
+        people: [],
+      },
+    ]);
+  };
+
+  const handleRemove = (id) => {
+    onChange(adjustments.filter((adj) => adj.id !== id));
+  };
+
+  const togglePerson = (adj, name) => {
+    const people = adj.people.includes(name)
+      ? adj.people.filter((person) => person !== name)
+      : [...adj.people, name];
+    updateAdjustment(adj.id, { people });
+  };
+
+  const inputClass =
+    "bg-white border border-indigo-200 rounded px-2 py-1 focus:outline-none focus:ring-2 focus:ring-indigo-400";
+
+  return (
+    <div className="mb-6 p-4 bg-indigo-50 rounded border border-indigo-200">
+      <h3 className="text-md font-bold mb-2 text-indigo-700">🏷️ Discounts &amp; Fees</h3>
+      <p className="text-sm text-gray-600 mb-3">
+        Delivery fees, service charges, auto-gratuity, promo codes and credits that
+        apply to the whole bill. Choose how each one is shared.
+      </p>
+
+      {adjustments.length > 0 && (
+        <table className="w-full text-left text-sm">
+          <thead>
+            <tr className="bg-indigo-100 text-indigo-700 uppercase">
+              <th className="p-2 font-semibold w-36">Type</th>
+              <th className="p-2 font-semibold">Label</th>
+              <th className="p-2 font-semibold w-28">Amount</th>
+              <th className="p-2 font-semibold">Shared</th>
+              <th className="p-2 font-semibold w-20"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {adjustments.map((adj) => (
+              <tr key={adj.id} className="border-b last:border-none align-top">
+                <td className="p-2">
+                  <select
+                    className={`w-full ${inputClass}`}
+                    value={adj.adjustment}
+                    onChange={(e) =>
+                      updateAdjustment(adj.id, {
+                        adjustment: e.target.value,
+                        price: signedAdjustmentPrice(e.target.value, adj.price),
+                      })
+                    }
+                  >
+                    {Object.entries(ADJUSTMENT_TYPES).map(([type, label]) => (
+                      <option key={type} value={type}>
+                        {label}
+                      </option>
+                    ))}
+                  </select>
+                </td>
+                <td className="p-2">
+                  <input
+                    type="text"
+                    className={`w-full ${inputClass}`}
+                    placeholder={ADJUSTMENT_TYPES[adj.adjustment]}
+                    value={adj.name}
+                    onChange={(e) => updateAdjustment(adj.id, { name: e.target.value })}
+                  />
+                </td>
+                <td className="p-2">
+                  <input
+                    type="text"
+                    inputMode="decimal"
+                    className={`w-20 ${inputClass}`}
+                    placeholder="0.00"
+                    value={String(adj.price).replace(/^-/, "")}
+                    onChange={(e) =>
+                      updateAdjustment(adj.id, {
+                        price: signedAdjustmentPrice(adj.adjustment, e.target.value),
+                      })
+                    }
+                  />
+                  <div className="text-xs text-gray-500 mt-1">
+                    {formatMoney(parseAmount(adj.price))}
+                  </div>
+                </td>
+                <td className="p-2">
+                  <select
+                    className={`w-full ${inputClass}`}
+                    value={adj.allocation}
+                    onChange={(e) => updateAdjustment(adj.id, { allocation: e.target.value })}
+                  >
+                    {Object.entries(ALLOCATION_RULES).map(([rule, label]) => (
+                      <option key={rule} value={rule}>
+                        {label}
+                      </option>
+                    ))}
+                  </select>
+                  {adj.allocation === "people" &&
+                    (participants.length > 0 ? (
+                      <div className="mt-2 flex flex-wrap gap-x-3 gap-y-1">
+                        {participants.map((name) => (
+                          <label key={name} className="flex items-center gap-1">
+                            <input
+                              type="checkbox"
+                              checked={adj.people.includes(name)}
+                              onChange={() => togglePerson(adj, name)}
+                            />
+                            {name}
+                          </label>
+                        ))}
+                      </div>
+                    ) : (
+                      <p className="mt-2 text-xs text-gray-500">
+                        People appear here once they’ve assigned their items.
+                      </p>
+                    ))}
+                </td>
+                <td className="p-2">
+                  <button
+                    onClick={() => handleRemove(adj.id)}
+                    className="text-red-600 hover:underline"
+                  >
+                    Remove
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <button
+        onClick={handleAdd}
+        className="mt-3 px-4 py-1 bg-indigo-600 text-white text-sm font-semibold rounded hover:bg-indigo-700 transition"
+      >
+        + Add Fee or Discount
+      </button>
+    </div>
+  );
+}
+
+ReceiptAdjustmentsPanel.propTypes = {
+  adjustments: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired,
+      price: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+      adjustment: PropTypes.string.isRequired,
+      allocation: PropTypes.oneOf(Object.keys(ALLOCATION_RULES)).isRequired,
+      people: PropTypes.arrayOf(PropTypes.string).isRequired,
+    })
+  ).isRequired,
+  participants: PropTypes.arrayOf(PropTypes.string).isRequired,
+  onChange: PropTypes.func.isRequired,
+};
@@ -0,0 +1,116 @@
+import { useState } from "react";
+import PropTypes from "prop-types";
+
+const MIN_ZOOM = 1;
+const MAX_ZOOM = 4;
+const ZOOM_STEP = 0.5;
+
+/**
+ * ReceiptImages:
+ * Thumbnails of the stored receipt photos (see services/receiptImages.js).
+ * Clicking one opens it full size with zoom controls; pages that were
+ * enhanced before OCR can be flipped between the original and enhanced image.
+ */
+export default function ReceiptImages({ images }) {
+  const [openIdx, setOpenIdx] = useState(null);
+  const [showProcessed, setShowProcessed] = useState(false);
+  const [zoom, setZoom] = useState(MIN_ZOOM);
+
+  if (!images || images.length === 0) return null;
+
+  const open = (idx) => {
+    setOpenIdx(idx);
+    setShowProcessed(false);
+    setZoom(MIN_ZOOM);
+  };
+  const changeZoom = (delta) =>
+    setZoom((prev) => Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, prev + delta)));
+
+  const opened = openIdx !== null ? images[openIdx] : null;
+  const shown = opened && (showProcessed && opened.processed ? opened.processed : opened.original);
+
+  return (
+    <>
+      <div className="flex flex-wrap gap-2">
+        {images.map((image, idx) => (
+          <button
+            key={image.original.path}
+            onClick={() => open(idx)}
+            className="w-20 h-28 border border-gray-300 rounded overflow-hidden bg-gray-50 hover:ring-2 hover:ring-purple-400 transition"
+            title={images.length > 1 ? `Page ${idx + 1}` : "Receipt photo"}
+          >
+            <img
+              src={image.original.url}
+              alt={`Receipt page ${idx + 1}`}
+              className="w-full h-full object-cover"
+              loading="lazy"
+            />
+          </button>
+        ))}
+      </div>
+
+      {opened && (
+        <div className="fixed inset-0 z-50 bg-black/80 flex flex-col">
+          <div className="flex flex-wrap items-center gap-2 p-3 bg-gray-900 text-white">
+            <span className="font-semibold mr-auto">
+              {images.length > 1 ? `Page ${openIdx + 1} of ${images.length}` : "Receipt photo"}
+            </span>
+            {opened.processed && (
+              <button
+                onClick={() => setShowProcessed((prev) => !prev)}
+                className="px-3 py-1 bg-gray-700 rounded hover:bg-gray-600 transition"
+              >
+                {showProcessed ? "Show Original" : "Show Enhanced"}
+              </button>
+            )}
+            <button
+              onClick={() => changeZoom(-ZOOM_STEP)}
+              disabled={zoom <= MIN_ZOOM}
+              className="px-3 py-1 bg-gray-700 rounded hover:bg-gray-600 transition disabled:opacity-40"
+            >
+              −
+            </button>
+            <span className="w-12 text-center">{Math.round(zoom * 100)}%</span>
+            <button
+              onClick={() => changeZoom(ZOOM_STEP)}
+              disabled={zoom >= MAX_ZOOM}
+              className="px-3 py-1 bg-gray-700 rounded hover:bg-gray-600 transition disabled:opacity-40"
+            >
+              +
+            </button>
+            <button
+              onClick={() => setOpenIdx(null)}
+              className="px-3 py-1 bg-red-600 rounded hover:bg-red-700 transition"
+            >
+              Close
+            </button>
+          </div>
+          <div className="flex-1 overflow-auto p-4">
+            <img
+              src={shown.url}
+              alt={`Receipt page ${openIdx + 1}`}
+              // 100% fits the photo to the screen height
+              style={{ height: `calc(${zoom} * (100vh - 6rem))`, maxWidth: "none" }}
+              className={`mx-auto bg-white ${zoom >= MAX_ZOOM ? "cursor-zoom-out" : "cursor-zoom-in"}`}
+              onClick={() => setZoom(zoom >= MAX_ZOOM ? MIN_ZOOM : zoom + ZOOM_STEP)}
+            />
+          </div>
+        </div>
+      )}
+    </>
+  );
+}
+
+const storedImageShape = PropTypes.shape({
+  path: PropTypes.string.isRequired,
+  url: PropTypes.string.isRequired,
+});
+
+ReceiptImages.propTypes = {
+  images: PropTypes.arrayOf(
+    PropTypes.shape({
+      original: storedImageShape.isRequired,
+      processed: storedImageShape,
+    })
+  ),
+};
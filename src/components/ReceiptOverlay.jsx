@@ -0,0 +1,92 @@
+import { useState } from "react";
+import PropTypes from "prop-types";
+import { lineKey } from "../utils/receiptParser";
+
+/**
+ * ReceiptOverlay:
+ * Shows the image that was OCR'd with every recognized line outlined on top.
+ * - Lines already linked to a table row are tinted purple, the rest are grey.
+ * - The line behind the focused table row is highlighted (with its word boxes).
+ * - Clicking a line calls `onLineClick(line)` so the page can add or re-parse it.
+ *
+ * Box coordinates are in the image's natural pixels, so they are converted to
+ * percentages once the image has loaded and its natural size is known.
+ */
+export default function ReceiptOverlay({ imageUrl, lines, linkedKeys, highlightedKey, onLineClick }) {
+  const [naturalSize, setNaturalSize] = useState(null);
+
+  const toStyle = (bbox) => ({
+    left: `${(bbox.x0 / naturalSize.width) * 100}%`,
+    top: `${(bbox.y0 / naturalSize.height) * 100}%`,
+    width: `${((bbox.x1 - bbox.x0) / naturalSize.width) * 100}%`,
+    height: `${((bbox.y1 - bbox.y0) / naturalSize.height) * 100}%`,
+  });
+
+  return (
+    <div className="relative inline-block">
+      <img
+        src={imageUrl}
+        alt="Receipt with recognized lines"
+        className="max-w-sm rounded shadow block"
+        onLoad={(e) =>
+          setNaturalSize({ width: e.target.naturalWidth, height: e.target.naturalHeight })
+        }
+      />
+      {naturalSize &&
+        lines.map((line) => {
+          const key = lineKey(line);
+          const isHighlighted = key === highlightedKey;
+          const isLinked = linkedKeys.has(key);
+          return (
+            <button
+              key={key}
+              type="button"
+              title={isLinked ? `Re-parse: ${line.text}` : `Add: ${line.text}`}
+              onClick={() => onLineClick(line)}
+              style={toStyle(line.bbox)}
+              className={`absolute border rounded-sm transition ${
+                isHighlighted
+                  ? "border-yellow-500 bg-yellow-300/40 ring-2 ring-yellow-400 z-10"
+                  : isLinked
+                  ? "border-purple-400 bg-purple-300/10 hover:bg-purple-300/30"
+                  : "border-gray-400 border-dashed bg-gray-300/10 hover:bg-blue-300/30"
+              }`}
+            />
+          );
+        })}
+      {naturalSize &&
+        lines
+          .filter((line) => lineKey(line) === highlightedKey)
+          .flatMap((line) => line.words || [])
+          .map((word, idx) => (
+            <div
+              key={`word-${idx}`}
+              style={toStyle(word.bbox)}
+              className="absolute border border-yellow-600 pointer-events-none z-20"
+            />
+          ))}
+    </div>
+  );
+}
+
+const bboxShape = PropTypes.shape({
+  x0: PropTypes.number.isRequired,
+  y0: PropTypes.number.isRequired,
+  x1: PropTypes.number.isRequired,
+  y1: PropTypes.number.isRequired,
+});
+
+ReceiptOverlay.propTypes = {
+  imageUrl: PropTypes.string.isRequired,
+  lines: PropTypes.arrayOf(
+    PropTypes.shape({
+      text: PropTypes.string.isRequired,
+      page: PropTypes.number,
+      bbox: bboxShape.isRequired,
+      words: PropTypes.arrayOf(PropTypes.shape({ bbox: bboxShape })),
+    })
+  ).isRequired,
+  linkedKeys: PropTypes.instanceOf(Set).isRequired,
+  highlightedKey: PropTypes.string,
+  onLineClick: PropTypes.func.isRequired,
+};
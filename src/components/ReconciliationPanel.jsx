@@ -0,0 +1,130 @@
+import PropTypes from "prop-types";
+import { formatMoney } from "../utils/helpers";
+
+/**
+ * ReconciliationPanel:
+ * Compares the computed item/tax/tip sums with the Subtotal/Total printed on
+ * the receipt (see reconcileReceipt), lists the likely culprits for any gap,
+ * and lets the user accept a remaining difference so the split can continue.
+ * - `onApplySuggestion(index, price)` is optional; when given, misread-price
+ *   suggestions get a one-click fix.
+ */
+export default function ReconciliationPanel({ reconciliation, accepted, onAccept, onApplySuggestion }) {
+  if (!reconciliation.hasPrintedTotals) {
+    return (
+      <div className="mt-6 p-4 bg-gray-50 border border-gray-200 rounded w-full max-w-3xl text-sm text-gray-600">
+        No printed Subtotal or Total found on this receipt, so the items can’t be
+        checked against it.
+      </div>
+    );
+  }
+
+  const { checks, culprits, balanced, difference } = reconciliation;
+  const tone = balanced
+    ? "bg-green-50 border-green-200"
+    : accepted
+    ? "bg-gray-50 border-gray-200"
+    : "bg-red-50 border-red-200";
+
+  return (
+    <div className={`mt-6 p-5 rounded border w-full max-w-3xl ${tone}`}>
+      <h3 className="text-lg font-bold mb-3 text-gray-800 flex items-center gap-2">
+        <span>🧮</span> Totals Check
+      </h3>
+
+      <table className="w-full text-left text-sm mb-3">
+        <thead>
+          <tr className="text-gray-600 uppercase">
+            <th className="p-2 font-semibold">Line</th>
+            <th className="p-2 font-semibold">Computed</th>
+            <th className="p-2 font-semibold">Printed</th>
+            <th className="p-2 font-semibold">Difference</th>
+          </tr>
+        </thead>
+        <tbody>
+          {checks.map((check) => (
+            <tr key={check.label} className="border-t">
+              <td className="p-2 font-medium">{check.label}</td>
+              <td className="p-2">{formatMoney(check.computed)}</td>
+              <td className="p-2">{formatMoney(check.printed)}</td>
+              <td className={`p-2 font-semibold ${check.ok ? "text-green-700" : "text-red-600"}`}>
+                {check.ok ? "✓ matches" : formatMoney(check.difference)}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {balanced ? (
+        <p className="text-sm text-green-700">The parsed items add up to the printed totals.</p>
+      ) : (
+        <>
+          <p className="text-sm text-gray-700 mb-2">
+            {difference > 0
+              ? `The receipt prints ${formatMoney(difference)} more than the items add up to.`
+              : `The items add up to ${formatMoney(-difference)} more than the receipt prints.`}
+          </p>
+
+          {culprits.length > 0 && (
+            <ul className="list-disc list-inside text-sm text-gray-700 space-y-1 mb-3">
+              {culprits.map((culprit, idx) => (
+                <li key={idx}>
+                  {culprit.message}
+                  {culprit.type === "misread" && onApplySuggestion && (
+                    <button
+                      onClick={() => onApplySuggestion(culprit.index, culprit.suggestedPrice)}
+                      className="ml-2 px-2 py-0.5 bg-blue-600 text-white text-xs font-semibold rounded hover:bg-blue-700 transition"
+                    >
+                      Use {formatMoney(Number(culprit.suggestedPrice))}
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {accepted ? (
+            <p className="text-sm text-gray-600">
+              You accepted this difference. The split will use the items as listed.
+            </p>
+          ) : (
+            <button
+              onClick={onAccept}
+              className="px-4 py-2 bg-gray-700 text-white text-sm font-semibold rounded hover:bg-gray-800 transition"
+            >
+              Accept Difference
+            </button>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+ReconciliationPanel.propTypes = {
+  reconciliation: PropTypes.shape({
+    checks: PropTypes.arrayOf(
+      PropTypes.shape({
+        label: PropTypes.string.isRequired,
+        computed: PropTypes.number.isRequired,
+        printed: PropTypes.number.isRequired,
+        difference: PropTypes.number.isRequired,
+        ok: PropTypes.bool.isRequired,
+      })
+    ).isRequired,
+    culprits: PropTypes.arrayOf(
+      PropTypes.shape({
+        type: PropTypes.string.isRequired,
+        index: PropTypes.number,
+        message: PropTypes.string.isRequired,
+        suggestedPrice: PropTypes.string,
+      })
+    ).isRequired,
+    balanced: PropTypes.bool.isRequired,
+    difference: PropTypes.number.isRequired,
+    hasPrintedTotals: PropTypes.bool.isRequired,
+  }).isRequired,
+  accepted: PropTypes.bool.isRequired,
+  onAccept: PropTypes.func.isRequired,
+  onApplySuggestion: PropTypes.func,
+};
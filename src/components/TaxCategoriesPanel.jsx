@@ -0,0 +1,136 @@
+import PropTypes from "prop-types";
+import { formatMoney } from "../utils/helpers";
+
+/**
+ * TaxCategoriesPanel:
+ * The receipt's tax rates (see utils/taxCategories.js): an optional standard
+ * rate plus custom categories such as "Alcohol 10.25%", with how much of the
+ * receipt's tax falls on each. Items are put in a category from the items table.
+ */
+export default function TaxCategoriesPanel({ taxCategories, taxByCategory, totalTax, onChange }) {
+  const updateCustom = (id, changes) => {
+    onChange({
+      ...taxCategories,
+      custom: taxCategories.custom.map((category) =>
+        category.id === id ? { ...category, ...changes } : category
+      ),
+    });
+  };
+
+  const handleAddCategory = () => {
+    onChange({
+      ...taxCategories,
+      custom: [...taxCategories.custom, { id: `custom-${Date.now()}`, label: "", rate: "" }],
+    });
+  };
+
+  const handleRemoveCategory = (id) => {
+    onChange({
+      ...taxCategories,
+      custom: taxCategories.custom.filter((category) => category.id !== id),
+    });
+  };
+
+  const inputClass =
+    "bg-white border border-purple-200 rounded px-2 py-1 focus:outline-none focus:ring-2 focus:ring-purple-400";
+
+  return (
+    <div className="mb-6 p-4 bg-purple-50 rounded border border-purple-200">
+      <h3 className="text-md font-bold mb-2 text-purple-700">🏛️ Tax Categories</h3>
+      <p className="text-sm text-gray-600 mb-3">
+        The receipt’s tax ({formatMoney(totalTax)}) is shared by what each person
+        bought. Mark untaxed items as Exempt and add a category for items taxed at a
+        different rate; standard items without a rate share whatever is left.
+      </p>
+
+      <table className="w-full text-left text-sm">
+        <thead>
+          <tr className="bg-purple-100 text-purple-700 uppercase">
+            <th className="p-2 font-semibold">Category</th>
+            <th className="p-2 font-semibold w-28">Rate (%)</th>
+            <th className="p-2 font-semibold w-24">Tax</th>
+            <th className="p-2 font-semibold w-24"></th>
+          </tr>
+        </thead>
+        <tbody>
+          <tr className="border-b">
+            <td className="p-2">Standard</td>
+            <td className="p-2">
+              <input
+                type="text"
+                inputMode="decimal"
+                className={`w-20 ${inputClass}`}
+                placeholder="auto"
+                value={taxCategories.standardRate}
+                onChange={(e) => onChange({ ...taxCategories, standardRate: e.target.value })}
+              />
+            </td>
+            <td className="p-2">{formatMoney(taxByCategory.standard || 0)}</td>
+            <td className="p-2"></td>
+          </tr>
+          <tr className="border-b">
+            <td className="p-2">Exempt</td>
+            <td className="p-2 text-gray-500">0</td>
+            <td className="p-2">{formatMoney(0)}</td>
+            <td className="p-2"></td>
+          </tr>
+          {taxCategories.custom.map((category) => (
+            <tr key={category.id} className="border-b last:border-none">
+              <td className="p-2">
+                <input
+                  type="text"
+                  className={`w-full ${inputClass}`}
+                  placeholder="e.g. Alcohol"
+                  value={category.label}
+                  onChange={(e) => updateCustom(category.id, { label: e.target.value })}
+                />
+              </td>
+              <td className="p-2">
+                <input
+                  type="text"
+                  inputMode="decimal"
+                  className={`w-20 ${inputClass}`}
+                  placeholder="0"
+                  value={category.rate}
+                  onChange={(e) => updateCustom(category.id, { rate: e.target.value })}
+                />
+              </td>
+              <td className="p-2">{formatMoney(taxByCategory[category.id] || 0)}</td>
+              <td className="p-2">
+                <button
+                  onClick={() => handleRemoveCategory(category.id)}
+                  className="text-red-600 hover:underline"
+                >
+                  Remove
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <button
+        onClick={handleAddCategory}
+        className="mt-3 px-4 py-1 bg-purple-600 text-white text-sm font-semibold rounded hover:bg-purple-700 transition"
+      >
+        + Add Category
+      </button>
+    </div>
+  );
+}
+
+TaxCategoriesPanel.propTypes = {
+  taxCategories: PropTypes.shape({
+    standardRate: PropTypes.string.isRequired,
+    custom: PropTypes.arrayOf(
+      PropTypes.shape({
+        id: PropTypes.string.isRequired,
+        label: PropTypes.string.isRequired,
+        rate: PropTypes.string.isRequired,
+      })
+    ).isRequired,
+  }).isRequired,
+  taxByCategory: PropTypes.objectOf(PropTypes.number).isRequired,
+  totalTax: PropTypes.number.isRequired,
+  onChange: PropTypes.func.isRequired,
+};
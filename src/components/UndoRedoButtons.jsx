@@ -0,0 +1,40 @@
+import PropTypes from "prop-types";
+
+/**
+ * UndoRedoButtons:
+ * Undo/Redo for a page's useUndoHistory, next to the page title.
+ */
+export default function UndoRedoButtons({ history }) {
+  const buttonClass =
+    "px-3 py-1 text-sm bg-white border border-gray-300 rounded shadow-sm hover:bg-gray-100 transition disabled:opacity-40 disabled:cursor-not-allowed";
+
+  return (
+    <div className="flex gap-2">
+      <button
+        onClick={history.undo}
+        disabled={!history.canUndo}
+        title="Undo (Ctrl+Z)"
+        className={buttonClass}
+      >
+        ↶ Undo
+      </button>
+      <button
+        onClick={history.redo}
+        disabled={!history.canRedo}
+        title="Redo (Ctrl+Shift+Z)"
+        className={buttonClass}
+      >
+        ↷ Redo
+      </button>
+    </div>
+  );
+}
+
+UndoRedoButtons.propTypes = {
+  history: PropTypes.shape({
+    canUndo: PropTypes.bool.isRequired,
+    canRedo: PropTypes.bool.isRequired,
+    undo: PropTypes.func.isRequired,
+    redo: PropTypes.func.isRequired,
+  }).isRequired,
+};
@@ -0,0 +1,64 @@
+/**
+ * File: /src/hooks/useDraftAutosave.js
+ */
+
+import { useEffect, useRef, useState } from "react";
+import { updateReceiptDraft } from "../services/receiptDrafts";
+
+// Typing pauses this long (ms) before the draft is written
+const AUTOSAVE_DELAY = 800;
+
+/**
+ * Writes `fields` into the draft a moment after they change, and right away
+ * when the page is left. The first value seen for a draft is what was loaded,
+ * so it isn't written back; pass null while the draft is still loading.
+ *
+ * @returns {"saved"|"saving"|"offline"|"error"} for DraftStatus
+ */
+export default function useDraftAutosave(receiptId, fields) {
+  const [status, setStatus] = useState("saved");
+  const lastSaved = useRef({ receiptId: null, serialized: null });
+  const pending = useRef(null); // { receiptId, serialized } waiting for the delay
+  const serialized = fields === null ? null : JSON.stringify(fields);
+
+  const flush = useRef(async () => {
+    const write = pending.current;
+    if (!write) return;
+    pending.current = null;
+    lastSaved.current = write;
+    // JSON round trip drops undefined values, which Firestore rejects
+    await updateReceiptDraft(write.receiptId, JSON.parse(write.serialized));
+  });
+
+  useEffect(() => {
+    if (!receiptId || serialized === null) return;
+    if (lastSaved.current.receiptId !== receiptId) {
+      lastSaved.current = { receiptId, serialized };
+      return;
+    }
+    if (serialized === lastSaved.current.serialized) return;
+
+    pending.current = { receiptId, serialized };
+    setStatus("saving");
+    const timer = setTimeout(async () => {
+      try {
+        await flush.current();
+        setStatus(navigator.onLine ? "saved" : "offline");
+      } catch (err) {
+        console.error("Error autosaving receipt draft:", err);
+        setStatus("error");
+      }
+    }, AUTOSAVE_DELAY);
+    return () => clearTimeout(timer);
+  }, [receiptId, serialized]);
+
+  // Leaving the page: save what is still waiting
+  useEffect(() => {
+    const save = flush.current;
+    return () => {
+      save().catch((err) => console.error("Error autosaving receipt draft:", err));
+    };
+  }, []);
+
+  return status;
+}
@@ -0,0 +1,175 @@
+/**
+ * File: /src/hooks/useUndoHistory.js
+ */
+
+import { useEffect, useRef, useState } from "react";
+
+// Steps kept in each direction
+const HISTORY_LIMIT = 50;
+// Changes this close together (ms), like typing a word, are one step
+const GROUP_DELAY = 1000;
+
+const storageName = (storageKey) => `undoHistory:${storageKey}`;
+
+/**
+ * JSON with object keys sorted, so a draft read back from Firestore (which
+ * doesn't keep key order) compares equal to the same values typed here.
+ */
+function serialize(value) {
+  return JSON.stringify(value, (key, val) =>
+    val && typeof val === "object" && !Array.isArray(val)
+      ? Object.fromEntries(Object.entries(val).sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0)))
+      : val
+  );
+}
+
+/**
+ * The history saved for `storageKey`, if it ends at `present`. One that ends
+ * elsewhere is stale (the draft was changed on another page or device).
+ */
+function loadHistory(storageKey, present) {
+  if (!storageKey) return null;
+  try {
+    const stored = JSON.parse(localStorage.getItem(storageName(storageKey)));
+    return stored?.present === present ? stored : null;
+  } catch (err) {
+    console.warn("Error reading undo history:", err);
+    return null;
+  }
+}
+
+function saveHistory(storageKey, history) {
+  if (!storageKey) return;
+  try {
+    localStorage.setItem(storageName(storageKey), JSON.stringify(history));
+  } catch (err) {
+    // Storage full: the history still works until the page is left
+    console.warn("Error saving undo history:", err);
+  }
+}
+
+/**
+ * Forgets the saved history of a draft, e.g. when the draft is deleted.
+ */
+export function clearUndoHistory(storageKey) {
+  localStorage.removeItem(storageName(storageKey));
+}
+
+/**
+ * Undo/redo over whatever `snapshot` holds. Every change to it is a step
+ * (quick successive changes count as one), and undoing hands an earlier
+ * snapshot to `restore` to put back into the page's state. The first value
+ * seen is the starting point; pass null while a draft is still loading.
+ * With a `storageKey` (the draft id) the history is kept in localStorage and
+ * picked up again after a reload, as long as the draft hasn't changed since.
+ * The saved history is only looked up after a null snapshot (a load); a key
+ * that changes otherwise, as when an upload's first save creates its draft,
+ * takes the history so far with it. The key itself is not undone.
+ * Ctrl/⌘+Z undoes and Ctrl/⌘+Shift+Z or Ctrl+Y redoes, except in text fields,
+ * which keep their own undo.
+ *
+ * @param {string|null} storageKey
+ * @param {object|null} snapshot - plain JSON-able values
+ * @param {function(object)} restore
+ * @param {object} [options]
+ * @param {function(object, object): boolean} [options.sameStep] - true when a
+ *   change from the first snapshot to the second belongs to the current step
+ *   rather than being one of its own
+ * @returns {{ canUndo: boolean, canRedo: boolean, undo: function, redo: function }}
+ */
+export default function useUndoHistory(storageKey, snapshot, restore, { sameStep } = {}) {
+  const history = useRef({ storageKey: null, past: [], present: null, future: [] });
+  const lastChange = useRef(0);
+  const loading = useRef(true); // the next snapshot is a fresh start
+  const [counts, setCounts] = useState({ past: 0, future: 0 });
+  const serialized = snapshot === null ? null : serialize(snapshot);
+
+  const latest = useRef(null);
+  latest.current = { restore, sameStep };
+
+  const commit = useRef((next) => {
+    history.current = next;
+    setCounts({ past: next.past.length, future: next.future.length });
+    saveHistory(next.storageKey, {
+      past: next.past,
+      present: next.present,
+      future: next.future,
+    });
+  });
+
+  useEffect(() => {
+    if (serialized === null) {
+      loading.current = true;
+      return;
+    }
+    const current = history.current;
+    if (loading.current) {
+      loading.current = false;
+      const stored = loadHistory(storageKey, serialized);
+      commit.current({ storageKey, past: [], future: [], ...stored, present: serialized });
+      lastChange.current = 0;
+      return;
+    }
+    if (serialized === current.present) {
+      // Same values (e.g. just restored by an undo) under what may be a new key
+      if (storageKey !== current.storageKey) commit.current({ ...current, storageKey });
+      return;
+    }
+
+    const now = Date.now();
+    const { sameStep: isSameStep } = latest.current;
+    const grouped =
+      now - lastChange.current < GROUP_DELAY ||
+      (isSameStep && isSameStep(JSON.parse(current.present), JSON.parse(serialized)));
+    lastChange.current = now;
+    commit.current({
+      storageKey,
+      past: grouped ? current.past : [...current.past, current.present].slice(-HISTORY_LIMIT),
+      present: serialized,
+      future: [],
+    });
+  }, [storageKey, serialized]);
+
+  const step = useRef((direction) => {
+    const current = history.current;
+    const from = direction === "undo" ? current.past : current.future;
+    if (current.present === null || from.length === 0) return;
+    const target = from[from.length - 1];
+    const rest = from.slice(0, -1);
+    const other = [...(direction === "undo" ? current.future : current.past), current.present];
+    commit.current({
+      storageKey: current.storageKey,
+      past: direction === "undo" ? rest : other,
+      present: target,
+      future: direction === "undo" ? other : rest,
+    });
+    // The next edit starts a step of its own
+    lastChange.current = 0;
+    latest.current.restore(JSON.parse(target));
+  });
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      const { tagName, isContentEditable } = e.target;
+      if (isContentEditable || tagName === "INPUT" || tagName === "TEXTAREA") return;
+      const key = e.key.toLowerCase();
+      if (key === "z") {
+        e.preventDefault();
+        step.current(e.shiftKey ? "redo" : "undo");
+      } else if (key === "y" && !e.shiftKey) {
+        e.preventDefault();
+        step.current("redo");
+      }
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, []);
+
+  return {
+    canUndo: counts.past > 0,
+    canRedo: counts.future > 0,
+    undo: () => step.current("undo"),
+    redo: () => step.current("redo"),
+  };
+}
@@ -1,9 +1,15 @@
 import React from "react";
 import ReactDOM from "react-dom/client";
 import { BrowserRouter } from "react-router-dom";
+// Initializes Firebase (and Firestore's offline cache) before any page calls getFirestore()
+import "./services/firebase";
 import App from "./App";
+import { registerOcrCache } from "./services/ocr";
 import "./index.css";
 
+// Keep the OCR engine and language data available offline
+registerOcrCache();
+
 ReactDOM.createRoot(document.getElementById("root")).render(
   <React.StrictMode>
     <BrowserRouter>
@@ -0,0 +1,519 @@
+/**
+ * File: /src/pages/BatchUpload.jsx
+ */
+
+import { useState, useEffect, useRef, useCallback } from "react";
+import { useNavigate, Link } from "react-router-dom";
+import { useDropzone } from "react-dropzone";
+import { getAuth } from "firebase/auth";
+import { readReceiptImage } from "../services/receiptReader";
+import { createReceiptDraft, findExistingReceipt } from "../services/receiptDrafts";
+import { cancelOcr, OcrCancelledError } from "../services/ocr";
+import { getLocale, loadLocaleId } from "../utils/locales";
+import { reviewReason } from "../utils/receiptParser";
+import { receiptTotal, buildFingerprint } from "../utils/receiptFingerprint";
+import { formatMoney } from "../utils/helpers";
+import ItemGrid from "../components/ItemGrid";
+import DuplicateReceiptPrompt from "../components/DuplicateReceiptPrompt";
+
+const auth = getAuth();
+
+const STATUS_LABELS = {
+  queued: "Queued",
+  processing: "Processing",
+  "needs-review": "Needs review",
+  done: "Done",
+  error: "Failed",
+};
+
+const STATUS_STYLES = {
+  queued: "bg-gray-100 text-gray-700",
+  processing: "bg-blue-100 text-blue-800",
+  "needs-review": "bg-amber-100 text-amber-800",
+  done: "bg-green-100 text-green-800",
+  error: "bg-red-100 text-red-800",
+};
+
+function fileBaseName(fileName) {
+  return fileName.replace(/\.[^.]+$/, "");
+}
+
+/**
+ * BatchUpload Component
+ * A queue for many receipts at once (e.g. after a trip): every dropped photo
+ * is its own receipt, read one after another in the background
+ * (services/receiptReader.js). Each then waits in "needs review" until the
+ * user steps through it, fixes the rows and confirms it; a confirmed receipt
+ * is saved as its own pending receipt (draft) in the history. One that looks
+ * like a receipt the user or their group already has asks first, like an
+ * upload; opening one of the user's own keeps the queue going if more
+ * receipts are left, with the entry linked to that receipt.
+ */
+export default function BatchUpload() {
+  // { id, file, previewUrl, status, progress, error, result, name, items, draftId }
+  const [entries, setEntries] = useState([]);
+  const [reviewId, setReviewId] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [duplicateMatch, setDuplicateMatch] = useState(null); // { receipt, reason, shared, entryId, draft }
+  const [locale] = useState(() => getLocale(loadLocaleId()));
+  const stopped = useRef(false);
+  const entriesRef = useRef(entries);
+  entriesRef.current = entries;
+
+  const navigate = useNavigate();
+
+  const updateEntry = (id, changes) =>
+    setEntries((prev) => prev.map((entry) => (entry.id === id ? { ...entry, ...changes } : entry)));
+
+  /**
+   * OCRs one queued receipt; the next one starts when this one settles.
+   */
+  const readEntry = async (entry) => {
+    updateEntry(entry.id, { status: "processing", progress: 0, error: null });
+    try {
+      const result = await readReceiptImage(entry.file, {
+        locale,
+        onProgress: (fraction) => updateEntry(entry.id, { progress: Math.round(fraction * 100) }),
+      });
+      if (stopped.current) return;
+      updateEntry(entry.id, {
+        status: "needs-review",
+        result,
+        name: result.header.merchant || fileBaseName(entry.file.name),
+        items: result.items,
+      });
+    } catch (err) {
+      if (stopped.current) return;
+      if (err instanceof OcrCancelledError) {
+        updateEntry(entry.id, { status: "queued", progress: 0 });
+        return;
+      }
+      console.error("Error reading receipt:", err);
+      updateEntry(entry.id, { status: "error", error: err.message });
+    }
+  };
+  const readEntryRef = useRef(readEntry);
+  readEntryRef.current = readEntry;
+
+  /**
+   * Background processing: one receipt at a time, in the order they were added.
+   */
+  const processing = entries.some((entry) => entry.status === "processing");
+  const nextQueuedId = entries.find((entry) => entry.status === "queued")?.id;
+  useEffect(() => {
+    if (processing || !nextQueuedId) return;
+    readEntryRef.current(entriesRef.current.find((entry) => entry.id === nextQueuedId));
+  }, [processing, nextQueuedId]);
+
+  /**
+   * Leaving the page stops the queue and frees the previews.
+   */
+  useEffect(() => {
+    stopped.current = false;
+    return () => {
+      stopped.current = true;
+      cancelOcr();
+      entriesRef.current.forEach((entry) => URL.revokeObjectURL(entry.previewUrl));
+    };
+  }, []);
+
+  const onDrop = useCallback((acceptedFiles) => {
+    const added = acceptedFiles.map((file) => ({
+      id: `${file.name}-${file.lastModified}-${Math.random().toString(36).slice(2)}`,
+      file,
+      previewUrl: URL.createObjectURL(file),
+      status: "queued",
+      progress: 0,
+      error: null,
+      result: null,
+      name: "",
+      items: [],
+      draftId: null,
+    }));
+    setEntries((prev) => [...prev, ...added]);
+  }, []);
+
+  const { getRootProps, getInputProps, isDragActive } = useDropzone({
+    accept: { "image/*": [".png", ".jpg", ".jpeg", ".webp", ".gif", ".bmp"] },
+    onDrop,
+    multiple: true,
+  });
+
+  const handleRemoveEntry = (id) => {
+    const entry = entries.find((candidate) => candidate.id === id);
+    URL.revokeObjectURL(entry.previewUrl);
+    setEntries((prev) => prev.filter((candidate) => candidate.id !== id));
+    if (reviewId === id) setReviewId(null);
+  };
+
+  /**
+   * The receipt after `id` (wrapping around) that still needs review, or null.
+   */
+  const nextToReview = (id) => {
+    const idx = entries.findIndex((entry) => entry.id === id);
+    const ordered = [...entries.slice(idx + 1), ...entries.slice(0, idx + 1)];
+    return ordered.find((entry) => entry.id !== id && entry.status === "needs-review")?.id || null;
+  };
+
+  const reviewEntry = entries.find((entry) => entry.id === reviewId) || null;
+  const reviewIdx = entries.findIndex((entry) => entry.id === reviewId);
+  const pendingReview = entries.filter((entry) => entry.status === "needs-review").length;
+  const doneCount = entries.filter((entry) => entry.status === "done").length;
+
+  /**
+   * Editing a row counts as reviewing it, so its flag is cleared.
+   */
+  const handleItemChange = (index, field, newValue) => {
+    const items = [...reviewEntry.items];
+    items[index] = { ...items[index], [field]: newValue, needsReview: false };
+    updateEntry(reviewEntry.id, { items });
+  };
+
+  const handleConfirmItem = (index) => {
+    const items = [...reviewEntry.items];
+    items[index] = { ...items[index], needsReview: false };
+    updateEntry(reviewEntry.id, { items });
+  };
+
+  const handleSpliceItems = (index, deleteCount, rows) => {
+    const items = [...reviewEntry.items];
+    items.splice(index, deleteCount, ...rows);
+    updateEntry(reviewEntry.id, { items });
+  };
+
+  /**
+   * Saves the reviewed receipt as its own draft and moves on to the next one.
+   */
+  const handleConfirmReceipt = async () => {
+    const user = auth.currentUser;
+    if (!user) {
+      alert("Please log in to save receipts.");
+      return;
+    }
+    if (!reviewEntry.name.trim()) {
+      alert("Please enter a valid name for your receipt before continuing.");
+      return;
+    }
+    if (reviewEntry.items.length === 0) {
+      alert("This receipt has no items. Add at least one or remove it from the queue.");
+      return;
+    }
+    const flagged = reviewEntry.items.filter((item) => item.needsReview).length;
+    if (flagged > 0) {
+      alert(`${flagged} highlighted row(s) still need a check. Edit or confirm them first.`);
+      return;
+    }
+
+    const { result } = reviewEntry;
+    const draft = {
+      items: reviewEntry.items,
+      header: result.header,
+      codes: result.codes,
+      // Total as edited, so later uploads of this receipt are recognized
+      fingerprint: buildFingerprint({
+        ...result.fingerprint,
+        total: receiptTotal(reviewEntry.items),
+      }),
+      imageSources: result.imageSources,
+      localeId: locale.id,
+      name: reviewEntry.name.trim(),
+    };
+
+    setSaving(true);
+    let duplicate = null;
+    try {
+      duplicate = await findExistingReceipt(user.uid, draft.fingerprint);
+    } catch (err) {
+      // A failed lookup just skips the check
+      console.error("Error checking for duplicate receipts:", err);
+    }
+    if (duplicate) {
+      setSaving(false);
+      setDuplicateMatch({ ...duplicate, entryId: reviewEntry.id, draft });
+      return;
+    }
+    await saveEntry(user.uid, reviewEntry.id, draft);
+  };
+
+  const saveEntry = async (userId, entryId, draft) => {
+    setSaving(true);
+    try {
+      const { id } = await createReceiptDraft(userId, draft);
+      updateEntry(entryId, { status: "done", draftId: id });
+      setReviewId(nextToReview(entryId));
+    } catch (err) {
+      console.error("Error saving receipt:", err);
+      alert("Failed to save receipt. Please try again.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * Duplicate prompt: this entry becomes a link to the user's earlier receipt,
+   * which is shown in the history unless other receipts are still waiting,
+   * since leaving the page would stop the queue. A group member's receipt is
+   * never linked (the entry would then edit their document); it is shown in
+   * the history, after asking if that leaves receipts unsaved.
+   */
+  const handleOpenExisting = () => {
+    const { receipt, entryId, shared } = duplicateMatch;
+    const next = nextToReview(entryId);
+    const unread = entries.some((entry) => ["queued", "processing"].includes(entry.status));
+    const openInHistory = () =>
+      navigate("/receipt/history", { state: { openReceiptId: receipt.id } });
+
+    if (shared) {
+      const unsaved = entries.filter((entry) => entry.status !== "done").length;
+      if (
+        unsaved > 1 &&
+        !window.confirm(`Leave the batch? ${unsaved - 1} other receipt(s) are not saved yet.`)
+      ) {
+        return;
+      }
+      setDuplicateMatch(null);
+      openInHistory();
+      return;
+    }
+
+    setDuplicateMatch(null);
+    updateEntry(entryId, { status: "done", draftId: receipt.id });
+    if (next || unread) {
+      setReviewId(next);
+    } else {
+      openInHistory();
+    }
+  };
+
+  /**
+   * Duplicate prompt: save this receipt anyway, linked to the one it resembles.
+   */
+  const handleContinueDuplicate = async () => {
+    const { receipt, entryId, draft } = duplicateMatch;
+    setDuplicateMatch(null);
+    const user = auth.currentUser;
+    if (!user) {
+      alert("Please log in to save receipts.");
+      return;
+    }
+    await saveEntry(user.uid, entryId, { ...draft, duplicateOf: receipt.id });
+  };
+
+  return (
+    <div className="pt-28 px-6 min-h-screen bg-gradient-to-b from-gray-50 to-gray-100">
+      <h1 className="text-2xl font-bold mb-4">Batch Upload</h1>
+      <p className="text-gray-600 mb-6">
+        Drop all your receipt photos at once; each photo is one receipt. They are read
+        one after another in the background. Step through them with “Review,” fix
+        anything highlighted and confirm; each confirmed receipt is saved as a draft
+        in your history. One receipt over several photos?{" "}
+        <Link to="/receipt/upload" className="text-purple-600 underline">
+          Upload it on its own
+        </Link>
+        .
+      </p>
+
+      <div
+        {...getRootProps()}
+        className={`mb-6 p-8 border-2 border-dashed rounded ${
+          isDragActive ? "border-blue-400 bg-blue-50" : "border-gray-300 bg-white"
+        }`}
+      >
+        <input {...getInputProps()} />
+        <p className="text-center text-gray-600">
+          {isDragActive
+            ? "Drop the receipts here..."
+            : "Drag & drop receipt photos here, or click to select them"}
+        </p>
+      </div>
+
+      {/* Queue */}
+      {entries.length > 0 && (
+        <div className="mb-6 p-5 bg-white rounded shadow w-full max-w-4xl">
+          <div className="flex flex-wrap items-center gap-3 mb-3">
+            <h3 className="text-xl font-bold text-gray-800 mr-auto">
+              Receipts ({doneCount}/{entries.length} done)
+            </h3>
+            {pendingReview > 0 && !reviewEntry && (
+              <button
+                onClick={() =>
+                  setReviewId(entries.find((entry) => entry.status === "needs-review").id)
+                }
+                className="px-4 py-2 bg-purple-600 text-white font-semibold rounded shadow hover:bg-purple-700 transition"
+              >
+                Review {pendingReview} Receipt{pendingReview === 1 ? "" : "s"}
+              </button>
+            )}
+          </div>
+          <ul className="divide-y">
+            {entries.map((entry) => (
+              <li key={entry.id} className="flex items-center gap-3 py-2">
+                <img
+                  src={entry.previewUrl}
+                  alt={entry.file.name}
+                  className="w-12 h-16 object-cover rounded border"
+                />
+                <div className="flex-1 min-w-0">
+                  <p className="font-medium text-gray-800 truncate">
+                    {entry.name || entry.file.name}
+                  </p>
+                  {entry.status === "processing" && (
+                    <div className="w-full max-w-xs bg-gray-200 rounded-full h-2 mt-1">
+                      <div
+                        className="bg-blue-500 h-2 rounded-full transition-all duration-500 ease-out"
+                        style={{ width: `${entry.progress}%` }}
+                      />
+                    </div>
+                  )}
+                  {entry.status === "needs-review" && (
+                    <p className="text-xs text-gray-500">
+                      {entry.items.length} row(s) ·{" "}
+                      {entry.items.filter((item) => item.needsReview).length} to check
+                    </p>
+                  )}
+                  {entry.status === "error" && (
+                    <p className="text-xs text-red-600">{entry.error}</p>
+                  )}
+                </div>
+                <span
+                  className={`px-2 py-0.5 text-xs font-semibold rounded ${STATUS_STYLES[entry.status]}`}
+                >
+                  {STATUS_LABELS[entry.status]}
+                  {entry.status === "processing" && ` ${entry.progress}%`}
+                </span>
+                {entry.status === "needs-review" && (
+                  <button
+                    onClick={() => setReviewId(entry.id)}
+                    className="text-purple-600 hover:underline text-sm"
+                  >
+                    Review
+                  </button>
+                )}
+                {entry.status === "error" && (
+                  <button
+                    onClick={() => updateEntry(entry.id, { status: "queued", error: null })}
+                    className="text-blue-600 hover:underline text-sm"
+                  >
+                    Retry
+                  </button>
+                )}
+                {entry.status === "done" && (
+                  <button
+                    onClick={() => navigate(`/receipt/${entry.draftId}/analysis`)}
+                    className="text-green-700 hover:underline text-sm"
+                  >
+                    Open
+                  </button>
+                )}
+                {entry.status !== "processing" && entry.status !== "done" && (
+                  <button
+                    onClick={() => handleRemoveEntry(entry.id)}
+                    className="text-red-600 hover:underline text-sm"
+                  >
+                    Remove
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {/* Step-through review of one receipt */}
+      {reviewEntry && (
+        <div className="mb-10 p-5 bg-white rounded shadow w-full max-w-4xl">
+          <div className="flex flex-wrap items-center gap-3 mb-4">
+            <h3 className="text-xl font-bold text-gray-800 mr-auto">
+              Review receipt {reviewIdx + 1} of {entries.length}
+            </h3>
+            <button
+              onClick={() => setReviewId(null)}
+              className="text-gray-600 hover:underline text-sm"
+            >
+              Close
+            </button>
+          </div>
+
+          <div className="flex flex-col md:flex-row gap-6">
+            <a
+              href={reviewEntry.previewUrl}
+              target="_blank"
+              rel="noreferrer"
+              className="md:w-1/3 shrink-0"
+              title="Open the full photo"
+            >
+              <img
+                src={reviewEntry.previewUrl}
+                alt={reviewEntry.file.name}
+                className="w-full max-h-[480px] object-contain border rounded bg-gray-50"
+              />
+            </a>
+
+            <div className="flex-1 min-w-0">
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Receipt Name / Label
+              </label>
+              <input
+                type="text"
+                className="w-full mb-4 bg-purple-50 border border-purple-200 rounded px-3 py-2 focus:outline-none focus:ring-2 focus:ring-purple-400"
+                value={reviewEntry.name}
+                onChange={(e) => updateEntry(reviewEntry.id, { name: e.target.value })}
+              />
+
+              <ItemGrid
+                items={reviewEntry.items}
+                onChange={handleItemChange}
+                onSplice={handleSpliceItems}
+                rowClassName={(item) => (item.needsReview ? "bg-amber-50" : "")}
+                renderDetails={(item) =>
+                  item.needsReview && (
+                    <p className="mt-1 text-xs text-amber-700">Check: {reviewReason(item)}</p>
+                  )
+                }
+                renderActions={(item, idx) =>
+                  item.needsReview && (
+                    <button
+                      onClick={() => handleConfirmItem(idx)}
+                      className="px-3 py-1 bg-amber-500 text-white rounded shadow hover:bg-amber-600 transition"
+                    >
+                      OK
+                    </button>
+                  )
+                }
+              />
+
+              <p className="mt-3 text-right text-gray-700">
+                Total: <b>{formatMoney(receiptTotal(reviewEntry.items))}</b>
+              </p>
+
+              <div className="mt-6 flex flex-wrap justify-end gap-3">
+                <button
+                  onClick={() => setReviewId(nextToReview(reviewEntry.id))}
+                  disabled={saving || pendingReview < 2}
+                  className="px-4 py-2 bg-gray-200 text-gray-800 font-semibold rounded shadow hover:bg-gray-300 transition disabled:opacity-50"
+                >
+                  Skip for Now
+                </button>
+                <button
+                  onClick={handleConfirmReceipt}
+                  disabled={saving}
+                  className="px-4 py-2 bg-green-600 text-white font-semibold rounded shadow hover:bg-green-700 transition disabled:opacity-50"
+                >
+                  {saving ? "Saving..." : "Confirm & Save Draft"}
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {duplicateMatch && (
+        <DuplicateReceiptPrompt
+          match={duplicateMatch}
+          onOpenExisting={handleOpenExisting}
+          onContinue={handleContinueDuplicate}
+        />
+      )}
+    </div>
+  );
+}
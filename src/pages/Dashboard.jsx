@@ -39,6 +39,30 @@ export default function Dashboard() {
           >
             Upload Receipt
           </Link>
+          <Link
+            to="/receipt/batch"
+            className="p-4 bg-blue-600 text-white font-semibold rounded shadow hover:bg-blue-700 transition text-center"
+          >
+            Batch Upload
+          </Link>
+          <Link
+            to="/receipt/import"
+            className="p-4 bg-blue-600 text-white font-semibold rounded shadow hover:bg-blue-700 transition text-center"
+          >
+            Import E-Receipt
+          </Link>
+          <Link
+            to="/receipt/drafts"
+            className="p-4 bg-blue-600 text-white font-semibold rounded shadow hover:bg-blue-700 transition text-center"
+          >
+            My Drafts
+          </Link>
+          <Link
+            to="/receipt/catalog"
+            className="p-4 bg-blue-600 text-white font-semibold rounded shadow hover:bg-blue-700 transition text-center"
+          >
+            My Items
+          </Link>
           <Link
             to="/receipt/history"
             className="p-4 bg-blue-600 text-white font-semibold rounded shadow hover:bg-blue-700 transition text-center"
@@ -0,0 +1,350 @@
+/**
+ * File: /src/pages/ImportReceipt.jsx
+ */
+
+import { useState } from "react";
+import { useNavigate } from "react-router-dom";
+import {
+  importReceipt,
+  detectImportFormat,
+  IMPORT_FORMATS,
+} from "../utils/receiptImport";
+import { getLocale, loadLocaleId } from "../utils/locales";
+import { parseAmount, formatMoney } from "../utils/helpers";
+import { getAuth } from "firebase/auth";
+import { buildFingerprint, receiptTotal } from "../utils/receiptFingerprint";
+import { createReceiptDraft, findExistingReceipt } from "../services/receiptDrafts";
+import DuplicateReceiptPrompt from "../components/DuplicateReceiptPrompt";
+
+const auth = getAuth();
+
+const CSV_EXAMPLE = `qty,name,price
+2,Burger,12.50
+1,"Fries, large",4.00
+1,Tax,2.10`;
+
+const JSON_EXAMPLE = `{
+  "name": "Dinner at Joe's",
+  "items": [
+    { "qty": 2, "name": "Burger", "price": 12.5 },
+    { "name": "Fries", "price": "4.00" }
+  ],
+  "adjustments": [{ "type": "discount", "name": "Promo", "amount": -5 }],
+  "tax": 3.2,
+  "tip": 6
+}`;
+
+/**
+ * ImportReceipt Component
+ * For receipts that arrive as text (delivery/ride app emails, exports):
+ * paste a plain-text or HTML email body, or load a CSV or JSON file, preview
+ * the items with any per-line problems, then continue to the analysis page
+ * with a receipt draft like the one InputReceipt saves. Like an upload, an
+ * import that matches a receipt the user or their group already has asks
+ * before it is saved again.
+ */
+export default function ImportReceipt() {
+  const [input, setInput] = useState("");
+  const [fileName, setFileName] = useState("");
+  const [format, setFormat] = useState(""); // "" = detect
+  const [receiptName, setReceiptName] = useState("");
+  const [result, setResult] = useState(null); // { header, items, tax, tip, errors, format }
+  const [duplicateMatch, setDuplicateMatch] = useState(null); // { receipt, reason, shared, draft }
+
+  const navigate = useNavigate();
+
+  /**
+   * Loads a file's text into the input box; it is imported right away.
+   */
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const text = await file.text();
+      setInput(text);
+      setFileName(file.name);
+      runImport(text, file.name);
+    } catch (err) {
+      console.error("Error reading import file:", err);
+      alert("Could not read that file.");
+    }
+  };
+
+  const runImport = (text, name = fileName) => {
+    if (!text.trim()) {
+      alert("Paste a receipt or choose a file first.");
+      return;
+    }
+    const chosenFormat = format || detectImportFormat(text, name);
+    const imported = importReceipt(text, chosenFormat, getLocale(loadLocaleId()));
+    setResult({ ...imported, format: chosenFormat });
+    if (imported.name && !receiptName.trim()) setReceiptName(imported.name);
+  };
+
+  /**
+   * Saves the imported receipt as a draft like InputReceipt does and moves on to analysis.
+   */
+  const handleContinue = async () => {
+    if (!result || result.items.length === 0) {
+      alert("Nothing to continue with yet. Import a receipt with at least one item.");
+      return;
+    }
+    if (!receiptName.trim()) {
+      alert("Please enter a valid name for your receipt before continuing.");
+      return;
+    }
+    if (
+      result.errors.length > 0 &&
+      !window.confirm(
+        `${result.errors.length} line(s) could not be imported. Continue without them?`
+      )
+    ) {
+      return;
+    }
+
+    const user = auth.currentUser;
+    if (!user) {
+      alert("Please log in to save your receipt.");
+      return;
+    }
+
+    // CSV and JSON have no store name but the receipt's; tax and tip count
+    // towards the total when no Total line was imported
+    const fingerprint = buildFingerprint({
+      merchant: result.header?.merchant || receiptName.trim(),
+      date: result.header?.date,
+      total: receiptTotal([
+        ...result.items,
+        { qty: "1", name: "Tax", price: result.tax.toFixed(2) },
+        { qty: "1", name: "Tip", price: result.tip.toFixed(2) },
+      ]),
+    });
+    const draft = {
+      name: receiptName.trim(),
+      items: result.items,
+      tax: result.tax,
+      tip: result.tip,
+      header: result.header,
+      fingerprint,
+    };
+
+    let duplicate = null;
+    try {
+      duplicate = await findExistingReceipt(user.uid, fingerprint);
+    } catch (err) {
+      // A failed lookup just skips the check
+      console.error("Error checking for duplicate receipts:", err);
+    }
+    if (duplicate) {
+      setDuplicateMatch({ ...duplicate, draft });
+    } else {
+      await saveDraft(user.uid, draft);
+    }
+  };
+
+  const saveDraft = async (userId, draft) => {
+    try {
+      const { id } = await createReceiptDraft(userId, draft);
+      navigate(`/receipt/${id}/analysis`);
+    } catch (err) {
+      console.error("Error saving receipt draft:", err);
+      alert("Failed to save receipt. Please try again.");
+    }
+  };
+
+  /**
+   * Duplicate prompt: show the earlier receipt in the history instead.
+   */
+  const handleOpenExisting = () => {
+    const { receipt } = duplicateMatch;
+    setDuplicateMatch(null);
+    navigate("/receipt/history", { state: { openReceiptId: receipt.id } });
+  };
+
+  /**
+   * Duplicate prompt: save this import anyway, linked to the one it resembles.
+   */
+  const handleContinueDuplicate = async () => {
+    const { receipt, draft } = duplicateMatch;
+    setDuplicateMatch(null);
+    const user = auth.currentUser;
+    if (!user) {
+      alert("Please log in to save your receipt.");
+      return;
+    }
+    await saveDraft(user.uid, { ...draft, duplicateOf: receipt.id });
+  };
+
+  return (
+    <div className="pt-28 px-6 min-h-screen bg-gradient-to-b from-gray-50 to-gray-100">
+      <h1 className="text-2xl font-bold mb-4">Import E-Receipt</h1>
+      <p className="text-gray-600 mb-6">
+        Paste an emailed receipt (plain text or HTML) or load a CSV or JSON file.
+        Check the items below, then press “Continue” to split them.
+      </p>
+
+      {/* Receipt Name Field */}
+      <div className="mb-6 w-full max-w-3xl bg-white p-5 rounded shadow">
+        <label className="block text-lg font-medium text-gray-700 mb-2">
+          Receipt Name / Label
+        </label>
+        <input
+          type="text"
+          className="w-full bg-purple-50 border border-purple-200 rounded px-3 py-2 focus:outline-none focus:ring-2 focus:ring-purple-400"
+          placeholder="e.g. Friday takeout"
+          value={receiptName}
+          onChange={(e) => setReceiptName(e.target.value)}
+        />
+      </div>
+
+      {/* Input Section */}
+      <div className="mb-6 w-full max-w-3xl bg-white p-5 rounded shadow">
+        <div className="flex flex-wrap items-center gap-3 mb-3">
+          <label className="px-4 py-2 bg-gray-200 text-gray-800 font-semibold rounded cursor-pointer hover:bg-gray-300 transition">
+            📂 Choose File
+            <input
+              type="file"
+              accept=".txt,.csv,.json,.html,.htm,text/plain,text/csv,application/json,text/html"
+              className="hidden"
+              onChange={handleFileChange}
+            />
+          </label>
+          {fileName && <span className="text-sm text-gray-600">{fileName}</span>}
+          <label className="flex items-center gap-2 text-gray-700 ml-auto">
+            <span>Format:</span>
+            <select
+              value={format}
+              onChange={(e) => setFormat(e.target.value)}
+              className="bg-white border border-gray-300 rounded px-2 py-1 focus:outline-none focus:ring-2 focus:ring-purple-400"
+            >
+              <option value="">Detect automatically</option>
+              {Object.entries(IMPORT_FORMATS).map(([id, label]) => (
+                <option key={id} value={id}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+        <textarea
+          rows={10}
+          className="w-full font-mono text-sm bg-purple-50 border border-purple-200 rounded px-3 py-2 focus:outline-none focus:ring-2 focus:ring-purple-400"
+          placeholder="Paste the receipt email, CSV lines or JSON here..."
+          value={input}
+          onChange={(e) => {
+            setInput(e.target.value);
+            setFileName("");
+          }}
+        />
+        <button
+          onClick={() => runImport(input)}
+          className="mt-3 px-5 py-2 bg-blue-600 text-white font-semibold rounded shadow hover:bg-blue-700 transition"
+        >
+          Import
+        </button>
+
+        <details className="mt-4 text-sm text-gray-600">
+          <summary className="cursor-pointer font-semibold">Supported formats</summary>
+          <p className="mt-2">
+            <span className="font-semibold">Text / email:</span> one item per line with its
+            price, like a printed receipt. Tax, Tip, Subtotal, Total, fees and discounts
+            are recognized by their labels.
+          </p>
+          <p className="mt-2">
+            <span className="font-semibold">CSV:</span> qty,name,price per line (the header
+            row is optional). Rows named Tax or Tip set those amounts.
+          </p>
+          <pre className="mt-1 p-2 bg-gray-50 border rounded overflow-auto">{CSV_EXAMPLE}</pre>
+          <p className="mt-2">
+            <span className="font-semibold">JSON:</span> only <code>items</code> is required;{" "}
+            <code>qty</code> defaults to 1 and <code>price</code> is per unit. Adjustment types
+            are discount, void, deposit and fee; discounts and voids are always taken off.
+          </p>
+          <pre className="mt-1 p-2 bg-gray-50 border rounded overflow-auto">{JSON_EXAMPLE}</pre>
+        </details>
+      </div>
+
+      {/* Per-line problems */}
+      {result && result.errors.length > 0 && (
+        <div className="mb-6 w-full max-w-3xl p-4 bg-red-50 border border-red-200 rounded text-sm">
+          <h3 className="font-bold text-red-700 mb-2">
+            {result.errors.length} problem{result.errors.length === 1 ? "" : "s"} found
+          </h3>
+          <ul className="space-y-1 text-red-800">
+            {result.errors.map((error, idx) => (
+              <li key={idx}>
+                <span className="font-semibold">
+                  {error.line !== null ? `Line ${error.line}` : error.text || "Receipt"}:
+                </span>{" "}
+                {error.message}
+                {error.line !== null && error.text && (
+                  <code className="ml-2 px-1 bg-white border rounded">{error.text}</code>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {/* Preview */}
+      {result && result.items.length > 0 && (
+        <div className="mb-6 p-5 bg-white rounded shadow w-full max-w-3xl">
+          <h3 className="text-xl font-bold mb-3 text-gray-800 flex items-center gap-2">
+            <span>🛒</span> Imported Items ({IMPORT_FORMATS[result.format]})
+          </h3>
+          <div className="overflow-auto">
+            <table className="w-full text-left text-sm">
+              <thead>
+                <tr className="bg-purple-100 text-purple-700 uppercase">
+                  <th className="p-2 font-semibold w-20">Qty</th>
+                  <th className="p-2 font-semibold">Item / Label</th>
+                  <th className="p-2 font-semibold w-24">Price</th>
+                </tr>
+              </thead>
+              <tbody>
+                {result.items.map((item, idx) => (
+                  <tr key={idx} className="border-b last:border-none">
+                    <td className="p-2">{item.qty}</td>
+                    <td className="p-2">
+                      {item.name}
+                      {item.adjustment && (
+                        <span className="ml-2 text-xs text-gray-500">· whole receipt</span>
+                      )}
+                      {(item.adjustments || []).map((adj, adjIdx) => (
+                        <div key={adjIdx} className="text-xs text-gray-500">
+                          {adj.label} {formatMoney(parseAmount(adj.amount))}
+                        </div>
+                      ))}
+                    </td>
+                    <td className="p-2">{formatMoney(parseAmount(item.price))}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <p className="mt-3 text-sm text-gray-700">
+            Tax: {formatMoney(result.tax)} · Tip: {formatMoney(result.tip)}
+          </p>
+        </div>
+      )}
+
+      <div className="mt-2 mb-10">
+        <button
+          onClick={handleContinue}
+          className="px-6 py-3 bg-green-600 text-white font-semibold rounded shadow hover:bg-green-700 transition"
+        >
+          Continue
+        </button>
+      </div>
+
+      {duplicateMatch && (
+        <DuplicateReceiptPrompt
+          match={duplicateMatch}
+          onOpenExisting={handleOpenExisting}
+          onContinue={handleContinueDuplicate}
+        />
+      )}
+    </div>
+  );
+}
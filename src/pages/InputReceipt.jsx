@@ -2,57 +2,136 @@
  * File: /src/pages/InputReceipt.jsx
  */
 
-import React, { useState } from "react";
-import { useNavigate } from "react-router-dom";
+import React, { useState, useEffect, useCallback } from "react";
+import { Link, useNavigate, useParams } from "react-router-dom";
+import { getAuth } from "firebase/auth";
+import {
+  createReceiptDraft,
+  loadReceiptDraft,
+  updateReceiptDraft,
+} from "../services/receiptDrafts";
+import { loadItemCatalog } from "../services/itemCatalog";
+import { rankCatalogItems } from "../utils/itemCatalog";
+import { formatMoney } from "../utils/helpers";
+import { detachModifier } from "../utils/modifiers";
+import {
+  TIP_PRESETS,
+  TIP_BASES,
+  resolveTaxAndTip,
+  chargeFromRule
+} from "../utils/taxTip";
+import useDraftAutosave from "../hooks/useDraftAutosave";
+import useUndoHistory from "../hooks/useUndoHistory";
+import DraftStatus from "../components/DraftStatus";
+import ItemModifiers from "../components/ItemModifiers";
+import ItemGrid from "../components/ItemGrid";
+import ChargeInput from "../components/ChargeInput";
+import UndoRedoButtons from "../components/UndoRedoButtons";
 
-// Predefined item templates for auto-suggestions
-const predefinedItems = [
-  { qty: "1", name: "Coffee", price: "2.50" },
-  { qty: "1", name: "Sandwich", price: "5.00" },
-  { qty: "1", name: "Salad", price: "4.50" },
-  { qty: "1", name: "Juice", price: "3.00" },
-  { qty: "1", name: "Buffalo Wild Wings", price: "5.00" }
-];
+const auth = getAuth();
 
 /**
  * InputReceipt Component
  * Allows users to provide a name/label for the receipt, manually input items,
- * optionally add Tax and Tip, and then saves all data to localStorage before
- * navigating to the analysis page.
+ * optionally add Tax and Tip (in dollars or as a percentage), and then saves all data as a receipt draft
+ * (services/receiptDrafts.js) before navigating to its analysis page.
+ * At /receipt/:receiptId/edit it edits an existing draft instead, autosaving
+ * each change. Item suggestions come from the user's own catalog of past
+ * purchases (services/itemCatalog.js), favouring the draft's merchant.
  */
 export default function InputReceipt() {
+  const { receiptId } = useParams(); // set when editing an existing draft
+  const [loadingDraft, setLoadingDraft] = useState(Boolean(receiptId));
+
   // New state for the "Receipt Name"
   const [receiptName, setReceiptName] = useState("");
 
   // Existing states for items, search term, etc.
   const [items, setItems] = useState([]);
   const [searchTerm, setSearchTerm] = useState("");
-  const [receiptTax, setReceiptTax] = useState("");
-  const [receiptTip, setReceiptTip] = useState("");
+  // Tax & Tip as entered: { mode: "amount" | "percent", value } (see utils/taxTip.js)
+  const [receiptTax, setReceiptTax] = useState({ mode: "amount", value: "" });
+  const [receiptTip, setReceiptTip] = useState({ mode: "amount", value: "", base: "pre-tax" });
+  const [merchant, setMerchant] = useState(null); // from a scanned draft
+  const [catalog, setCatalog] = useState([]);
 
   const navigate = useNavigate();
 
-  // Filter items based on the search term for suggestions
-  const filteredSuggestions = predefinedItems.filter((item) =>
-    item.name.toLowerCase().includes(searchTerm.toLowerCase())
-  );
+  /**
+   * Load the user's item catalog for suggestions
+   */
+  useEffect(() => {
+    const user = auth.currentUser;
+    if (!user) return;
+    loadItemCatalog(user.uid)
+      .then(setCatalog)
+      .catch((err) => console.error("Error loading item catalog:", err));
+  }, []);
 
   /**
-   * handleAddPredefinedItem: add a predefined item to the list and clear search
+   * applyDraftFields: put a draft's name, items and tax/tip into the form
+   * (when loading it, and when undoing back to an earlier version)
    */
-  const handleAddPredefinedItem = (item) => {
-    setItems((prevItems) => [...prevItems, item]);
-    setSearchTerm("");
-  };
+  const applyDraftFields = useCallback((draft) => {
+    setReceiptName(draft.name || "");
+    setItems(draft.items || []);
+    setReceiptTax(chargeFromRule(draft.taxRule, draft.tax));
+    setReceiptTip({
+      ...chargeFromRule(draft.tipRule, draft.tip),
+      base: draft.tipRule?.base || "pre-tax"
+    });
+  }, []);
 
   /**
-   * handleAddItem: add a blank item for manual entry
+   * Editing a draft: load it once.
    */
-  const handleAddItem = () => {
+  useEffect(() => {
+    if (!receiptId) return;
+    const loadDraft = async () => {
+      setLoadingDraft(true);
+      try {
+        const draft = await loadReceiptDraft(receiptId);
+        if (!draft) {
+          alert("Receipt draft not found or no longer available.");
+          navigate("/receipt/drafts");
+          return;
+        }
+        applyDraftFields(draft);
+        setMerchant(draft.merchant || null);
+      } catch (err) {
+        console.error("Error loading receipt draft:", err);
+        alert("Failed to load the receipt draft. Please try again.");
+      } finally {
+        setLoadingDraft(false);
+      }
+    };
+    loadDraft();
+  }, [receiptId, navigate, applyDraftFields]);
+
+  // Tax & Tip in dollars (percentages worked out on the items), plus the rules
+  const { tax, tip, taxRule, tipRule } = resolveTaxAndTip(items, receiptTax, receiptTip);
+  const draftFields = { name: receiptName.trim(), items, tax, tip, taxRule, tipRule };
+
+  const autosaveStatus = useDraftAutosave(receiptId, loadingDraft ? null : draftFields);
+  // Undo/redo over the same fields, kept across reloads of this draft
+  const history = useUndoHistory(
+    receiptId || null,
+    loadingDraft ? null : draftFields,
+    applyDraftFields
+  );
+
+  // Catalog items matching the search, most bought (here, then anywhere) first
+  const filteredSuggestions = rankCatalogItems(catalog, { search: searchTerm, merchant });
+
+  /**
+   * handleAddSuggestedItem: add a catalog item at its last price and clear search
+   */
+  const handleAddSuggestedItem = (suggestion) => {
     setItems((prevItems) => [
       ...prevItems,
-      { qty: "1", name: "New Item", price: "0.00" }
+      { qty: "1", name: suggestion.name, price: suggestion.price.toFixed(2) }
     ]);
+    setSearchTerm("");
   };
 
   /**
@@ -67,21 +146,28 @@ export default function InputReceipt() {
   };
 
   /**
-   * handleRemoveItem: remove an item from the list by index
+   * handleDetachModifier: turn an add-on back into an item of its own
+   */
+  const handleDetachModifier = (index, modifierIndex) => {
+    setItems((prevItems) => detachModifier(prevItems, index, modifierIndex));
+  };
+
+  /**
+   * handleSpliceItems: insert, remove or replace rows (grid edits and pastes)
    */
-  const handleRemoveItem = (index) => {
+  const handleSpliceItems = (index, deleteCount, rows) => {
     setItems((prevItems) => {
       const updated = [...prevItems];
-      updated.splice(index, 1);
+      updated.splice(index, deleteCount, ...rows);
       return updated;
     });
   };
 
   /**
-   * handleSubmit: validate and then save all data to localStorage before
-   * navigating to the ReceiptAnalysis page
+   * handleSubmit: validate and then save all data to the draft before
+   * navigating to its ReceiptAnalysis page
    */
-  const handleSubmit = () => {
+  const handleSubmit = async () => {
     // Basic validations
     if (!receiptName.trim()) {
       alert("Please enter a valid name for your receipt before submitting.");
@@ -92,30 +178,44 @@ export default function InputReceipt() {
       return;
     }
 
-    // Convert Tax & Tip to numeric safely
-    let taxNumber = parseFloat(receiptTax) || 0;
-    let tipNumber = parseFloat(receiptTip) || 0;
-    if (taxNumber < 0) {
-      taxNumber = 0; // prevent negative tax
-    }
-    if (tipNumber < 0) {
-      tipNumber = 0; // prevent negative tip
+    const user = auth.currentUser;
+    if (!user) {
+      alert("Please log in to save your receipt.");
+      return;
     }
 
-    // Save to localStorage
-    localStorage.setItem("receiptName", receiptName.trim());
-    localStorage.setItem("receiptItems", JSON.stringify(items));
-    localStorage.setItem("receiptTax", taxNumber.toString());
-    localStorage.setItem("receiptTip", tipNumber.toString());
-
-    alert("Receipt Name, Items, and Tax/Tip saved successfully!");
-    navigate("/receipt/analysis"); // Navigate to the ReceiptAnalysis page
+    // Save the draft (a manual receipt has no scanned details, codes or photos)
+    try {
+      let draftId = receiptId;
+      if (draftId) {
+        await updateReceiptDraft(draftId, draftFields);
+      } else {
+        draftId = (await createReceiptDraft(user.uid, draftFields)).id;
+      }
+      alert("Receipt Name, Items, and Tax/Tip saved successfully!");
+      navigate(`/receipt/${draftId}/analysis`); // Navigate to the ReceiptAnalysis page
+    } catch (err) {
+      console.error("Error saving receipt draft:", err);
+      alert("Failed to save receipt. Please try again.");
+    }
   };
 
+  if (loadingDraft) {
+    return (
+      <div className="pt-28 px-6 min-h-screen bg-gradient-to-b from-gray-50 to-gray-100">
+        <p className="text-gray-600">Loading receipt draft...</p>
+      </div>
+    );
+  }
+
   return (
     <div className="pt-28 px-6 min-h-screen bg-gradient-to-b from-gray-50 to-gray-100">
       {/* Header */}
-      <h1 className="text-2xl font-bold mb-4">Input Receipt</h1>
+      <div className="flex flex-wrap items-baseline gap-3 mb-4">
+        <h1 className="text-2xl font-bold">{receiptId ? "Edit Receipt" : "Input Receipt"}</h1>
+        {receiptId && <DraftStatus status={autosaveStatus} />}
+        <UndoRedoButtons history={history} />
+      </div>
       <p className="text-gray-600 mb-6">
         Provide a name for your receipt, then input or search for items. Finally,
         add optional Tax/Tip. When done, click "Submit" to save everything
@@ -142,8 +242,15 @@ export default function InputReceipt() {
           htmlFor="search"
           className="block text-lg font-medium text-gray-700 mb-2"
         >
-          Search for Common Items
+          Search Your Items
         </label>
+        <p className="text-sm text-gray-500 mb-2">
+          Items from receipts you’ve split before, at the price you last paid
+          {merchant ? ` (at ${merchant} where you’ve bought them there)` : ""}.{" "}
+          <Link to="/receipt/catalog" className="text-purple-600 underline">
+            Manage your items
+          </Link>
+        </p>
         <input
           type="text"
           id="search"
@@ -154,14 +261,19 @@ export default function InputReceipt() {
         />
         {searchTerm && (
           <ul className="mt-3 bg-white border border-gray-200 rounded shadow-lg max-h-48 overflow-auto">
-            {filteredSuggestions.map((item, index) => (
+            {filteredSuggestions.map((suggestion) => (
               <li
-                key={index}
+                key={suggestion.entry.id}
                 className="p-3 hover:bg-purple-100 cursor-pointer flex justify-between items-center"
-                onClick={() => handleAddPredefinedItem(item)}
+                onClick={() => handleAddSuggestedItem(suggestion)}
               >
-                <span>{item.name}</span>
-                <span className="text-gray-500">${item.price}</span>
+                <span>
+                  {suggestion.name}
+                  {suggestion.atMerchant && (
+                    <span className="ml-2 text-xs text-purple-600">bought here</span>
+                  )}
+                </span>
+                <span className="text-gray-500">{formatMoney(suggestion.price)}</span>
               </li>
             ))}
             {filteredSuggestions.length === 0 && (
@@ -169,6 +281,20 @@ export default function InputReceipt() {
             )}
           </ul>
         )}
+        {/* Quick picks before anything is typed */}
+        {!searchTerm && filteredSuggestions.length > 0 && (
+          <div className="mt-3 flex flex-wrap gap-2">
+            {filteredSuggestions.map((suggestion) => (
+              <button
+                key={suggestion.entry.id}
+                onClick={() => handleAddSuggestedItem(suggestion)}
+                className="px-3 py-1 bg-white border border-purple-200 rounded-full text-sm hover:bg-purple-100 transition"
+              >
+                {suggestion.name} · {formatMoney(suggestion.price)}
+              </button>
+            ))}
+          </div>
+        )}
       </div>
 
       {/* Items Table Section */}
@@ -177,81 +303,30 @@ export default function InputReceipt() {
           <span>🛒</span> Items (Manually Entered)
         </h3>
         <p className="text-sm text-gray-500 mb-4">
-          Adjust the quantity, name, or price for each row. Use “Add New Item”
-          to add additional items to the list.
+          Adjust the quantity, name, or price for each row, and list add-ons
+          (extra bacon, a side swap) under their item. Press Enter for a new
+          row, or paste lines copied from a spreadsheet or notes app.
         </p>
 
-        {items.length > 0 ? (
-          <div className="overflow-auto">
-            <table className="w-full text-left text-sm">
-              <thead>
-                <tr className="bg-purple-100 text-purple-700 uppercase">
-                  <th className="p-2 font-semibold w-20">Qty</th>
-                  <th className="p-2 font-semibold w-1/2">Item / Label</th>
-                  <th className="p-2 font-semibold w-24">Price</th>
-                  <th className="p-2 font-semibold w-24">Action</th>
-                </tr>
-              </thead>
-              <tbody>
-                {items.map((item, idx) => (
-                  <tr key={idx} className="border-b last:border-none">
-                    <td className="p-2">
-                      <input
-                        type="number"
-                        className="w-16 bg-purple-50 border border-purple-200 rounded px-2 py-1 focus:outline-none focus:ring-2 focus:ring-purple-400"
-                        value={item.qty}
-                        onChange={(e) =>
-                          handleItemChange(idx, "qty", e.target.value)
-                        }
-                      />
-                    </td>
-                    <td className="p-2">
-                      <input
-                        type="text"
-                        className="bg-purple-50 border border-purple-200 rounded px-2 py-1 w-full min-w-[240px] focus:outline-none focus:ring-2 focus:ring-purple-400"
-                        value={item.name}
-                        onChange={(e) =>
-                          handleItemChange(idx, "name", e.target.value)
-                        }
-                      />
-                    </td>
-                    <td className="p-2">
-                      <input
-                        type="number"
-                        step="0.01"
-                        className="w-20 bg-purple-50 border border-purple-200 rounded px-2 py-1 focus:outline-none focus:ring-2 focus:ring-purple-400"
-                        value={item.price}
-                        onChange={(e) =>
-                          handleItemChange(idx, "price", e.target.value)
-                        }
-                      />
-                    </td>
-                    <td className="p-2">
-                      <button
-                        onClick={() => handleRemoveItem(idx)}
-                        className="px-3 py-1 bg-red-500 text-white rounded shadow hover:bg-red-600 transition"
-                      >
-                        Remove
-                      </button>
-                    </td>
-                  </tr>
-                ))}
-              </tbody>
-            </table>
-          </div>
-        ) : (
-          <p className="text-gray-500 mb-4">No items added yet.</p>
-        )}
-
-        {/* Add New Item Button */}
-        <div className="mt-4">
-          <button
-            onClick={handleAddItem}
-            className="px-5 py-2 bg-blue-600 text-white font-semibold rounded shadow hover:bg-blue-700 transition"
-          >
-            + Add New Item
-          </button>
-        </div>
+        <ItemGrid
+          items={items}
+          onChange={handleItemChange}
+          onSplice={handleSpliceItems}
+          renderDetails={(item, idx) =>
+            // Add-ons are paid by whoever claims this item
+            !item.adjustment && (
+              <ItemModifiers
+                modifiers={item.modifiers || []}
+                onChange={(modifiers) =>
+                  handleItemChange(idx, "modifiers", modifiers)
+                }
+                onDetach={(modifierIdx) =>
+                  handleDetachModifier(idx, modifierIdx)
+                }
+              />
+            )
+          }
+        />
       </div>
 
       {/* Separate Fields for Tax & Tip */}
@@ -260,39 +335,64 @@ export default function InputReceipt() {
           <span>💰</span> Additional Charges
         </h3>
         <p className="text-sm text-gray-500 mb-4">
-          If applicable, enter your Tax and Tip amounts here. Negative values
-          will be treated as zero.
+          If applicable, enter your Tax and Tip as an amount or as a percentage
+          of the items. Negative values will be treated as zero.
         </p>
         <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-          {/* Tax Field */}
-          <div>
-            <label className="block font-medium text-gray-700 mb-1">
-              Tax
-            </label>
-            <input
-              type="number"
-              step="0.01"
-              className="w-full bg-purple-50 border border-purple-200 rounded px-3 py-2 focus:outline-none focus:ring-2 focus:ring-purple-400"
-              placeholder="0.00"
-              value={receiptTax}
-              onChange={(e) => setReceiptTax(e.target.value)}
-            />
-          </div>
+          {/* Tax Field (a percentage is of the pre-tax subtotal) */}
+          <ChargeInput
+            label="Tax"
+            charge={receiptTax}
+            amount={tax}
+            onChange={setReceiptTax}
+          />
 
-          {/* Tip Field */}
-          <div>
-            <label className="block font-medium text-gray-700 mb-1">
-              Tip
-            </label>
-            <input
-              type="number"
-              step="0.01"
-              className="w-full bg-purple-50 border border-purple-200 rounded px-3 py-2 focus:outline-none focus:ring-2 focus:ring-purple-400"
-              placeholder="0.00"
-              value={receiptTip}
-              onChange={(e) => setReceiptTip(e.target.value)}
-            />
-          </div>
+          {/* Tip Field, with common percentages and what they're taken of */}
+          <ChargeInput
+            label="Tip"
+            charge={receiptTip}
+            amount={tip}
+            onChange={setReceiptTip}
+          >
+            <div className="flex flex-wrap gap-2 mt-2">
+              {TIP_PRESETS.map((percent) => {
+                const isActive =
+                  receiptTip.mode === "percent" && receiptTip.value === String(percent);
+                return (
+                  <button
+                    key={percent}
+                    type="button"
+                    onClick={() =>
+                      setReceiptTip({ ...receiptTip, mode: "percent", value: String(percent) })
+                    }
+                    className={`px-3 py-1 rounded-full text-sm border transition ${
+                      isActive
+                        ? "bg-purple-600 text-white border-purple-600"
+                        : "bg-white border-purple-200 hover:bg-purple-100"
+                    }`}
+                  >
+                    {percent}%
+                  </button>
+                );
+              })}
+            </div>
+            {receiptTip.mode === "percent" && (
+              <label className="flex items-center gap-2 mt-2 text-sm text-gray-700">
+                Tip on
+                <select
+                  className="border border-purple-200 rounded p-1"
+                  value={receiptTip.base}
+                  onChange={(e) => setReceiptTip({ ...receiptTip, base: e.target.value })}
+                >
+                  {Object.entries(TIP_BASES).map(([base, label]) => (
+                    <option key={base} value={base}>
+                      {label}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            )}
+          </ChargeInput>
         </div>
       </div>
 
@@ -0,0 +1,296 @@
+/**
+ * File: /src/pages/ItemCatalog.jsx
+ */
+
+import { useState, useEffect } from "react";
+import { Link } from "react-router-dom";
+import { getAuth } from "firebase/auth";
+import {
+  loadItemCatalog,
+  updateCatalogItem,
+  mergeCatalogItems,
+  deleteCatalogItem,
+} from "../services/itemCatalog";
+import { catalogKey, entryMatches } from "../utils/itemCatalog";
+import { parseAmount, formatMoney, formatDate } from "../utils/helpers";
+
+const auth = getAuth();
+
+/**
+ * ItemCatalog Component ("My Items"):
+ * The items learned from the user's split receipts, which Input Receipt
+ * suggests. Entries can be renamed or repriced, merged when the same item was
+ * printed under different names, or deleted.
+ */
+export default function ItemCatalog() {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [errorMessage, setErrorMessage] = useState(null);
+  const [searchTerm, setSearchTerm] = useState("");
+  const [selectedIds, setSelectedIds] = useState([]); // entries to merge
+  const [editing, setEditing] = useState(null); // { id, name, price }
+
+  useEffect(() => {
+    const fetchCatalog = async () => {
+      try {
+        const user = auth.currentUser;
+        if (!user) {
+          throw new Error("User not authenticated. Please log in first.");
+        }
+        setEntries(await loadItemCatalog(user.uid));
+      } catch (err) {
+        console.error("Error fetching item catalog:", err);
+        setErrorMessage(err.message || "Failed to load your items.");
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchCatalog();
+  }, []);
+
+  const searchKey = catalogKey(searchTerm);
+  const visibleEntries = entries
+    .filter(
+      (entry) =>
+        !searchKey ||
+        entry.key.includes(searchKey) ||
+        (entry.aliases || []).some((alias) => alias.includes(searchKey))
+    )
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+
+  const replaceEntry = (updated) => {
+    setEntries((prev) => prev.map((entry) => (entry.id === updated.id ? updated : entry)));
+  };
+
+  const toggleSelected = (entryId) => {
+    setSelectedIds((prev) =>
+      prev.includes(entryId) ? prev.filter((id) => id !== entryId) : [...prev, entryId]
+    );
+  };
+
+  /**
+   * handleSaveEdit: rename/reprice an entry. A name another entry already has
+   * is refused; those two should be merged instead.
+   */
+  const handleSaveEdit = async () => {
+    const entry = entries.find((candidate) => candidate.id === editing.id);
+    const name = editing.name.trim();
+    if (!catalogKey(name)) {
+      alert("Please enter a name for the item.");
+      return;
+    }
+    const clash = entries.find(
+      (candidate) => candidate.id !== entry.id && entryMatches(candidate, catalogKey(name))
+    );
+    if (clash) {
+      alert(`"${clash.name}" already exists. Select both and use "Merge Selected" instead.`);
+      return;
+    }
+    try {
+      replaceEntry(
+        await updateCatalogItem(entry, { name, lastPrice: parseAmount(editing.price) })
+      );
+      setEditing(null);
+    } catch (err) {
+      console.error("Error updating catalog item:", err);
+      alert("Failed to save the item. Please try again.");
+    }
+  };
+
+  /**
+   * handleMerge: fold the selected entries into the most bought one
+   */
+  const handleMerge = async () => {
+    const selected = entries
+      .filter((entry) => selectedIds.includes(entry.id))
+      .sort((a, b) => b.count - a.count);
+    const [target, ...others] = selected;
+    if (
+      !window.confirm(
+        `Merge ${others.map((entry) => `"${entry.name}"`).join(", ")} into "${target.name}"?`
+      )
+    ) {
+      return;
+    }
+    try {
+      const merged = await mergeCatalogItems(target, others);
+      setEntries((prev) =>
+        prev
+          .filter((entry) => !others.some((other) => other.id === entry.id))
+          .map((entry) => (entry.id === merged.id ? merged : entry))
+      );
+      setSelectedIds([]);
+    } catch (err) {
+      console.error("Error merging catalog items:", err);
+      alert("Failed to merge the items. Please try again.");
+    }
+  };
+
+  const handleDelete = async (entry) => {
+    if (!window.confirm(`Delete "${entry.name}" from your items?`)) return;
+    try {
+      await deleteCatalogItem(entry.id);
+      setEntries((prev) => prev.filter((candidate) => candidate.id !== entry.id));
+      setSelectedIds((prev) => prev.filter((id) => id !== entry.id));
+    } catch (err) {
+      console.error("Error deleting catalog item:", err);
+      alert("Failed to delete the item. Please try again.");
+    }
+  };
+
+  return (
+    <div className="pt-28 px-6 min-h-screen bg-gradient-to-b from-gray-50 to-gray-100">
+      <h1 className="text-2xl font-bold mb-4">My Items</h1>
+      <p className="text-gray-600 mb-6">
+        Everything you’ve split before, learned from your saved receipts. These are
+        suggested on{" "}
+        <Link to="/receipt/input-receipt" className="text-purple-600 underline">
+          Input Receipt
+        </Link>
+        , most bought first. Fix a name or price, merge items that were printed under
+        different names, or delete ones you don’t want suggested.
+      </p>
+
+      {loading && <p className="text-gray-600">Loading your items...</p>}
+      {errorMessage && <p className="text-red-600">{errorMessage}</p>}
+
+      {!loading && !errorMessage && entries.length === 0 && (
+        <p className="text-gray-600">
+          No items yet. They’re added when you save a receipt’s breakdown.
+        </p>
+      )}
+
+      {entries.length > 0 && (
+        <div className="w-full max-w-4xl p-5 bg-white rounded shadow">
+          <div className="flex flex-wrap items-center gap-3 mb-4">
+            <input
+              type="text"
+              className="flex-1 min-w-[200px] bg-purple-50 border border-purple-200 rounded px-3 py-2 focus:outline-none focus:ring-2 focus:ring-purple-400"
+              placeholder="Search your items..."
+              value={searchTerm}
+              onChange={(e) => setSearchTerm(e.target.value)}
+            />
+            <button
+              onClick={handleMerge}
+              disabled={selectedIds.length < 2}
+              className="px-4 py-2 bg-purple-600 text-white font-semibold rounded shadow hover:bg-purple-700 transition disabled:opacity-50"
+            >
+              Merge Selected ({selectedIds.length})
+            </button>
+          </div>
+
+          <div className="overflow-auto">
+            <table className="w-full text-left text-sm">
+              <thead>
+                <tr className="bg-purple-100 text-purple-700 uppercase">
+                  <th className="p-2 font-semibold w-8"></th>
+                  <th className="p-2 font-semibold">Item</th>
+                  <th className="p-2 font-semibold w-24">Last Price</th>
+                  <th className="p-2 font-semibold w-20">Bought</th>
+                  <th className="p-2 font-semibold">Last Bought</th>
+                  <th className="p-2 font-semibold w-40">Action</th>
+                </tr>
+              </thead>
+              <tbody>
+                {visibleEntries.map((entry) => {
+                  const isEditing = editing?.id === entry.id;
+                  const merchantNames = Object.values(entry.merchants || {}).map(
+                    (seen) => seen.name
+                  );
+                  return (
+                    <tr key={entry.id} className="border-b last:border-none align-top">
+                      <td className="p-2">
+                        <input
+                          type="checkbox"
+                          checked={selectedIds.includes(entry.id)}
+                          onChange={() => toggleSelected(entry.id)}
+                          aria-label={`Select ${entry.name}`}
+                        />
+                      </td>
+                      <td className="p-2">
+                        {isEditing ? (
+                          <input
+                            type="text"
+                            className="w-full bg-purple-50 border border-purple-200 rounded px-2 py-1 focus:outline-none focus:ring-2 focus:ring-purple-400"
+                            value={editing.name}
+                            onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                          />
+                        ) : (
+                          <span className="font-medium text-gray-800">{entry.name}</span>
+                        )}
+                        {merchantNames.length > 0 && (
+                          <p className="text-xs text-gray-500">
+                            At {merchantNames.join(", ")}
+                          </p>
+                        )}
+                        {(entry.aliases || []).length > 0 && (
+                          <p className="text-xs text-gray-400">
+                            Also matches: {entry.aliases.join(", ")}
+                          </p>
+                        )}
+                      </td>
+                      <td className="p-2">
+                        {isEditing ? (
+                          <input
+                            type="text"
+                            inputMode="decimal"
+                            className="w-20 bg-purple-50 border border-purple-200 rounded px-2 py-1 focus:outline-none focus:ring-2 focus:ring-purple-400"
+                            value={editing.price}
+                            onChange={(e) => setEditing({ ...editing, price: e.target.value })}
+                          />
+                        ) : (
+                          formatMoney(entry.lastPrice)
+                        )}
+                      </td>
+                      <td className="p-2">{entry.count}×</td>
+                      <td className="p-2">{formatDate(entry.lastUsed)}</td>
+                      <td className="p-2 space-x-2 whitespace-nowrap">
+                        {isEditing ? (
+                          <>
+                            <button
+                              onClick={handleSaveEdit}
+                              className="px-3 py-1 bg-green-600 text-white rounded shadow hover:bg-green-700 transition"
+                            >
+                              Save
+                            </button>
+                            <button
+                              onClick={() => setEditing(null)}
+                              className="px-3 py-1 bg-gray-200 text-gray-800 rounded shadow hover:bg-gray-300 transition"
+                            >
+                              Cancel
+                            </button>
+                          </>
+                        ) : (
+                          <>
+                            <button
+                              onClick={() =>
+                                setEditing({
+                                  id: entry.id,
+                                  name: entry.name,
+                                  price: entry.lastPrice.toFixed(2),
+                                })
+                              }
+                              className="px-3 py-1 bg-gray-200 text-gray-800 rounded shadow hover:bg-gray-300 transition"
+                            >
+                              Edit
+                            </button>
+                            <button
+                              onClick={() => handleDelete(entry)}
+                              className="px-3 py-1 bg-red-500 text-white rounded shadow hover:bg-red-600 transition"
+                            >
+                              Delete
+                            </button>
+                          </>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -3,85 +3,162 @@
  */
 
 import React, { useState, useEffect } from "react";
+import { useParams, Link } from "react-router-dom";
 import {
   getFirestore,
   doc,
   setDoc,
   getDoc,
   onSnapshot,
-  collection,
-  addDoc,
   deleteDoc
 } from "firebase/firestore";
 import { getAuth } from "firebase/auth";
+import { separateSummaryFromItems, withNormalItems } from "../utils/receiptParser";
+import {
+  reconcileReceipt,
+  summaryKind,
+  isDiscrepancyAccepted
+} from "../utils/reconcile";
+import {
+  ADJUSTMENT_TYPES,
+  itemAdjustmentTotal,
+  itemNetTotal,
+  receiptAdjustmentTotal,
+  toReceiptAdjustments,
+  splitAdjustment
+} from "../utils/adjustments";
+import { parseAmount, formatMoney } from "../utils/helpers";
+import { itemModifierTotal, itemLabel } from "../utils/modifiers";
+import { transactionDateOf } from "../utils/receiptHeader";
+import {
+  DEFAULT_TAX_CATEGORIES,
+  taxCategoryOptions,
+  itemLineTaxes,
+  taxByCategory
+} from "../utils/taxCategories";
+import { loadReceiptDraft, updateReceiptDraft } from "../services/receiptDrafts";
+import { learnReceiptItems } from "../services/itemCatalog";
+import useDraftAutosave from "../hooks/useDraftAutosave";
+import ReconciliationPanel from "../components/ReconciliationPanel";
+import TaxCategoriesPanel from "../components/TaxCategoriesPanel";
+import ReceiptAdjustmentsPanel from "../components/ReceiptAdjustmentsPanel";
+import DraftStatus from "../components/DraftStatus";
 
 const db = getFirestore();
 const auth = getAuth();
 
 /**
- * Separates "summary" lines (e.g., Tax, Tip, Subtotal, Total) from normal items.
+ * ReceiptAnalysis Component
+ * Splits one receipt draft (/receipt/:receiptId/analysis, see services/receiptDrafts.js):
+ * shares an assignment link, builds each person's breakdown and saves it onto the draft.
+ * Items can be put in tax categories so each person's tax follows their own items,
+ * and whole-bill fees and discounts each have their own rule for who pays them.
  */
-function separateSummaryFromItems(allItems) {
-  const summaryKeywords = ["Tax", "Tip", "Subtotal", "Total", "Summary Item"];
-  const normalItems = [];
-  const summaryItems = [];
-
-  allItems.forEach((item) => {
-    if (
-      summaryKeywords.some((keyword) =>
-        item.name.toLowerCase().includes(keyword.toLowerCase())
-      )
-    ) {
-      summaryItems.push(item);
-    } else {
-      normalItems.push(item);
-    }
-  });
-
-  return { normalItems, summaryItems };
-}
-
 export default function ReceiptAnalysis() {
+  const { receiptId } = useParams();
+  const [draft, setDraft] = useState(null); // the receipt draft as loaded
   const [items, setItems] = useState([]);
   const [summary, setSummary] = useState([]);
+  const [adjustments, setAdjustments] = useState([]); // receipt-level discounts/fees, with allocation
   const [messengerLink, setMessengerLink] = useState("");
   const [finalBreakdown, setFinalBreakdown] = useState([]);
   const [assignedOverview, setAssignedOverview] = useState([]); // For “who’s assigned” overview
+  const [acceptedDifference, setAcceptedDifference] = useState(null);
+  const [taxCategories, setTaxCategories] = useState(DEFAULT_TAX_CATEGORIES);
+
+  // Printed Subtotal/Total vs. what the items, tax and tip add up to
+  const reconciliation = reconcileReceipt(items, summary, adjustments);
+  const discrepancyResolved = isDiscrepancyAccepted(reconciliation, acceptedDifference);
+
+  // The receipt's tax (VAT already inside the prices is skipped), split over the
+  // items by their tax category
+  const receiptTax = parseAmount(summary.find((s) => summaryKind(s.name) === "tax")?.price || 0);
+  const lineTaxes = itemLineTaxes(items, taxCategories, receiptTax);
+
+  // Category and fee/discount changes are saved onto the draft. Whole-bill
+  // adjustments live in their own list, no longer among the items.
+  const autosaveStatus = useDraftAutosave(
+    receiptId,
+    draft
+      ? {
+          items: withNormalItems(draft.items || [], items).filter((row) => !row.adjustment),
+          taxCategories,
+          adjustments
+        }
+      : null
+  );
+
+  // Everyone who has assigned items so far
+  const participants = [
+    ...new Set(
+      assignedOverview.flatMap((it) => (it.contributors || []).map((c) => c.userName))
+    )
+  ].filter(Boolean);
+
+  const handleItemTaxCategory = (index, taxCategory) => {
+    setItems((prevItems) =>
+      prevItems.map((item, idx) => (idx === index ? { ...item, taxCategory } : item))
+    );
+  };
+
+  const handleAcceptDifference = () => {
+    setAcceptedDifference(reconciliation.difference);
+    updateReceiptDraft(receiptId, { acceptedDifference: reconciliation.difference }).catch(
+      (err) => console.error("Error saving accepted difference:", err)
+    );
+  };
 
   /**
-   * On mount, load items + summary from localStorage, including any Tax & Tip.
+   * The split can't start while the items disagree with the printed totals.
    */
-  useEffect(() => {
-    const storedItemsJSON = localStorage.getItem("receiptItems");
-    let normalItems = [];
-    let summaryItems = [];
+  const ensureReconciled = () => {
+    if (discrepancyResolved) return true;
+    alert(
+      "The items don’t add up to the totals printed on the receipt. " +
+        "Review the “Totals Check” panel and accept the difference, or go back and fix the items."
+    );
+    return false;
+  };
 
-    if (storedItemsJSON) {
+  /**
+   * Load items + summary from the draft, including any Tax & Tip.
+   */
+  useEffect(() => {
+    const loadDraft = async () => {
       try {
-        const parsedItems = JSON.parse(storedItemsJSON);
-        const { normalItems: nm, summaryItems: sm } =
-          separateSummaryFromItems(parsedItems);
-        normalItems = nm;
-        summaryItems = sm;
+        const loaded = await loadReceiptDraft(receiptId);
+        if (!loaded) {
+          alert("Receipt draft not found or no longer available.");
+          return;
+        }
+        const { normalItems, summaryItems, adjustmentItems } = separateSummaryFromItems(
+          loaded.items || []
+        );
+
+        // Tax & Tip entered separately (manual receipts), labelled with their percentage
+        if (loaded.tax > 0) {
+          const name = loaded.taxRule ? `Tax (${loaded.taxRule.percent}%)` : "Tax";
+          summaryItems.push({ name, price: loaded.tax, qty: "1" });
+        }
+        if (loaded.tip > 0) {
+          const name = loaded.tipRule ? `Tip (${loaded.tipRule.percent}%)` : "Tip";
+          summaryItems.push({ name, price: loaded.tip, qty: "1" });
+        }
+
+        setDraft(loaded);
+        setItems(normalItems);
+        setSummary(summaryItems);
+        // Older drafts kept whole-bill adjustments as rows among the items
+        setAdjustments(toReceiptAdjustments(loaded.adjustments ?? adjustmentItems));
+        setAcceptedDifference(loaded.acceptedDifference ?? null);
+        setTaxCategories(loaded.taxCategories || DEFAULT_TAX_CATEGORIES);
       } catch (err) {
-        console.error("Error parsing receipt items:", err);
+        console.error("Error loading receipt draft:", err);
+        alert("Failed to load the receipt draft. Please try again.");
       }
-    }
-
-    // Also fetch numeric Tax & Tip from localStorage
-    const taxValue = parseFloat(localStorage.getItem("receiptTax")) || 0;
-    const tipValue = parseFloat(localStorage.getItem("receiptTip")) || 0;
-
-    if (taxValue > 0) {
-      summaryItems.push({ name: "Tax", price: taxValue, qty: "1" });
-    }
-    if (tipValue > 0) {
-      summaryItems.push({ name: "Tip", price: tipValue, qty: "1" });
-    }
-
-    setItems(normalItems);
-    setSummary(summaryItems);
-  }, []);
+    };
+    loadDraft();
+  }, [receiptId]);
 
   /**
    * Watches `receipt_assignments/{user.uid}` in real-time to build
@@ -176,6 +253,7 @@ export default function ReceiptAnalysis() {
    * Also clears any previous assignments so each new link starts fresh.
    */
   const handleGenerateMessengerLink = async () => {
+    if (!ensureReconciled()) return;
     try {
       const user = auth.currentUser;
       if (!user) throw new Error("User not authenticated.");
@@ -193,6 +271,8 @@ export default function ReceiptAnalysis() {
       const receiptData = {
         items,
         summary,
+        adjustments,
+        images: draft?.images || [],
         createdAt: new Date().toISOString(),
         assignmentsComplete: false
       };
@@ -219,6 +299,7 @@ export default function ReceiptAnalysis() {
    * based on partial item assignments in `receipt_assignments/{user.uid}`.
    */
   const handleCalculateBreakdown = async () => {
+    if (!ensureReconciled()) return;
     try {
       const user = auth.currentUser;
       if (!user) throw new Error("User not authenticated.");
@@ -236,25 +317,39 @@ export default function ReceiptAnalysis() {
 
       const userTotals = {};
 
-      // Sum of normal items for fair distribution of tax/tip
-      const sumOfItemPrices = items.reduce(
-        (acc, i) =>
-          acc + parseFloat(i.price || 0) * parseInt(i.qty || "1", 10),
-        0
+      // Sum of normal items (after their own discounts) for fair distribution
+      // of tax/tip and of receipt-level discounts/fees
+      const sumOfItemPrices = items.reduce((acc, i) => acc + itemNetTotal(i), 0);
+      // Fees/discounts shared by spend go with each item; the others are added per person below
+      const totalReceiptAdjustments = receiptAdjustmentTotal(
+        adjustments.filter((adj) => adj.allocation === "proportional")
       );
       console.log("[handleCalculateBreakdown] sumOfItemPrices:", sumOfItemPrices);
 
-      // Identify total Tax & Tip
-      const taxItem = summary.find((s) => s.name.toLowerCase().includes("tax"));
-      const tipItem = summary.find((s) => s.name.toLowerCase().includes("tip"));
-      const totalTax = parseFloat(taxItem?.price || 0);
-      const totalTip = parseFloat(tipItem?.price || 0);
-      console.log("[handleCalculateBreakdown] totalTax:", totalTax, " totalTip:", totalTip);
+      // Identify total Tip; tax comes per item from lineTaxes
+      const tipItem = summary.find((s) => summaryKind(s.name) === "tip");
+      const totalTip = parseAmount(tipItem?.price || 0);
+      console.log("[handleCalculateBreakdown] totalTax:", receiptTax, " totalTip:", totalTip);
+
+      // Assigned items are matched to the receipt's by name and price
+      const itemIndexByKey = new Map(items.map((it, idx) => [`${it.name}|${it.price}`, idx]));
 
       // Build userTotals
       data.forEach(({ item, contributors }) => {
-        const itemName = item.name || "Unknown Item";
-        const priceEach = parseFloat(item.price || "0");
+        const itemName = itemLabel(item) || "Unknown Item";
+        // Add-ons go with the item, per unit claimed
+        const priceEach =
+          parseAmount(item.price) +
+          itemModifierTotal(item) / (parseInt(item.qty || "1", 10) || 1);
+        // An item's own coupon/deposit is shared by whoever took that item
+        const adjustmentEach =
+          itemAdjustmentTotal(item) / (parseInt(item.qty || "1", 10) || 1);
+        // Tax on one unit, by the item's tax category
+        const itemIndex = itemIndexByKey.get(`${item.name}|${item.price}`);
+        const taxEach =
+          itemIndex === undefined
+            ? null
+            : lineTaxes[itemIndex] / (parseInt(items[itemIndex].qty || "1", 10) || 1);
         console.log("[handleCalculateBreakdown] Processing item:", itemName);
 
         contributors.forEach(({ userName, quantity }) => {
@@ -263,11 +358,16 @@ export default function ReceiptAnalysis() {
           if (partialQty <= 0) return;
 
           const partialBaseCost = partialQty * priceEach;
+          const partialNetCost = partialBaseCost + partialQty * adjustmentEach;
+          let partialAdjustment = partialQty * adjustmentEach;
           let partialTax = 0;
           let partialTip = 0;
           if (sumOfItemPrices > 0) {
-            partialTax = (partialBaseCost / sumOfItemPrices) * totalTax;
-            partialTip = (partialBaseCost / sumOfItemPrices) * totalTip;
+            const share = partialNetCost / sumOfItemPrices;
+            partialAdjustment += share * totalReceiptAdjustments;
+            // An item edited since the link was shared falls back to a share of the tax
+            partialTax = taxEach === null ? share * receiptTax : partialQty * taxEach;
+            partialTip = share * totalTip;
           }
 
           if (!userTotals[userName]) {
@@ -282,14 +382,36 @@ export default function ReceiptAnalysis() {
             itemName,
             partialQty,
             partialBaseCost,
+            partialAdjustment,
             partialTax,
             partialTip
           });
           userTotals[userName].totalOwed +=
-            partialBaseCost + partialTax + partialTip;
+            partialBaseCost + partialAdjustment + partialTax + partialTip;
         });
       });
 
+      // Fees/discounts split equally, or among the people they were assigned to
+      const everyone = Object.keys(userTotals);
+      adjustments
+        .filter((adj) => adj.allocation !== "proportional")
+        .forEach((adj) => {
+          Object.entries(splitAdjustment(adj, everyone)).forEach(([userName, amount]) => {
+            if (!userTotals[userName]) {
+              userTotals[userName] = { userName, items: [], totalOwed: 0 };
+            }
+            userTotals[userName].items.push({
+              itemName: adj.name || ADJUSTMENT_TYPES[adj.adjustment],
+              partialQty: null,
+              partialBaseCost: 0,
+              partialAdjustment: amount,
+              partialTax: 0,
+              partialTip: 0
+            });
+            userTotals[userName].totalOwed += amount;
+          });
+        });
+
       setFinalBreakdown(Object.values(userTotals));
       alert("Final breakdown calculated successfully!");
     } catch (err) {
@@ -354,16 +476,25 @@ export default function ReceiptAnalysis() {
       }, 0);
       console.log("[handleSaveBreakdown] totalOwedAll:", totalOwedAll);
 
-      // Create a new doc in the "receipts" collection
-      await addDoc(collection(db, "receipts"), {
-        userId: user.uid,
-        name: `Receipt by ${user.email || "Unknown User"}`,
-        date: new Date().toISOString(),
+      // The draft becomes the analyzed receipt; its merchant, location, codes and
+      // photos are already on it. Dated by the transaction date read from the receipt.
+      await updateReceiptDraft(receiptId, {
+        name: draft?.name || `Receipt by ${user.email || "Unknown User"}`,
+        date: transactionDateOf(draft?.header) || new Date().toISOString(),
         status: "analyzed",
         total: parseFloat(totalOwedAll.toFixed(2)),
         breakdown: finalBreakdown
       });
 
+      // Its items now feed the user's item catalog (suggestions on Input Receipt)
+      try {
+        if (draft && (await learnReceiptItems(user.uid, draft))) {
+          setDraft((prev) => ({ ...prev, itemsLearned: true }));
+        }
+      } catch (err) {
+        console.error("Error adding items to the catalog:", err);
+      }
+
       alert("Breakdown saved successfully!");
     } catch (err) {
       console.error("Error saving breakdown:", err);
@@ -373,7 +504,14 @@ export default function ReceiptAnalysis() {
 
   return (
     <div className="pt-28 px-6 min-h-screen bg-gradient-to-b from-gray-50 to-gray-100">
-      <h1 className="text-2xl font-bold mb-4">Receipt Breakdown</h1>
+      <h1 className="text-2xl font-bold mb-1">Receipt Breakdown</h1>
+      <p className="text-gray-600 mb-4">
+        {draft?.name || "Untitled Receipt"} ·{" "}
+        <Link to={`/receipt/${receiptId}/edit`} className="text-purple-600 underline">
+          Edit items
+        </Link>{" "}
+        · <DraftStatus status={autosaveStatus} />
+      </p>
 
       {/* 
         Additional Instructions:
@@ -428,14 +566,46 @@ export default function ReceiptAnalysis() {
                     <th className="p-2 font-semibold">Qty</th>
                     <th className="p-2 font-semibold">Item</th>
                     <th className="p-2 font-semibold">Price</th>
+                    <th className="p-2 font-semibold">Tax Category</th>
                   </tr>
                 </thead>
                 <tbody>
                   {items.map((item, idx) => (
                     <tr key={idx} className="border-b">
                       <td className="p-2">{item.qty}</td>
-                      <td className="p-2">{item.name}</td>
+                      <td className="p-2">
+                        {item.name}
+                        {(item.modifiers || []).map((modifier, modIdx) => (
+                          <div key={`m${modIdx}`} className="text-xs text-gray-600 pl-3">
+                            + {modifier.name} {formatMoney(parseAmount(modifier.price))}
+                          </div>
+                        ))}
+                        {(item.adjustments || []).map((adj, adjIdx) => (
+                          <div key={adjIdx} className="text-xs text-indigo-700">
+                            {ADJUSTMENT_TYPES[adj.type]}: {adj.label}{" "}
+                            {formatMoney(parseAmount(adj.amount))}
+                          </div>
+                        ))}
+                      </td>
                       <td className="p-2">${item.price}</td>
+                      <td className="p-2">
+                        <select
+                          className="border border-purple-200 rounded p-1 bg-white"
+                          value={item.taxCategory || "standard"}
+                          onChange={(e) => handleItemTaxCategory(idx, e.target.value)}
+                        >
+                          {taxCategoryOptions(taxCategories).map((option) => (
+                            <option key={option.id} value={option.id}>
+                              {option.label}
+                            </option>
+                          ))}
+                        </select>
+                        {receiptTax > 0 && (
+                          <span className="ml-2 text-xs text-gray-500">
+                            {formatMoney(lineTaxes[idx])}
+                          </span>
+                        )}
+                      </td>
                     </tr>
                   ))}
                 </tbody>
@@ -443,6 +613,36 @@ export default function ReceiptAnalysis() {
             </div>
           )}
 
+          {/* Mixed tax rates: who pays which tax */}
+          {items.length > 0 && receiptTax > 0 && (
+            <TaxCategoriesPanel
+              taxCategories={taxCategories}
+              taxByCategory={taxByCategory(items, taxCategories, lineTaxes)}
+              totalTax={receiptTax}
+              onChange={setTaxCategories}
+            />
+          )}
+
+          {/* Receipt-level discounts and fees, each with its own allocation rule */}
+          {items.length > 0 && (
+            <ReceiptAdjustmentsPanel
+              adjustments={adjustments}
+              participants={participants}
+              onChange={setAdjustments}
+            />
+          )}
+
+          {/* Printed totals vs. computed sums (only for receipts that print them) */}
+          {reconciliation.hasPrintedTotals && (
+            <div className="mb-6">
+              <ReconciliationPanel
+                reconciliation={reconciliation}
+                accepted={discrepancyResolved}
+                onAccept={handleAcceptDifference}
+              />
+            </div>
+          )}
+
           {/* Assigned Overview Section */}
           {assignedOverview.length > 0 && (
             <div className="mb-6 p-4 bg-yellow-50 rounded border border-yellow-200">
@@ -580,12 +780,19 @@ export default function ReceiptAnalysis() {
                         >
                           <p>
                             <span className="font-medium">Item:</span>{" "}
-                            {itm.itemName} (x{itm.partialQty})
+                            {itm.itemName}
+                            {itm.partialQty !== null && ` (x${itm.partialQty})`}
                           </p>
                           <p>
                             <span className="font-medium">Base Cost:</span>{" "}
                             ${itm.partialBaseCost.toFixed(2)}
                           </p>
+                          {Math.abs(itm.partialAdjustment || 0) >= 0.005 && (
+                            <p>
+                              <span className="font-medium">Discounts/Fees:</span>{" "}
+                              {formatMoney(itm.partialAdjustment)}
+                            </p>
+                          )}
                           <p>
                             <span className="font-medium">Tax:</span>{" "}
                             ${itm.partialTax.toFixed(2)}{" "}
@@ -11,8 +11,12 @@ import {
   updateDoc,
   getDoc
 } from "firebase/firestore";
+import { getAuth } from "firebase/auth";
+import { joinReceiptGroup } from "../services/receiptDrafts";
+import ReceiptImages from "../components/ReceiptImages";
 
 const db = getFirestore();
+const auth = getAuth();
 
 /**
  * Checks if every item in `items` has a valid set of contributors,
@@ -36,6 +40,7 @@ export default function ReceiptAssign() {
   const { userId } = useParams(); // The host user’s ID from the URL
   const [items, setItems] = useState([]);
   const [summary, setSummary] = useState([]);
+  const [images, setImages] = useState([]); // stored receipt photos, see services/receiptImages.js
 
   /**
    * For each item index, we maintain an array of contributor objects:
@@ -67,9 +72,10 @@ export default function ReceiptAssign() {
         const docSnap = await getDoc(docRef);
 
         if (docSnap.exists()) {
-          const { items, summary } = docSnap.data();
+          const { items, summary, images } = docSnap.data();
           setItems(items || []);
           setSummary(summary || []);
+          setImages(images || []);
           const blankAssignments = (items || []).map(() => []);
           setAssignments(blankAssignments);
         } else {
@@ -200,6 +206,15 @@ export default function ReceiptAssign() {
         });
       }
 
+      // A signed-in friend joins the host's group, so the receipts they upload
+      // later are checked against the host's (and the other way round)
+      const friend = auth.currentUser;
+      if (friend) {
+        await joinReceiptGroup(userId, friend.uid).catch((err) =>
+          console.error("Error joining receipt group:", err)
+        );
+      }
+
       // If everything is assigned, notify the host in `receipt_links`
       if (isAllItemsAssigned(items, assignments)) {
         const linkRef = doc(db, "receipt_links", userId);
@@ -252,6 +267,14 @@ export default function ReceiptAssign() {
         </ul>
       </div>
 
+      {/* The receipt photo, so everyone can check what was actually charged */}
+      {images.length > 0 && (
+        <div className="mb-6 bg-white p-4 rounded shadow">
+          <h2 className="text-lg font-semibold text-gray-800 mb-2">Receipt Photo</h2>
+          <ReceiptImages images={images} />
+        </div>
+      )}
+
       {/* 
         1) Host user enters list of names for potential contributors 
       */}
@@ -308,6 +331,12 @@ export default function ReceiptAssign() {
                   <p className="text-sm text-gray-600">
                     ${item.price} each
                   </p>
+                  {/* Add-ons come with the item, in proportion to the quantity taken */}
+                  {(item.modifiers || []).map((modifier, modIdx) => (
+                    <p key={modIdx} className="text-sm text-gray-500 pl-3">
+                      + {modifier.name} (${modifier.price})
+                    </p>
+                  ))}
                 </div>
                 <button
                   onClick={() => handleAddContributor(index)}
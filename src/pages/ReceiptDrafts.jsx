@@ -0,0 +1,125 @@
+/**
+ * File: /src/pages/ReceiptDrafts.jsx
+ */
+
+import { useState, useEffect } from "react";
+import { Link, useNavigate } from "react-router-dom";
+import { getAuth } from "firebase/auth";
+import { listReceiptDrafts, deleteReceiptDraft } from "../services/receiptDrafts";
+import { clearUndoHistory } from "../hooks/useUndoHistory";
+import { formatDate } from "../utils/helpers";
+
+const auth = getAuth();
+
+/**
+ * ReceiptDrafts Component ("My Drafts"):
+ * Every receipt the user started but hasn't split yet, most recently edited
+ * first. A draft can be resumed at its analysis page, its items edited, or
+ * deleted along with its photos.
+ */
+export default function ReceiptDrafts() {
+  const [drafts, setDrafts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [errorMessage, setErrorMessage] = useState(null);
+
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    const fetchDrafts = async () => {
+      try {
+        const user = auth.currentUser;
+        if (!user) {
+          throw new Error("User not authenticated. Please log in first.");
+        }
+        setDrafts(await listReceiptDrafts(user.uid));
+      } catch (err) {
+        console.error("Error fetching drafts:", err);
+        setErrorMessage(err.message || "Failed to load drafts.");
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchDrafts();
+  }, []);
+
+  const handleDeleteDraft = async (draft) => {
+    if (!window.confirm(`Delete "${draft.name || "Untitled Receipt"}"? This can't be undone.`)) {
+      return;
+    }
+    try {
+      await deleteReceiptDraft(draft);
+      clearUndoHistory(draft.id);
+      setDrafts((prev) => prev.filter((candidate) => candidate.id !== draft.id));
+    } catch (err) {
+      console.error("Error deleting draft:", err);
+      alert("Failed to delete the draft. Please try again.");
+    }
+  };
+
+  return (
+    <div className="pt-28 px-6 min-h-screen bg-gradient-to-b from-gray-50 to-gray-100">
+      <h1 className="text-2xl font-bold mb-4">My Drafts</h1>
+      <p className="text-gray-600 mb-6">
+        Receipts you started but haven’t split yet. Drafts are saved as you edit, so you
+        can pick one up on any device. Finished splits are in{" "}
+        <Link to="/receipt/history" className="text-purple-600 underline">
+          your history
+        </Link>
+        .
+      </p>
+
+      {loading && <p className="text-gray-600">Loading drafts...</p>}
+      {errorMessage && <p className="text-red-600">{errorMessage}</p>}
+
+      {!loading && !errorMessage && drafts.length === 0 && (
+        <p className="text-gray-600">
+          No drafts right now.{" "}
+          <Link to="/dashboard" className="text-purple-600 underline">
+            Start a new receipt
+          </Link>
+          .
+        </p>
+      )}
+
+      {drafts.length > 0 && (
+        <ul className="w-full max-w-3xl space-y-3">
+          {drafts.map((draft) => (
+            <li
+              key={draft.id}
+              className="flex flex-wrap items-center gap-3 p-4 bg-white rounded shadow"
+            >
+              <div className="flex-1 min-w-0">
+                <p className="font-semibold text-gray-800 truncate">
+                  {draft.name || draft.merchant || "Untitled Receipt"}
+                </p>
+                <p className="text-sm text-gray-500">
+                  {(draft.items || []).length} row(s)
+                  {draft.location && ` · ${draft.location}`} · edited{" "}
+                  {formatDate(draft.updatedAt || draft.createdAt)}
+                </p>
+              </div>
+              <button
+                onClick={() => navigate(`/receipt/${draft.id}/analysis`)}
+                className="px-4 py-2 bg-purple-600 text-white font-semibold rounded shadow hover:bg-purple-700 transition"
+              >
+                Resume
+              </button>
+              <button
+                onClick={() => navigate(`/receipt/${draft.id}/edit`)}
+                className="px-4 py-2 bg-gray-200 text-gray-800 font-semibold rounded shadow hover:bg-gray-300 transition"
+              >
+                Edit Items
+              </button>
+              <button
+                onClick={() => handleDeleteDraft(draft)}
+                className="px-4 py-2 bg-red-500 text-white font-semibold rounded shadow hover:bg-red-600 transition"
+              >
+                Delete
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -2,7 +2,7 @@
  * File: /src/pages/ReceiptHistory.jsx
  */
 
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useCallback } from "react";
 import {
   getFirestore,
   collection,
@@ -13,30 +13,22 @@ import {
   getDoc
 } from "firebase/firestore";
 import { getAuth } from "firebase/auth";
-
-/**
- * A small helper to format ISO date strings into a more readable format.
- * Returns "Unknown Date" if invalid or missing.
- */
-function formatDate(isoString) {
-  if (!isoString) return "Unknown Date";
-  const dateObj = new Date(isoString);
-  if (isNaN(dateObj.getTime())) return "Unknown Date";
-  // Example output: "January 23, 2025, 3:45 PM"
-  return dateObj.toLocaleString("en-US", {
-    year: "numeric",
-    month: "long",
-    day: "numeric",
-    hour: "numeric",
-    minute: "2-digit"
-  });
-}
+import { useLocation, useNavigate } from "react-router-dom";
+import { formatMoney, formatDate, parseDate } from "../utils/helpers";
+import { describeChargeRule } from "../utils/taxTip";
+import ReceiptImages from "../components/ReceiptImages";
 
 /**
  * ReceiptHistory component:
  * - Fetches a list of receipts from Firestore, filtered by the current user.
- * - Displays them in a table with filtering by status.
+ * - Displays them in a table with filtering by status, newest transaction first.
+ * - The date shown is when the receipt was issued (read from the receipt) when known,
+ *   otherwise when it was saved.
  * - Clicking "View Details" reveals a read-only panel showing deeper info (date, status, total, plus optional breakdown).
+ * - The detail panel shows the stored receipt photos as zoomable thumbnails.
+ * - Pending receipts are drafts (services/receiptDrafts.js); "Resume" reopens one.
+ * - Opens a receipt's details right away when navigated to with { openReceiptId } state
+ *   (the duplicate-upload prompt's "Open Existing").
  * - The breakdown section is improved to display multiple splits (bigger splits) with a more structured UI.
  */
 export default function ReceiptHistory() {
@@ -49,6 +41,8 @@ export default function ReceiptHistory() {
   // The selected receipt data for read-only display
   const [selectedReceipt, setSelectedReceipt] = useState(null);
   const [loadingDetail, setLoadingDetail] = useState(false);
+  const location = useLocation();
+  const navigate = useNavigate();
 
   // Firestore & Auth
   const db = getFirestore();
@@ -56,7 +50,6 @@ export default function ReceiptHistory() {
 
   /**
    * fetchReceipts: Retrieves receipts from Firestore where userId == auth.currentUser.uid.
-   * Also overrides "Receipt by <email>" with localStorage's "receiptName" if found.
    */
   const fetchReceipts = async () => {
     setLoading(true);
@@ -77,23 +70,23 @@ export default function ReceiptHistory() {
       const retrievedData = snapshot.docs.map((docSnap) => {
         const docData = docSnap.data();
 
-        // If docData.name starts with "Receipt by", override with localStorage's "receiptName"
-        const storedName = localStorage.getItem("receiptName") || "Untitled Receipt";
-        let finalName = docData.name || "Untitled Receipt";
-        if (finalName.startsWith("Receipt by ")) {
-          finalName = storedName;
-        }
-
         return {
           id: docSnap.id,
-          name: finalName,
+          name: docData.name || docData.merchant || "Untitled Receipt",
+          merchant: docData.merchant || null,
+          location: docData.location || null,
           // We'll store date as-is; we can format upon display
-          date: docData.date || "Unknown Date",
+          date: docData.transactionDate || docData.date || docData.createdAt || "Unknown Date",
           status: docData.status || "pending",
           total: docData.total || 0
         };
       });
 
+      // Newest meal first; receipts without a usable date go last
+      retrievedData.sort(
+        (a, b) => (parseDate(b.date)?.getTime() ?? -Infinity) - (parseDate(a.date)?.getTime() ?? -Infinity)
+      );
+
       setReceipts(retrievedData);
       setLoading(false);
     } catch (error) {
@@ -131,7 +124,7 @@ export default function ReceiptHistory() {
    * handleViewDetails: fetch a single receipt by ID from Firestore
    * to display in read-only mode (no calculations or edits allowed).
    */
-  const handleViewDetails = async (receiptId) => {
+  const handleViewDetails = useCallback(async (receiptId) => {
     setLoadingDetail(true);
     setSelectedReceipt(null); // Clear previous data
 
@@ -146,21 +139,24 @@ export default function ReceiptHistory() {
       }
 
       const data = docSnap.data();
-      // Override "Receipt by ..." if needed
-      const storedName = localStorage.getItem("receiptName") || "Untitled Receipt";
-      let finalName = data.name || "Untitled Receipt";
-      if (finalName.startsWith("Receipt by ")) {
-        finalName = storedName;
-      }
 
       // We'll store everything relevant in state
       setSelectedReceipt({
         id: receiptId,
-        name: finalName,
+        name: data.name || data.merchant || "Untitled Receipt",
         // Format date more readably
-        date: formatDate(data.date),
+        date: formatDate(data.transactionDate || data.date || data.createdAt),
+        savedAt: data.createdAt ? formatDate(data.createdAt) : null,
+        merchant: data.merchant || null,
+        location: data.location || null,
+        cardLast4: data.cardLast4 || null,
         status: data.status || "pending",
         total: data.total || 0,
+        tax: data.tax || 0,
+        tip: data.tip || 0,
+        taxRule: data.taxRule || null,
+        tipRule: data.tipRule || null,
+        images: data.images || [],
         // If you want item-level detail
         breakdown: data.breakdown || []
       });
@@ -170,7 +166,15 @@ export default function ReceiptHistory() {
     } finally {
       setLoadingDetail(false);
     }
-  };
+  }, [db]); // getFirestore() returns the same instance every render
+
+  /**
+   * Opens the receipt we were sent to, if any.
+   */
+  const openReceiptId = location.state?.openReceiptId;
+  useEffect(() => {
+    if (openReceiptId) handleViewDetails(openReceiptId);
+  }, [openReceiptId, handleViewDetails]);
 
   /**
    * Closes the read-only detail panel
@@ -224,13 +228,27 @@ export default function ReceiptHistory() {
                   key={receipt.id}
                   className="border-b last:border-none hover:bg-gray-50"
                 >
-                  <td className="p-4">{receipt.name}</td>
+                  <td className="p-4">
+                    {receipt.name}
+                    {receipt.location && (
+                      <div className="text-xs text-gray-500">{receipt.location}</div>
+                    )}
+                  </td>
                   <td className="p-4">{formatDate(receipt.date)}</td>
                   <td className="p-4 capitalize">{receipt.status}</td>
                   <td className="p-4">
                     ${Number(receipt.total).toFixed(2)}
                   </td>
-                  <td className="p-4 text-right">
+                  <td className="p-4 text-right whitespace-nowrap">
+                    {/* Receipts not split yet are drafts that can be picked up again */}
+                    {receipt.status !== "analyzed" && (
+                      <button
+                        onClick={() => navigate(`/receipt/${receipt.id}/analysis`)}
+                        className="mr-2 px-4 py-2 bg-purple-600 text-white font-semibold rounded shadow hover:bg-purple-700 transition"
+                      >
+                        Resume
+                      </button>
+                    )}
                     <button
                       onClick={() => handleViewDetails(receipt.id)}
                       className="px-4 py-2 bg-blue-600 text-white font-semibold rounded shadow hover:bg-blue-700 transition"
@@ -264,19 +282,64 @@ export default function ReceiptHistory() {
                 <p>
                   <span className="font-semibold">Name:</span> {selectedReceipt.name}
                 </p>
+                {selectedReceipt.merchant && selectedReceipt.merchant !== selectedReceipt.name && (
+                  <p>
+                    <span className="font-semibold">Merchant:</span> {selectedReceipt.merchant}
+                  </p>
+                )}
+                {selectedReceipt.location && (
+                  <p>
+                    <span className="font-semibold">Location:</span> {selectedReceipt.location}
+                  </p>
+                )}
                 <p>
                   <span className="font-semibold">Date:</span> {selectedReceipt.date}
                 </p>
+                {selectedReceipt.savedAt && selectedReceipt.savedAt !== selectedReceipt.date && (
+                  <p>
+                    <span className="font-semibold">Saved:</span> {selectedReceipt.savedAt}
+                  </p>
+                )}
+                {selectedReceipt.cardLast4 && (
+                  <p>
+                    <span className="font-semibold">Paid with:</span> card ending in{" "}
+                    {selectedReceipt.cardLast4}
+                  </p>
+                )}
                 <p>
                   <span className="font-semibold">Status:</span>{" "}
                   {selectedReceipt.status}
                 </p>
+                {selectedReceipt.tax > 0 && (
+                  <p>
+                    <span className="font-semibold">Tax:</span>{" "}
+                    {formatMoney(selectedReceipt.tax)}
+                    {selectedReceipt.taxRule &&
+                      ` (${describeChargeRule("tax", selectedReceipt.taxRule)})`}
+                  </p>
+                )}
+                {selectedReceipt.tip > 0 && (
+                  <p>
+                    <span className="font-semibold">Tip:</span>{" "}
+                    {formatMoney(selectedReceipt.tip)}
+                    {selectedReceipt.tipRule &&
+                      ` (${describeChargeRule("tip", selectedReceipt.tipRule)})`}
+                  </p>
+                )}
                 <p>
                   <span className="font-semibold">Total:</span>{" "}
                   ${Number(selectedReceipt.total).toFixed(2)}
                 </p>
               </div>
 
+              {/* The original receipt photos, to check against when a charge is disputed */}
+              {selectedReceipt.images.length > 0 && (
+                <div className="mt-4">
+                  <h3 className="font-semibold text-lg text-gray-800 mb-2">Receipt Photo</h3>
+                  <ReceiptImages images={selectedReceipt.images} />
+                </div>
+              )}
+
               {/* If breakdown is stored, show the item-level details read-only */}
               {selectedReceipt.breakdown.length > 0 && (
                 <div className="mt-4">
@@ -306,6 +369,7 @@ export default function ReceiptHistory() {
                                 <th className="p-2 font-semibold">Item</th>
                                 <th className="p-2 font-semibold">Qty</th>
                                 <th className="p-2 font-semibold">Base</th>
+                                <th className="p-2 font-semibold">Adj.</th>
                                 <th className="p-2 font-semibold">Tax</th>
                                 <th className="p-2 font-semibold">Tip</th>
                               </tr>
@@ -318,6 +382,9 @@ export default function ReceiptHistory() {
                                   <td className="p-2">
                                     ${itm.partialBaseCost?.toFixed(2)}
                                   </td>
+                                  <td className="p-2">
+                                    {formatMoney(itm.partialAdjustment || 0)}
+                                  </td>
                                   <td className="p-2">
                                     ${itm.partialTax?.toFixed(2)}
                                   </td>
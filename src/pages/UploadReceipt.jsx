@@ -1,243 +1,951 @@
-import React, { useState, useCallback, useEffect } from "react";
-import { useNavigate } from "react-router-dom";
+import React, { useState, useCallback, useEffect, useRef } from "react";
+import { useNavigate, useSearchParams, Link } from "react-router-dom";
 import { useDropzone } from "react-dropzone";
-import Tesseract from "tesseract.js";
-import { getFirestore, collection, addDoc } from "firebase/firestore"; // Firestore imports
 import { getAuth } from "firebase/auth"; // Firebase auth for user-specific data
+import {
+  parseSingleLine,
+  lineKey,
+  reviewReason,
+  separateSummaryFromItems,
+  textToLines,
+  mergeOcrPages,
+} from "../utils/receiptParser";
+import { reconcileReceipt, isDiscrepancyAccepted } from "../utils/reconcile";
+import { parseWithTemplate, getTemplate, getTemplates } from "../utils/receiptTemplates";
+import { ADJUSTMENT_TYPES } from "../utils/adjustments";
+import { attachToPreviousItem, detachModifier } from "../utils/modifiers";
+import {
+  RECEIPT_LOCALES,
+  getLocale,
+  loadLocaleId,
+  saveLocaleId,
+  ocrSettingsFor,
+} from "../utils/locales";
+import { parseAmount, formatMoney } from "../utils/helpers";
+import { isPdfFile, extractPdfPages, PDF_MIME_TYPE } from "../utils/pdfReceipt";
+import { preprocessReceiptImage, perceptualHash } from "../utils/imagePreprocess";
+import { extractReceiptHeader } from "../utils/receiptHeader";
+import {
+  decodeReceiptCodes,
+  pickReceiptData,
+  mergeCodeData,
+  applyCodeHeader,
+  describeCodeData,
+  getCodeParsers,
+} from "../utils/receiptCodes";
+import { buildFingerprint, receiptTotal } from "../utils/receiptFingerprint";
+import { scanReceiptCodes } from "../services/codeScanner";
+import {
+  createReceiptDraft,
+  saveReceiptScan,
+  updateReceiptDraft,
+  loadReceiptDraft,
+  findExistingReceipt,
+} from "../services/receiptDrafts";
+import useDraftAutosave from "../hooks/useDraftAutosave";
+import useUndoHistory from "../hooks/useUndoHistory";
+import { recognizeLines, cancelOcr, preloadOcr, OcrCancelledError } from "../services/ocr";
+import ReceiptOverlay from "../components/ReceiptOverlay";
+import ReconciliationPanel from "../components/ReconciliationPanel";
+import CameraCapture from "../components/CameraCapture";
+import DuplicateReceiptPrompt from "../components/DuplicateReceiptPrompt";
+import DraftStatus from "../components/DraftStatus";
+import ItemModifiers from "../components/ItemModifiers";
+import ItemGrid from "../components/ItemGrid";
+import UndoRedoButtons from "../components/UndoRedoButtons";
 
-const db = getFirestore(); // Firestore instance
 const auth = getAuth(); // Firebase auth instance
 
+// Live camera capture needs getUserMedia (HTTPS or localhost)
+const canUseCamera = Boolean(navigator.mediaDevices?.getUserMedia);
+
+/**
+ * Wraps picked/dropped/captured files as page entries: { id, file, previewUrl }.
+ */
+function createPages(files) {
+  return files.map((file) => ({
+    id: `${file.name}-${file.lastModified}-${Math.random().toString(36).slice(2)}`,
+    file,
+    previewUrl: URL.createObjectURL(file),
+  }));
+}
+
 /**
  * UploadReceipt Component:
  * - Firebase integration to save parsed receipt data.
  * - Preserves original logic and design, including progress bar, manual editing, and summary handling.
+ * - Reads one receipt from photos or a PDF (OCR or its QR code) into editable
+ *   rows and details, saved as a draft that "Next" opens for analysis.
  */
 export default function UploadReceipt() {
-  const [selectedFile, setSelectedFile] = useState(null);
+  // Photos/PDFs of the same receipt, top to bottom: { id, file, previewUrl }
+  const [pages, setPages] = useState([]);
   const [uploadStatus, setUploadStatus] = useState("");
   const [rawText, setRawText] = useState("");
   const [items, setItems] = useState([]);
   const [summary, setSummary] = useState([]);
   const [progress, setProgress] = useState(0); // OCR progress tracking
-  const navigate = useNavigate();
+  const [analyzing, setAnalyzing] = useState(false);
+  const cancelRequested = useRef(false);
+  const [showCamera, setShowCamera] = useState(false);
 
-  /**
-   * Splits OCR text into relevant lines, categorized as item lines or summary lines.
-   */
-  const extractRelevantLines = (ocrText) => {
-    const allLines = ocrText.split("\n").map((line) => line.trim());
-    const summaryRegex = /(tax|tip|total|subtotal|amount due|due|balance|paid|change)/i;
-    const currencyRegex = /(\$|(\d+\.\d{2}))/;
+  // Image enhancement before OCR, and the enhanced version of each photo: { [pageId]: { blob, url } }
+  const [enhance, setEnhance] = useState(true);
+  const [processedPages, setProcessedPages] = useState({});
+  const [preprocessing, setPreprocessing] = useState(false);
+  const enhancedPageIds = useRef(new Set()); // pages whose enhancement already started
 
-    const itemLines = [];
-    const summaryLines = [];
+  // Last OCR result per mode, so users can flip between them: { enhanced, original }
+  const [ocrResults, setOcrResults] = useState({});
 
-    allLines.forEach((line) => {
-      if (!line) return;
+  // What was OCR'd, for the bounding-box overlay: one { imageUrl } per page, plus all lines
+  const [ocrPages, setOcrPages] = useState([]);
+  const [ocrLines, setOcrLines] = useState([]);
+  const [focusedRow, setFocusedRow] = useState(null);
 
-      if (summaryRegex.test(line) || /^(?:.*\s+)?(\$?\d+\.\d{2})(?:\s.*)?$/.test(line)) {
-        if (currencyRegex.test(line) || summaryRegex.test(line)) {
-          summaryLines.push(line);
-        }
-      } else if (currencyRegex.test(line)) {
-        itemLines.push(line);
-      }
-    });
+  // Layout template that parsed the lines, and the one detection picked
+  const [templateId, setTemplateId] = useState(null);
+  const [detectedTemplateId, setDetectedTemplateId] = useState(null);
 
-    return { itemLines, summaryLines };
-  };
+  // Merchant, location, date/time and card digits read from the receipt (editable)
+  const [receiptHeader, setReceiptHeader] = useState(null);
+
+  // QR codes/barcodes found on the photos, decoded where a parser knows the format
+  const [decodedCodes, setDecodedCodes] = useState([]);
+  const codeData = pickReceiptData(decodedCodes);
+
+  // Earlier receipt this upload looks like: { receipt, reason, record } while the prompt is open
+  const [duplicateMatch, setDuplicateMatch] = useState(null);
+
+  // Receipt draft the analysis is saved into (services/receiptDrafts.js); re-analysis updates
+  // it. It is kept in the URL (?draft=) so a reload reopens the draft.
+  const [searchParams, setSearchParams] = useSearchParams();
+  const resumeDraftId = useRef(searchParams.get("draft"));
+  const [draftId, setDraftId] = useState(resumeDraftId.current);
+  const [loadingDraft, setLoadingDraft] = useState(Boolean(resumeDraftId.current));
+
+  // Receipt language/number format, remembered between visits
+  const [localeId, setLocaleId] = useState(loadLocaleId);
+  const locale = getLocale(localeId);
+
+  // Printed-vs-computed difference the user chose to accept (null = none)
+  const [acceptedDifference, setAcceptedDifference] = useState(null);
+  const navigate = useNavigate();
+
+  // Edits to the rows and receipt details go straight into the draft
+  const autosaveStatus = useDraftAutosave(
+    draftId,
+    draftId && !loadingDraft
+      ? {
+          items,
+          header: receiptHeader,
+          name: receiptHeader?.merchant || null,
+          acceptedDifference,
+        }
+      : null
+  );
 
   /**
-   * Parses an item line into structured data { qty, name, price }.
+   * Undo/redo over the rows and receipt details, OCR runs and "Retry"
+   * included (undoing a retry brings back the rows, not the photos). It only
+   * covers what the editor shows: the draft the page saves into stays as it
+   * is, so undoing an analysis empties the draft instead of forgetting it.
+   * The history is kept per draft, so it is still there when a reload
+   * reopens it.
    */
-  const parseItemLine = (line) => {
-    let qty = "1";
-    let name = line;
-    let price = "";
-
-    const qtyMatch = line.match(/^(\d+)\s+(.*)/);
-    if (qtyMatch) {
-      qty = qtyMatch[1];
-      name = qtyMatch[2];
-    }
-
-    const priceMatch = name.match(/(\$?\d+\.\d{2})$/);
-    if (priceMatch) {
-      price = priceMatch[1];
-      name = name.replace(price, "").trim();
+  const history = useUndoHistory(
+    draftId,
+    loadingDraft
+      ? null
+      : {
+          items,
+          header: receiptHeader,
+          acceptedDifference,
+          rawText,
+        },
+    (snapshot) => {
+      setItems(snapshot.items);
+      setReceiptHeader(snapshot.header);
+      setAcceptedDifference(snapshot.acceptedDifference);
+      setRawText(snapshot.rawText);
+      setFocusedRow(null);
     }
+  );
 
-    return { qty, name: name || "Item", price: price || "$0.00" };
-  };
+  const ocrMode = enhance ? "enhanced" : "original";
 
   /**
-   * Parses a summary line into structured data { qty, name, price }.
+   * Reloaded with ?draft=: bring back the draft's rows and receipt details.
+   * Its photos stay on the draft; they aren't shown here again.
    */
-  const parseSummaryLine = (line) => {
-    let qty = "1";
-    let name = "Summary Item";
-    let price = "$0.00";
-
-    const currencyMatch = line.match(/(\$?\d+\.\d{2})/);
-    if (currencyMatch) {
-      price = currencyMatch[1];
-    }
+  useEffect(() => {
+    const receiptId = resumeDraftId.current;
+    if (!receiptId) return;
+    const resumeDraft = async () => {
+      try {
+        const draft = await loadReceiptDraft(receiptId);
+        if (!draft) {
+          setDraftId(null);
+          return;
+        }
+        setItems(draft.items || []);
+        setReceiptHeader(draft.header ?? null);
+        setRawText(draft.rawText || "");
+        setAcceptedDifference(draft.acceptedDifference ?? null);
+        setUploadStatus("Draft reopened. Add the photos again to re-read them.");
+      } catch (err) {
+        console.error("Error loading receipt draft:", err);
+        alert("Failed to load the receipt draft. Please try again.");
+        setDraftId(null);
+      } finally {
+        setLoadingDraft(false);
+      }
+    };
+    resumeDraft();
+  }, []);
 
-    if (/tax/i.test(line)) {
-      name = "Tax";
-    } else if (/tip/i.test(line)) {
-      name = "Tip";
-    } else if (/total/i.test(line)) {
-      name = "Total";
-    } else if (/subtotal/i.test(line)) {
-      name = "Subtotal";
-    } else {
-      name = line.replace(currencyMatch?.[0], "").trim() || "Summary Item";
+  // Keep ?draft= in step with the draft being edited
+  useEffect(() => {
+    if ((searchParams.get("draft") || null) !== draftId) {
+      setSearchParams(draftId ? { draft: draftId } : {}, { replace: true });
     }
+  }, [draftId, searchParams, setSearchParams]);
 
-    return { qty, name, price };
-  };
+  /**
+   * Builds the enhanced preview for every photo that doesn't have one yet.
+   */
+  useEffect(() => {
+    if (!enhance) return;
+    const pending = pages.filter(
+      (page) => !isPdfFile(page.file) && !enhancedPageIds.current.has(page.id)
+    );
+    if (pending.length === 0) return;
+    pending.forEach((page) => enhancedPageIds.current.add(page.id));
+
+    const run = async () => {
+      setPreprocessing(true);
+      for (const page of pending) {
+        try {
+          const result = await preprocessReceiptImage(page.file);
+          setProcessedPages((prev) => ({
+            ...prev,
+            [page.id]: { ...result, url: URL.createObjectURL(result.blob) },
+          }));
+        } catch (err) {
+          console.error("Error enhancing receipt image:", err);
+        }
+      }
+      setPreprocessing(false);
+    };
+    run();
+  }, [enhance, pages]);
+
+  /**
+   * Loads the OCR engine for the selected language as soon as there is
+   * something to analyze, so "Analyze Receipt" starts recognizing right away.
+   */
+  const hasPages = pages.length > 0;
+  useEffect(() => {
+    if (hasPages) preloadOcr(ocrSettingsFor(getLocale(localeId)));
+  }, [hasPages, localeId]);
 
   /**
    * Analyzes the uploaded receipt using Tesseract.js and processes the results.
+   * `receiptPages` defaults to the pages in state; a camera capture passes the
+   * updated list because state hasn't caught up yet.
    */
-  const handleAnalyzeReceipt = async () => {
-    if (!selectedFile) {
+  const handleAnalyzeReceipt = async (receiptPages = pages) => {
+    if (receiptPages.length === 0) {
       alert("Please upload a receipt file first!");
       return;
     }
+    if (analyzing) return;
+
+    // Checked between steps; OCR itself is interrupted by cancelOcr()
+    cancelRequested.current = false;
+    const stopIfCancelled = () => {
+      if (cancelRequested.current) throw new OcrCancelledError();
+    };
+    setAnalyzing(true);
 
-    setUploadStatus("Analyzing receipt...");
+    setUploadStatus(
+      receiptPages.length > 1
+        ? `Analyzing ${receiptPages.length} receipt photos...`
+        : "Analyzing receipt..."
+    );
     setProgress(0);
 
     try {
-      const result = await Tesseract.recognize(selectedFile, "eng", {
-        tessedit_char_whitelist:
-          "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz$.,:- ",
-        tessedit_pageseg_mode: "6",
-        logger: (info) => {
-          if (info.status === "recognizing text") {
-            setProgress(Math.round(info.progress * 100));
-          }
-        },
-      });
+      // QR codes/barcodes first: a code with the full item list makes OCR unnecessary
+      const scanned = [];
+      for (const page of receiptPages) {
+        if (!isPdfFile(page.file)) scanned.push(...(await scanReceiptCodes(page.file)));
+      }
+      stopIfCancelled();
+      const foundCodes = decodeReceiptCodes(scanned);
+      const foundData = pickReceiptData(foundCodes);
+      const pagesToRead = foundData?.items ? [] : receiptPages;
 
-      const fullText = result.data.text || "";
-      setRawText(fullText);
+      // Read each file in order; progress is spread evenly across the files
+      const pageLines = [];
+      const analyzedPages = [];
+      const imageSources = []; // { original, processed } per photo/scanned page, kept in Storage
+      for (let fileIdx = 0; fileIdx < pagesToRead.length; fileIdx++) {
+        const { file } = pagesToRead[fileIdx];
+        const reportProgress = (fraction) =>
+          setProgress(Math.round(((fileIdx + fraction) / pagesToRead.length) * 100));
 
-      const { itemLines, summaryLines } = extractRelevantLines(fullText);
+        if (isPdfFile(file)) {
+          // Text-layer pages are used as-is; scanned pages are rendered and OCR'd
+          const pdfPages = await extractPdfPages(file);
+          for (let i = 0; i < pdfPages.length; i++) {
+            stopIfCancelled();
+            const pageIdx = pageLines.length;
+            if (pdfPages[i].text !== undefined) {
+              pageLines.push(textToLines(pdfPages[i].text, pageIdx));
+              analyzedPages.push({ imageUrl: null });
+              continue;
+            }
+            const image = enhance
+              ? (await preprocessReceiptImage(pdfPages[i].image)).blob
+              : pdfPages[i].image;
+            imageSources.push({ original: pdfPages[i].image, processed: enhance ? image : null });
+            pageLines.push(
+              await recognizeLines(
+                image,
+                pageIdx,
+                (p) => reportProgress((i + p) / pdfPages.length),
+                ocrSettingsFor(locale)
+              )
+            );
+            analyzedPages.push({ imageUrl: URL.createObjectURL(image), ownsUrl: true });
+          }
+        } else {
+          const processed =
+            enhance &&
+            (processedPages[pagesToRead[fileIdx].id] || (await preprocessReceiptImage(file)));
+          stopIfCancelled();
+          const image = processed ? processed.blob : file;
+          imageSources.push({ original: file, processed: processed ? processed.blob : null });
+          pageLines.push(
+            await recognizeLines(image, pageLines.length, reportProgress, ocrSettingsFor(locale))
+          );
+          analyzedPages.push(
+            processed && !processedPages[pagesToRead[fileIdx].id]
+              ? { imageUrl: URL.createObjectURL(image), ownsUrl: true }
+              : { imageUrl: processed ? processed.url : pagesToRead[fileIdx].previewUrl }
+          );
+        }
+      }
+      if (foundData?.items) {
+        receiptPages
+          .filter((page) => !isPdfFile(page.file))
+          .forEach((page) =>
+            imageSources.push({
+              original: page.file,
+              processed: processedPages[page.id]?.blob || null,
+            })
+          );
+        pageLines.push(textToLines(describeCodeData(foundData), 0));
+        analyzedPages.push({ imageUrl: null });
+      }
 
-      const parsedItems = itemLines.map((line) => parseItemLine(line));
-      const parsedSummaryItems = summaryLines.map((line) => parseSummaryLine(line));
+      stopIfCancelled();
 
-      const combinedItems = [...parsedItems, ...parsedSummaryItems];
+      // Drop repeated headers/footers and the overlap between consecutive photos
+      const mergedLines = mergeOcrPages(pageLines);
+      const fullText = mergedLines.map((line) => line.text).join("\n");
+      setRawText(fullText);
+
+      const parsed = parseWithTemplate(mergedLines, null, locale);
+      const combinedItems = mergeCodeData(parsed.items, foundData);
+      const header = applyCodeHeader(extractReceiptHeader(mergedLines, locale), foundData);
+      setReceiptHeader(header);
+      setDecodedCodes(foundCodes);
       setItems(combinedItems);
-      setSummary(summaryLines);
+      setSummary(parsed.summaryLines);
+      setTemplateId(parsed.templateId);
+      setDetectedTemplateId(parsed.detectedTemplateId);
+      releaseOcrPages();
+      setAcceptedDifference(null);
+      setOcrPages(analyzedPages);
+      setOcrLines(mergedLines);
+      setFocusedRow(null);
+      setOcrResults((prev) => ({
+        ...prev,
+        [ocrMode]: {
+          rawText: fullText,
+          items: combinedItems,
+          pages: analyzedPages,
+          lines: mergedLines,
+          templateId: parsed.templateId,
+          detectedTemplateId: parsed.detectedTemplateId,
+          header,
+          codes: foundCodes,
+        },
+      }));
 
-      // Save the parsed data to Firestore
-      await saveReceiptToFirestore(combinedItems);
+      // Hash the original photo, not the enhanced one, so both modes fingerprint alike
+      const hashSource = imageSources[0]?.original;
+      const imageHash = hashSource ? await perceptualHash(hashSource).catch(() => null) : null;
+      const fingerprint = buildFingerprint({
+        imageHash,
+        merchant: header.merchant,
+        date: header.date,
+        total: receiptTotal(combinedItems),
+      });
 
-      localStorage.setItem("receiptText", fullText);
-      localStorage.setItem("receiptItems", JSON.stringify(combinedItems));
+      // Save the parsed data as a draft, unless it looks like a receipt saved before
+      const record = {
+        items: combinedItems,
+        header,
+        name: header.merchant || null,
+        codes: foundCodes,
+        fingerprint,
+        imageSources,
+        rawText: fullText,
+        acceptedDifference: null,
+      };
+      const duplicate = await findDuplicate(fingerprint);
+      if (duplicate) {
+        setDuplicateMatch({ ...duplicate, record });
+      } else {
+        await saveReceiptToFirestore(record);
+      }
 
-      setUploadStatus("Receipt analysis complete!");
+      setUploadStatus(
+        foundData?.items
+          ? "Items and totals read from the receipt's QR code."
+          : "Receipt analysis complete!"
+      );
     } catch (error) {
-      console.error("Error analyzing receipt:", error);
-      setUploadStatus(`Error: ${error.message}`);
+      if (error instanceof OcrCancelledError) {
+        setUploadStatus("Analysis cancelled.");
+      } else {
+        console.error("Error analyzing receipt:", error);
+        setUploadStatus(`Error: ${error.message}`);
+      }
+      setProgress(0);
+    } finally {
+      setAnalyzing(false);
     }
   };
 
   /**
-   * Saves receipt data to Firestore under the authenticated user's account.
+   * Stops the analysis in progress; the photos stay so it can be re-run.
    */
-  const saveReceiptToFirestore = async (items) => {
+  const handleCancelAnalysis = () => {
+    cancelRequested.current = true;
+    cancelOcr();
+  };
+
+  /**
+   * Saves receipt data to Firestore under the authenticated user's account, as
+   * a new draft or, when re-analyzing, into this page's draft. `record` is
+   * { items, header, name, codes, fingerprint, imageSources, rawText, ... }; the
+   * photos go to Storage and are linked on the draft (services/receiptDrafts.js).
+   */
+  const saveReceiptToFirestore = async ({ duplicateOf, ...record }) => {
     const user = auth.currentUser;
     if (!user) {
       throw new Error("User not authenticated.");
     }
 
-    const receiptsCollection = collection(db, "receipts");
-    await addDoc(receiptsCollection, {
-      userId: user.uid,
-      items,
-      createdAt: new Date().toISOString(),
+    if (record.imageSources.length > 0) setUploadStatus("Saving receipt photos...");
+    const draft = { ...record, localeId, ...(duplicateOf && { duplicateOf }) };
+    if (draftId) {
+      await saveReceiptScan(user.uid, draftId, draft);
+    } else {
+      setDraftId((await createReceiptDraft(user.uid, draft)).id);
+    }
+  };
+
+  /**
+   * The earlier receipt matching this fingerprint, the user's or one from
+   * their groups, if any. A failed lookup just skips the check.
+   */
+  const findDuplicate = async (fingerprint) => {
+    const user = auth.currentUser;
+    if (!user) return null;
+    try {
+      return await findExistingReceipt(user.uid, fingerprint, { excludeId: draftId });
+    } catch (err) {
+      console.error("Error checking for duplicate receipts:", err);
+      return null;
+    }
+  };
+
+  /**
+   * Duplicate prompt: show the earlier receipt in the history instead.
+   */
+  const handleOpenExisting = () => {
+    const { receipt } = duplicateMatch;
+    setDuplicateMatch(null);
+    navigate("/receipt/history", { state: { openReceiptId: receipt.id } });
+  };
+
+  /**
+   * Duplicate prompt: save this upload anyway, linked to the one it resembles.
+   */
+  const handleContinueDuplicate = async () => {
+    const { receipt, record } = duplicateMatch;
+    setDuplicateMatch(null);
+    try {
+      await saveReceiptToFirestore({ ...record, duplicateOf: receipt.id });
+      setUploadStatus("Receipt saved.");
+    } catch (error) {
+      console.error("Error saving receipt:", error);
+      alert("Failed to save receipt. Please try again.");
+    }
+  };
+
+  /**
+   * Edits one receipt detail (merchant, location, date, time, cardLast4).
+   */
+  const handleHeaderChange = (field, value) => {
+    const cleaned = field === "cardLast4" ? value.replace(/\D/g, "") : value;
+    const updated = { ...receiptHeader, [field]: cleaned || null };
+    setReceiptHeader(updated);
+    setOcrResults((prev) => ({ ...prev, [ocrMode]: { ...prev[ocrMode], header: updated } }));
+  };
+
+  /**
+   * Frees object URLs created for OCR'd images (rendered PDF pages, on-demand enhancements).
+   * Results kept for the other enhancement mode are left alone.
+   */
+  const releaseOcrPages = () => {
+    const otherMode = enhance ? "original" : "enhanced";
+    const keep = new Set((ocrResults[otherMode]?.pages || []).map((page) => page.imageUrl));
+    ocrPages.forEach((page) => {
+      if (page.ownsUrl && !keep.has(page.imageUrl)) URL.revokeObjectURL(page.imageUrl);
     });
   };
 
   /**
-   * Handles retrying the analysis process.
+   * Clicking a region on the overlay: re-parse the row that came from that line,
+   * or add it as a new row if no row is linked to it yet.
    */
-  const handleRetry = () => {
-    setSelectedFile(null);
+  const handleOverlayLineClick = (line) => {
+    const key = lineKey(line);
+    const parsed = parseSingleLine(line, templateId && getTemplate(templateId), locale);
+    const existingIdx = items.findIndex((item) => lineKey(item.source) === key);
+
+    // An item's own discount/deposit line: just point at that item
+    const ownerIdx = items.findIndex((item) =>
+      (item.adjustments || []).some((adj) => lineKey(adj.source) === key)
+    );
+    if (existingIdx === -1 && ownerIdx !== -1) {
+      setFocusedRow(ownerIdx);
+      return;
+    }
+
+    if (existingIdx !== -1) {
+      setItems((prev) => {
+        const updated = [...prev];
+        updated[existingIdx] = parsed;
+        return updated;
+      });
+      setFocusedRow(existingIdx);
+    } else {
+      setItems((prev) => [...prev, parsed]);
+      setFocusedRow(items.length);
+    }
+  };
+
+  /**
+   * Re-parses the recognized lines with another layout template ("" = the
+   * detected one). Edits made to the rows are replaced by the new parse.
+   */
+  const handleTemplateChange = (value) => {
+    const parsed = parseWithTemplate(ocrLines, value || null, locale);
+    const nextItems = mergeCodeData(parsed.items, codeData);
+    setItems(nextItems);
+    setSummary(parsed.summaryLines);
+    setTemplateId(parsed.templateId);
+    setFocusedRow(null);
+    setAcceptedDifference(null);
+    setOcrResults((prev) => ({
+      ...prev,
+      [ocrMode]: { ...prev[ocrMode], items: nextItems, templateId: parsed.templateId },
+    }));
+  };
+
+  /**
+   * Switches the receipt locale. Lines already read are re-parsed with the
+   * new number format and labels right away; the photos themselves are only
+   * re-read with the new language data on the next "Analyze Receipt".
+   */
+  const handleLocaleChange = (id) => {
+    const nextLocale = getLocale(id);
+    setLocaleId(nextLocale.id);
+    saveLocaleId(nextLocale.id);
+    if (ocrLines.length === 0) return;
+
+    const parsed = parseWithTemplate(ocrLines, null, nextLocale);
+    const nextItems = mergeCodeData(parsed.items, codeData);
+    const header = applyCodeHeader(extractReceiptHeader(ocrLines, nextLocale), codeData);
+    setReceiptHeader(header);
+    setItems(nextItems);
+    setSummary(parsed.summaryLines);
+    setTemplateId(parsed.templateId);
+    setDetectedTemplateId(parsed.detectedTemplateId);
+    setFocusedRow(null);
+    setAcceptedDifference(null);
+    setOcrResults((prev) => ({
+      ...prev,
+      [ocrMode]: {
+        ...prev[ocrMode],
+        items: nextItems,
+        templateId: parsed.templateId,
+        detectedTemplateId: parsed.detectedTemplateId,
+        header,
+      },
+    }));
+    if (nextLocale.ocrLanguage !== locale.ocrLanguage) {
+      setUploadStatus(
+        `Re-parsed as ${nextLocale.label}. Analyze again to re-read the photos in that language.`
+      );
+    }
+  };
+
+  /**
+   * A photo from the live camera view: added as the next page and analyzed
+   * together with any pages already there.
+   */
+  const handleCameraCapture = (file) => {
+    setShowCamera(false);
+    const captured = createPages([file]);
+    addPages(captured);
+    handleAnalyzeReceipt([...pages, ...captured]);
+  };
+
+  /**
+   * Forgets the analysis of the current photos (rows, OCR text and lines,
+   * receipt details, codes), which no longer matches once photos are added,
+   * moved or removed. The draft is kept; callers that start over clear it.
+   */
+  const discardAnalysis = () => {
+    setOcrResults({});
+    releaseOcrPages();
+    setOcrPages([]);
+    setOcrLines([]);
+    setRawText("");
+    setFocusedRow(null);
+    setTemplateId(null);
+    setDetectedTemplateId(null);
+    setReceiptHeader(null);
+    setDecodedCodes([]);
+    setDuplicateMatch(null);
+    setAcceptedDifference(null);
     setItems([]);
     setSummary([]);
     setUploadStatus("");
     setProgress(0);
-    localStorage.removeItem("receiptText");
-    localStorage.removeItem("receiptItems");
   };
 
   /**
-   * Updates localStorage whenever items change.
+   * Photos were added, moved or removed: the analysis is discarded here and
+   * in the draft, which the next analysis fills in again.
    */
-  useEffect(() => {
-    if (items.length > 0) {
-      localStorage.setItem("receiptItems", JSON.stringify(items));
-    }
-  }, [items]);
+  const handlePagesChanged = () => {
+    discardAnalysis();
+    if (!draftId) return;
+    updateReceiptDraft(draftId, {
+      items: [],
+      header: null,
+      rawText: "",
+      codes: [],
+      fingerprint: null,
+      acceptedDifference: null
+    }).catch((err) => console.error("Error clearing receipt draft:", err));
+  };
+  const handlePagesChangedRef = useRef(handlePagesChanged);
+  handlePagesChangedRef.current = handlePagesChanged;
 
-  const onDrop = useCallback((acceptedFiles) => {
-    if (acceptedFiles.length > 0) {
-      setSelectedFile(acceptedFiles[0]);
-      setUploadStatus("");
-      setItems([]);
-      setSummary([]);
-      setProgress(0);
-    }
+  /**
+   * Handles retrying the analysis process.
+   */
+  const handleRetry = () => {
+    pages.forEach((page) => URL.revokeObjectURL(page.previewUrl));
+    Object.values(processedPages).forEach((processed) => URL.revokeObjectURL(processed.url));
+    setPages([]);
+    setProcessedPages({});
+    enhancedPageIds.current.clear();
+    discardAnalysis();
+    setDraftId(null); // the next photos start a new draft
+  };
+
+  /**
+   * Appends new photos to the end of the page list. Any previous analysis is
+   * discarded because it no longer covers every page; re-analyzing saves into
+   * the same draft.
+   */
+  const addPages = useCallback((newPages) => {
+    if (newPages.length === 0) return;
+    setPages((prev) => [...prev, ...newPages]);
+    handlePagesChangedRef.current();
   }, []);
 
+  const onDrop = useCallback(
+    (acceptedFiles) => addPages(createPages(acceptedFiles)),
+    [addPages]
+  );
+
   const { getRootProps, getInputProps, isDragActive } = useDropzone({
-    accept: { "image/*": [".png", ".jpg", ".jpeg", ".webp", ".gif", ".bmp"] },
+    accept: {
+      "image/*": [".png", ".jpg", ".jpeg", ".webp", ".gif", ".bmp"],
+      [PDF_MIME_TYPE]: [".pdf"],
+    },
     onDrop,
-    multiple: false,
+    multiple: true,
   });
 
-  const goToAnalysisPage = () => {
+  /**
+   * Camera input for snapping the next section of a long receipt.
+   */
+  const handleSnapPhoto = (e) => {
+    addPages(createPages(Array.from(e.target.files || [])));
+    e.target.value = "";
+  };
+
+  /**
+   * Moves a photo up (-1) or down (+1) in the page order.
+   */
+  const handleMovePage = (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= pages.length) return;
+    setPages((prev) => {
+      const updated = [...prev];
+      [updated[index], updated[target]] = [updated[target], updated[index]];
+      return updated;
+    });
+    handlePagesChanged();
+  };
+
+  const handleRemovePage = (index) => {
+    const { id, previewUrl } = pages[index];
+    URL.revokeObjectURL(previewUrl);
+    if (processedPages[id]) URL.revokeObjectURL(processedPages[id].url);
+    setPages((prev) => prev.filter((_, i) => i !== index));
+    handlePagesChanged();
+  };
+
+  /**
+   * Switches image enhancement on/off. Edits to the current result are kept,
+   * and if the other mode was already analyzed its result is shown right away
+   * so the two OCR outputs can be compared.
+   */
+  const handleToggleEnhance = () => {
+    const nextMode = enhance ? "original" : "enhanced";
+    if (items.length > 0) {
+      setOcrResults((prev) => ({ ...prev, [ocrMode]: { ...prev[ocrMode], items } }));
+    }
+
+    const nextResult = ocrResults[nextMode];
+    setEnhance(!enhance);
+    setFocusedRow(null);
+    if (nextResult) {
+      setRawText(nextResult.rawText);
+      setItems(nextResult.items);
+      setOcrPages(nextResult.pages);
+      setOcrLines(nextResult.lines);
+      setTemplateId(nextResult.templateId);
+      setDetectedTemplateId(nextResult.detectedTemplateId);
+      setReceiptHeader(nextResult.header || null);
+      setDecodedCodes(nextResult.codes || []);
+      setUploadStatus(
+        `Showing OCR results ${nextMode === "enhanced" ? "with" : "without"} image enhancement.`
+      );
+    } else {
+      setRawText("");
+      setItems([]);
+      setOcrPages([]);
+      setOcrLines([]);
+      setTemplateId(null);
+      setDetectedTemplateId(null);
+      setReceiptHeader(null);
+      setDecodedCodes([]);
+      setUploadStatus("");
+    }
+  };
+
+  const goToAnalysisPage = async () => {
     if (!rawText) {
       alert("No recognized text available. Please analyze first.");
       return;
     }
-    navigate("/receipt/analysis");
+    const flaggedIdx = items.findIndex((item) => item.needsReview);
+    if (flaggedIdx !== -1) {
+      const flaggedCount = items.filter((item) => item.needsReview).length;
+      alert(
+        `${flaggedCount} row(s) still need review. Please check each flagged row, ` +
+          "then edit it or click “Confirm” before continuing."
+      );
+      setFocusedRow(flaggedIdx);
+      return;
+    }
+    if (!isDiscrepancyAccepted(reconciliation, acceptedDifference)) {
+      alert(
+        "The items don’t add up to the totals printed on the receipt. " +
+          "Fix the rows listed under “Totals Check”, or accept the difference to continue."
+      );
+      return;
+    }
+    if (!draftId) {
+      alert(
+        "This receipt hasn't been saved yet. Please make sure you're logged in and analyze it again."
+      );
+      return;
+    }
+    try {
+      // Don't leave the last edits to the autosave delay
+      await updateReceiptDraft(draftId, {
+        items,
+        header: receiptHeader,
+        name: receiptHeader?.merchant || null,
+        acceptedDifference,
+      });
+      navigate(`/receipt/${draftId}/analysis`);
+    } catch (err) {
+      console.error("Error saving receipt draft:", err);
+      alert("Failed to save receipt. Please try again.");
+    }
   };
 
+  /**
+   * Editing a row counts as reviewing it, so its flag is cleared.
+   */
   const handleItemChange = (index, field, newValue) => {
     setItems((prev) => {
       const updated = [...prev];
-      updated[index] = { ...updated[index], [field]: newValue };
+      updated[index] = { ...updated[index], [field]: newValue, needsReview: false };
       return updated;
     });
   };
 
-  const handleAddItem = () => {
-    const newItem = { qty: "1", name: "New Item", price: "$0.00" };
-    setItems((prev) => [...prev, newItem]);
+  /**
+   * Marks a flagged row as checked without changing it.
+   */
+  const handleConfirmItem = (index) => {
+    setItems((prev) => {
+      const updated = [...prev];
+      updated[index] = { ...updated[index], needsReview: false };
+      return updated;
+    });
   };
 
-  const handleRemoveItem = (index) => {
+  // Compare the item rows with the printed Subtotal/Total rows
+  const { normalItems, summaryItems, adjustmentItems } = separateSummaryFromItems(items);
+  const normalItemIndexes = items
+    .map((item, idx) => (normalItems.includes(item) ? idx : -1))
+    .filter((idx) => idx !== -1);
+  const reconciliation = reconcileReceipt(normalItems, summaryItems, adjustmentItems);
+
+  const handleAcceptDifference = () => {
+    setAcceptedDifference(reconciliation.difference);
+  };
+
+  /**
+   * Applies a misread-price suggestion; `normalIdx` indexes the non-summary rows.
+   */
+  const handleApplyPriceSuggestion = (normalIdx, price) => {
+    const itemIdx = normalItemIndexes[normalIdx];
+    handleItemChange(itemIdx, "price", `$${price}`);
+    setFocusedRow(itemIdx);
+  };
+
+  // Keys of the OCR lines that already have a table row, and the focused row's line
+  // (an item's own discount/deposit and add-on lines count as linked to it)
+  const linkedLineKeys = new Set(
+    items
+      .flatMap((item) => [
+        item.source,
+        ...(item.adjustments || []).map((adj) => adj.source),
+        ...(item.modifiers || []).map((modifier) => modifier.source),
+      ])
+      .map(lineKey)
+      .filter(Boolean)
+  );
+  const highlightedLineKey = focusedRow !== null ? lineKey(items[focusedRow]?.source) : null;
+
+  /**
+   * Detaches a discount/deposit/void from its item, e.g. when it was attached
+   * to the wrong line. It becomes a receipt-level row so it still counts.
+   */
+  const handleDetachAdjustment = (index, adjIdx) => {
     setItems((prev) => {
       const updated = [...prev];
-      updated.splice(index, 1);
+      const item = updated[index];
+      const adj = item.adjustments[adjIdx];
+      updated[index] = { ...item, adjustments: item.adjustments.filter((_, i) => i !== adjIdx) };
+      updated.splice(index + 1, 0, {
+        qty: "1",
+        name: adj.label,
+        price: adj.amount,
+        adjustment: adj.type,
+        needsReview: false,
+        ocrConfidence: null,
+        source: adj.source,
+      });
       return updated;
     });
   };
 
+  const handleRemoveAdjustment = (index, adjIdx) => {
+    setItems((prev) => {
+      const updated = [...prev];
+      const item = updated[index];
+      updated[index] = { ...item, adjustments: item.adjustments.filter((_, i) => i !== adjIdx) };
+      return updated;
+    });
+  };
+
+  /**
+   * Add-ons the parser missed ("Sub fries 1.50" under a burger) can be attached
+   * to the item above, and wrongly attached ones turned back into items.
+   */
+  const handleAttachToPrevious = (index) => {
+    setItems((prev) => attachToPreviousItem(prev, index));
+    setFocusedRow(null);
+  };
+
+  const handleDetachModifier = (index, modifierIdx) => {
+    setItems((prev) => detachModifier(prev, index, modifierIdx));
+    setFocusedRow(null);
+  };
+
+  /**
+   * Rows added, removed or pasted from the grid.
+   */
+  const handleSpliceItems = (index, deleteCount, rows) => {
+    setItems((prev) => {
+      const updated = [...prev];
+      updated.splice(index, deleteCount, ...rows);
+      return updated;
+    });
+    setFocusedRow(null);
+  };
+
   return (
     <div className="pt-28 px-6 min-h-screen bg-gradient-to-b from-gray-50 to-gray-100">
-      <h1 className="text-2xl font-bold mb-4">Upload Receipt</h1>
+      <div className="flex flex-wrap items-baseline gap-3 mb-4">
+        <h1 className="text-2xl font-bold">Upload Receipt</h1>
+        {draftId && <DraftStatus status={autosaveStatus} />}
+        <UndoRedoButtons history={history} />
+      </div>
       <p className="text-gray-600 mb-6">
-        Upload your receipt image below. Once uploaded, click “Analyze Receipt” to
-        run OCR. Edit the data if needed, then press “Next.”
+        Upload your receipt image or PDF below. Once uploaded, click “Analyze Receipt” to
+        run OCR. Edit the data if needed, then press “Next.” For long receipts,
+        add one photo per section from top to bottom; overlapping lines are merged.
+        Got the receipt by email?{" "}
+        <Link to="/receipt/import" className="text-purple-600 underline">
+          Import it instead
+        </Link>
+        . Several receipts to go through?{" "}
+        <Link to="/receipt/batch" className="text-purple-600 underline">
+          Use batch upload
+        </Link>
+        .
       </p>
 
       {/* Drag-and-drop area */}
@@ -249,29 +957,166 @@ export default function UploadReceipt() {
       >
         <input {...getInputProps()} />
         <p className="text-center text-gray-600">
-          {isDragActive ? "Drop the file here..." : "Drag & drop a receipt image here, or click to select one"}
+          {isDragActive
+            ? "Drop the files here..."
+            : "Drag & drop receipt images or PDFs here, or click to select one or more"}
         </p>
       </div>
 
-      {/* File preview */}
-      {selectedFile && (
+      {/* Snap the next section with the device camera */}
+      <label className="inline-block mb-4 px-4 py-2 bg-gray-200 text-gray-800 font-semibold rounded cursor-pointer hover:bg-gray-300 transition">
+        📷 {pages.length > 0 ? "Snap Next Section" : "Take Photo"}
+        <input
+          type="file"
+          accept="image/*"
+          capture="environment"
+          className="hidden"
+          onChange={handleSnapPhoto}
+        />
+      </label>
+
+      {/* Live camera view with edge detection and auto-capture */}
+      {canUseCamera && !analyzing && (
+        <button
+          onClick={() => setShowCamera(true)}
+          className="inline-block mb-4 ml-2 px-4 py-2 bg-gray-200 text-gray-800 font-semibold rounded hover:bg-gray-300 transition"
+        >
+          🎯 {pages.length > 0 ? "Scan Next Section" : "Scan with Camera"}
+        </button>
+      )}
+      {showCamera && (
+        <CameraCapture onCapture={handleCameraCapture} onClose={() => setShowCamera(false)} />
+      )}
+
+      {duplicateMatch && (
+        <DuplicateReceiptPrompt
+          match={duplicateMatch}
+          onOpenExisting={handleOpenExisting}
+          onContinue={handleContinueDuplicate}
+        />
+      )}
+
+      {/* Receipt language and number format */}
+      <label className="flex items-center gap-2 mb-4 text-gray-700">
+        <span>Receipt language:</span>
+        <select
+          value={localeId}
+          onChange={(e) => handleLocaleChange(e.target.value)}
+          className="bg-white border border-gray-300 rounded px-2 py-1 focus:outline-none focus:ring-2 focus:ring-purple-400"
+        >
+          {RECEIPT_LOCALES.map((option) => (
+            <option key={option.id} value={option.id}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      {/* Image enhancement toggle */}
+      {pages.length > 0 && (
+        <label className="flex items-center gap-2 mb-4 text-gray-700">
+          <input type="checkbox" checked={enhance} onChange={handleToggleEnhance} />
+          <span>
+            Enhance image before OCR (crop to paper, straighten, sharpen contrast)
+          </span>
+          {preprocessing && <span className="text-sm text-gray-500">Enhancing...</span>}
+        </label>
+      )}
+
+      {/* Page previews, in receipt order */}
+      {pages.length > 0 && (
         <div className="mb-4">
-          <h2 className="text-lg font-semibold">Preview:</h2>
-          <img src={URL.createObjectURL(selectedFile)} alt="Receipt Preview" className="max-w-sm rounded shadow" />
+          <h2 className="text-lg font-semibold">
+            Preview{pages.length > 1 ? ` (${pages.length} photos, top to bottom)` : ""}:
+          </h2>
+          <div className="flex flex-wrap gap-4">
+            {pages.map((page, idx) => (
+              <div key={page.id} className="bg-white p-2 rounded shadow">
+                {isPdfFile(page.file) ? (
+                  <div className="w-48 h-32 flex flex-col items-center justify-center bg-gray-50 border rounded text-gray-600">
+                    <span className="text-3xl">📄</span>
+                    <span className="text-sm mt-1 px-2 truncate max-w-full">{page.file.name}</span>
+                  </div>
+                ) : enhance && processedPages[page.id] ? (
+                  <div className="flex gap-2">
+                    <figure>
+                      <img
+                        src={page.previewUrl}
+                        alt={`Receipt Preview ${idx + 1}`}
+                        className="max-w-[12rem] max-h-96 rounded"
+                      />
+                      <figcaption className="text-xs text-gray-500 text-center mt-1">Before</figcaption>
+                    </figure>
+                    <figure>
+                      <img
+                        src={processedPages[page.id].url}
+                        alt={`Enhanced Receipt Preview ${idx + 1}`}
+                        className="max-w-[12rem] max-h-96 rounded border"
+                      />
+                      <figcaption className="text-xs text-gray-500 text-center mt-1">After</figcaption>
+                    </figure>
+                  </div>
+                ) : (
+                  <img
+                    src={page.previewUrl}
+                    alt={`Receipt Preview ${idx + 1}`}
+                    className="max-w-sm max-h-96 rounded"
+                  />
+                )}
+                {pages.length > 1 && (
+                  <div className="flex items-center justify-between gap-2 mt-2 text-sm">
+                    <span className="text-gray-600">Page {idx + 1}</span>
+                    <div className="flex gap-1">
+                      <button
+                        onClick={() => handleMovePage(idx, -1)}
+                        disabled={idx === 0}
+                        className="px-2 py-1 bg-gray-200 rounded disabled:opacity-40"
+                      >
+                        ↑
+                      </button>
+                      <button
+                        onClick={() => handleMovePage(idx, 1)}
+                        disabled={idx === pages.length - 1}
+                        className="px-2 py-1 bg-gray-200 rounded disabled:opacity-40"
+                      >
+                        ↓
+                      </button>
+                      <button
+                        onClick={() => handleRemovePage(idx)}
+                        className="px-2 py-1 bg-red-500 text-white rounded hover:bg-red-600"
+                      >
+                        Remove
+                      </button>
+                    </div>
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
         </div>
       )}
 
       {/* Progress bar */}
-      {progress > 0 && progress < 100 && (
-        <div className="mb-4">
-          <p className="text-gray-600">Analyzing receipt... {progress}%</p>
-          <div className="w-full bg-gray-200 rounded">
-            <div
-              className="bg-blue-600 text-center text-white rounded h-5"
-              style={{ width: `${progress}%` }}
-            >
-              {progress}%
+      {analyzing && (
+        <div className="mb-4 w-full max-w-md">
+          <p className="text-gray-600">
+            {progress > 0 ? `Analyzing receipt... ${progress}%` : "Loading OCR engine..."}
+          </p>
+          <div className="flex items-center gap-3">
+            <div className="flex-1 bg-gray-200 rounded">
+              <div
+                className="bg-blue-600 text-center text-white rounded h-5"
+                style={{ width: `${progress}%` }}
+              >
+                {progress > 0 && `${progress}%`}
+              </div>
             </div>
+            <button
+              onClick={handleCancelAnalysis}
+              className="px-3 py-1 bg-gray-500 text-white text-sm font-semibold rounded hover:bg-gray-600 transition"
+            >
+              Cancel
+            </button>
           </div>
         </div>
       )}
@@ -280,15 +1125,128 @@ export default function UploadReceipt() {
       {uploadStatus && <p className="mt-4 text-gray-700">{uploadStatus}</p>}
 
       {/* Analyze button */}
-      {selectedFile && !items.length && (
+      {pages.length > 0 && !items.length && !analyzing && (
         <button
-          onClick={handleAnalyzeReceipt}
+          onClick={() => handleAnalyzeReceipt()}
           className="px-6 py-3 bg-blue-600 text-white font-semibold rounded mt-4"
         >
           Analyze Receipt
         </button>
       )}
 
+      {/* Side-by-side OCR output once both modes have been analyzed */}
+      {ocrResults.enhanced && ocrResults.original && (
+        <div className="mt-6 p-5 bg-white rounded shadow w-full max-w-3xl">
+          <h3 className="text-lg font-bold mb-3 text-gray-800">OCR Comparison</h3>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {[
+              ["original", "Without enhancement"],
+              ["enhanced", "With enhancement"],
+            ].map(([mode, label]) => (
+              <div key={mode}>
+                <p className="text-sm font-semibold text-gray-700 mb-1">
+                  {label} ({ocrResults[mode].items.length} rows)
+                </p>
+                <pre className="text-xs bg-gray-50 border rounded p-2 max-h-64 overflow-auto whitespace-pre-wrap">
+                  {ocrResults[mode].rawText}
+                </pre>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Recognized lines over the OCR'd image(s) */}
+      {items.length > 0 && ocrPages.some((page) => page.imageUrl) && (
+        <div className="mt-6 p-5 bg-white rounded shadow w-full max-w-3xl">
+          <h3 className="text-lg font-bold mb-1 text-gray-800">Recognized Lines</h3>
+          <p className="text-sm text-gray-500 mb-4">
+            Focus a row in the table to see where it was read. Click a box to re-parse
+            its row, or to add a line that OCR skipped.
+          </p>
+          <div className="flex flex-wrap gap-4">
+            {ocrPages.map(
+              (page, pageIdx) =>
+                page.imageUrl && (
+                  <ReceiptOverlay
+                    key={pageIdx}
+                    imageUrl={page.imageUrl}
+                    lines={ocrLines.filter((line) => line.page === pageIdx && line.bbox)}
+                    linkedKeys={linkedLineKeys}
+                    highlightedKey={highlightedLineKey}
+                    onLineClick={handleOverlayLineClick}
+                  />
+                )
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Receipt details read from the header/footer */}
+      {receiptHeader && (
+        <div className="mt-6 p-5 bg-white rounded shadow w-full max-w-3xl">
+          <h3 className="text-xl font-bold mb-3 text-gray-800 flex items-center gap-2">
+            <span>🧾</span> Receipt Details
+          </h3>
+          <p className="text-sm text-gray-500 mb-4">
+            Read from the receipt. The merchant becomes the receipt name and the date is
+            shown in your history; correct anything OCR got wrong.
+          </p>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 text-sm">
+            {[
+              { field: "merchant", label: "Merchant", type: "text" },
+              { field: "location", label: "Location", type: "text" },
+              { field: "date", label: "Date", type: "date" },
+              { field: "time", label: "Time", type: "time" },
+              { field: "cardLast4", label: "Card (last 4)", type: "text" },
+            ].map(({ field, label, type }) => (
+              <label key={field} className="flex flex-col gap-1">
+                <span className="font-semibold text-gray-700">{label}</span>
+                <input
+                  type={type}
+                  value={receiptHeader[field] || ""}
+                  maxLength={field === "cardLast4" ? 4 : undefined}
+                  onChange={(e) => handleHeaderChange(field, e.target.value)}
+                  className="bg-purple-50 border border-purple-200 rounded px-2 py-1 focus:outline-none focus:ring-2 focus:ring-purple-400"
+                />
+              </label>
+            ))}
+          </div>
+
+          {/* Codes found on the photos, and whether their data was used */}
+          {decodedCodes.length > 0 && (
+            <ul className="mt-4 space-y-1 text-sm text-gray-700">
+              {decodedCodes.map((code, idx) => (
+                <li key={idx} className="flex flex-wrap items-center gap-2">
+                  <span className="text-xs bg-gray-100 text-gray-600 rounded px-2 py-0.5">
+                    {code.format.replace(/_/g, " ").toUpperCase()}
+                  </span>
+                  {code.parser
+                    ? getCodeParsers().find((parser) => parser.id === code.parser)?.label ||
+                      code.parser // saved by a parser that is no longer registered
+                    : "Unrecognized code"}
+                  {code.data?.link && (
+                    <a
+                      href={code.data.link}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="text-purple-600 underline"
+                    >
+                      Open digital receipt
+                    </a>
+                  )}
+                  {codeData && code.parser === codeData.parser && (
+                    <span className="text-green-700">
+                      · {codeData.items ? "items and totals" : "totals"} taken from this code
+                    </span>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
       {/* Items Table Section */}
       {items.length > 0 && (
         <div className="mt-6 p-5 bg-white rounded shadow w-full max-w-3xl">
@@ -298,69 +1256,134 @@ export default function UploadReceipt() {
           <p className="text-sm text-gray-500 mb-4">
             Adjust the quantity, name, or price for each row (Tax, Tip, Total, etc.).
             Use “Add New Item” to manually create items if OCR missed something.
+            Coupons, deposits and voids printed under an item are listed with that item.
           </p>
 
-          <div className="overflow-auto">
-            <table className="w-full text-left text-sm">
-              <thead>
-                <tr className="bg-purple-100 text-purple-700 uppercase">
-                  <th className="p-2 font-semibold w-20">Qty</th>
-                  <th className="p-2 font-semibold w-1/2">Item / Label</th>
-                  <th className="p-2 font-semibold w-24">Price</th>
-                  <th className="p-2 font-semibold w-24">Action</th>
-                </tr>
-              </thead>
-              <tbody>
-                {items.map((item, idx) => (
-                  <tr key={idx} className="border-b last:border-none">
-                    <td className="p-2">
-                      <input
-                        className="w-16 bg-purple-50 border border-purple-200 rounded px-2 py-1 focus:outline-none focus:ring-2 focus:ring-purple-400"
-                        value={item.qty}
-                        onChange={(e) => handleItemChange(idx, "qty", e.target.value)}
-                      />
-                    </td>
-                    <td className="p-2">
-                      <input
-                        className="bg-purple-50 border border-purple-200 rounded px-2 py-1 w-full min-w-[240px] focus:outline-none focus:ring-2 focus:ring-purple-400"
-                        value={item.name}
-                        onChange={(e) => handleItemChange(idx, "name", e.target.value)}
-                      />
-                    </td>
-                    <td className="p-2">
-                      <input
-                        className="w-20 bg-purple-50 border border-purple-200 rounded px-2 py-1 focus:outline-none focus:ring-2 focus:ring-purple-400"
-                        value={item.price}
-                        onChange={(e) => handleItemChange(idx, "price", e.target.value)}
-                      />
-                    </td>
-                    <td className="p-2">
-                      <button
-                        onClick={() => handleRemoveItem(idx)}
-                        className="px-3 py-1 bg-red-500 text-white rounded shadow hover:bg-red-600 transition"
-                      >
-                        Remove
-                      </button>
-                    </td>
-                  </tr>
+          {/* Which layout template parsed the lines, with an override */}
+          {ocrLines.length > 0 && templateId && (
+            <div className="mb-4 flex flex-wrap items-center gap-2 text-sm">
+              <label htmlFor="receipt-template" className="font-semibold text-gray-700">
+                Receipt layout:
+              </label>
+              <select
+                id="receipt-template"
+                value={templateId === detectedTemplateId ? "" : templateId}
+                onChange={(e) => handleTemplateChange(e.target.value)}
+                className="bg-purple-50 border border-purple-200 rounded px-2 py-1 focus:outline-none focus:ring-2 focus:ring-purple-400"
+              >
+                <option value="">Auto ({getTemplate(detectedTemplateId).label})</option>
+                {getTemplates().map((template) => (
+                  <option key={template.id} value={template.id} title={template.description}>
+                    {template.label}
+                  </option>
                 ))}
-              </tbody>
-            </table>
-          </div>
+              </select>
+              <span className="text-gray-500">
+                {templateId === detectedTemplateId
+                  ? "Detected from the receipt header and line format."
+                  : "Chosen manually. Changing the layout re-parses the lines and replaces edits."}
+              </span>
+            </div>
+          )}
 
-          <div className="mt-4">
-            <button
-              onClick={handleAddItem}
-              className="px-5 py-2 bg-blue-600 text-white font-semibold rounded shadow hover:bg-blue-700 transition"
-            >
-              + Add New Item
-            </button>
-          </div>
+          <ItemGrid
+            items={items}
+            onChange={handleItemChange}
+            onSplice={handleSpliceItems}
+            onRowFocus={setFocusedRow}
+            rowClassName={(item, idx) =>
+              focusedRow === idx && item.source
+                ? "bg-yellow-50"
+                : item.needsReview
+                ? "bg-amber-50"
+                : ""
+            }
+            renderDetails={(item, idx) => (
+              <>
+                {item.adjustment && (
+                  <span className="inline-block mt-1 mr-1 px-2 py-0.5 text-xs font-semibold text-indigo-800 bg-indigo-100 rounded">
+                    {ADJUSTMENT_TYPES[item.adjustment]} · whole receipt
+                  </span>
+                )}
+                {(item.adjustments || []).map((adj, adjIdx) => (
+                  <div key={adjIdx} className="mt-1 flex items-center gap-2 text-xs text-indigo-800">
+                    <span className="px-2 py-0.5 bg-indigo-100 rounded font-semibold">
+                      {ADJUSTMENT_TYPES[adj.type]}
+                    </span>
+                    <span>
+                      {adj.label} {formatMoney(parseAmount(adj.amount))}
+                    </span>
+                    <button
+                      onClick={() => handleDetachAdjustment(idx, adjIdx)}
+                      title="Apply to the whole receipt instead of this item"
+                      className="text-indigo-600 hover:underline"
+                    >
+                      detach
+                    </button>
+                    <button
+                      onClick={() => handleRemoveAdjustment(idx, adjIdx)}
+                      title="Remove"
+                      className="text-red-500 hover:underline"
+                    >
+                      remove
+                    </button>
+                  </div>
+                ))}
+                {normalItems.includes(item) && (
+                  <ItemModifiers
+                    modifiers={item.modifiers || []}
+                    onChange={(modifiers) => handleItemChange(idx, "modifiers", modifiers)}
+                    onDetach={(modifierIdx) => handleDetachModifier(idx, modifierIdx)}
+                  />
+                )}
+                {item.needsReview && (
+                  <span
+                    title={reviewReason(item)}
+                    className="inline-block mt-1 px-2 py-0.5 text-xs font-semibold text-amber-800 bg-amber-200 rounded"
+                  >
+                    ⚠ needs review
+                    {item.ocrConfidence !== null && ` · ${item.ocrConfidence}%`}
+                  </span>
+                )}
+              </>
+            )}
+            renderActions={(item, idx) => (
+              <>
+                {item.needsReview && (
+                  <button
+                    onClick={() => handleConfirmItem(idx)}
+                    className="px-3 py-1 bg-amber-500 text-white rounded shadow hover:bg-amber-600 transition"
+                  >
+                    Confirm
+                  </button>
+                )}
+                {idx > 0 && normalItems.includes(item) && normalItems.includes(items[idx - 1]) && (
+                  <button
+                    onClick={() => handleAttachToPrevious(idx)}
+                    title="Make this an add-on of the item above"
+                    className="px-3 py-1 bg-purple-100 text-purple-700 rounded shadow hover:bg-purple-200 transition whitespace-nowrap"
+                  >
+                    Add-on ↑
+                  </button>
+                )}
+              </>
+            )}
+          />
         </div>
       )}
 
+      {/* Printed totals vs. computed sums */}
+      {items.length > 0 && (
+        <ReconciliationPanel
+          reconciliation={reconciliation}
+          accepted={isDiscrepancyAccepted(reconciliation, acceptedDifference)}
+          onAccept={handleAcceptDifference}
+          onApplySuggestion={handleApplyPriceSuggestion}
+        />
+      )}
+
       {/* Retry button (conditional rendering) */}
-      {selectedFile && uploadStatus && items.length > 0 && (
+      {pages.length > 0 && uploadStatus && items.length > 0 && (
         <button
           onClick={handleRetry}
           className="px-6 py-3 bg-yellow-500 text-white font-semibold rounded mt-4"
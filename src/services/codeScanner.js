@@ -0,0 +1,83 @@
+/**
+ * File: /src/services/codeScanner.js
+ *
+ * Finds QR codes and barcodes on a receipt photo, entirely in the browser.
+ * The built-in BarcodeDetector is used where the browser has one (Chrome,
+ * Android, Safari 17+) and reads every common 1D/2D format; elsewhere jsQR
+ * reads QR codes only.
+ */
+
+import jsQR from "jsqr";
+
+// Photos are shrunk to this size for jsQR, which scans every pixel
+const MAX_SCAN_DIMENSION = 1600;
+
+const DETECTOR_FORMATS = [
+  "qr_code",
+  "data_matrix",
+  "aztec",
+  "pdf417",
+  "code_128",
+  "code_39",
+  "ean_13",
+  "ean_8",
+  "itf",
+  "upc_a",
+  "upc_e",
+];
+
+let detectorPromise = null;
+
+/**
+ * The browser's BarcodeDetector for the formats it supports, or null.
+ */
+function getDetector() {
+  if (!detectorPromise) {
+    detectorPromise =
+      "BarcodeDetector" in window
+        ? window.BarcodeDetector.getSupportedFormats()
+            .then((supported) => {
+              const formats = DETECTOR_FORMATS.filter((format) => supported.includes(format));
+              return formats.length > 0 ? new window.BarcodeDetector({ formats }) : null;
+            })
+            .catch(() => null)
+        : Promise.resolve(null);
+  }
+  return detectorPromise;
+}
+
+async function scanWithJsQr(bitmap) {
+  const scale = Math.min(1, MAX_SCAN_DIMENSION / Math.max(bitmap.width, bitmap.height));
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+  canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+  const ctx = canvas.getContext("2d");
+  ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  const { data, width, height } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+  const result = jsQR(data, width, height, { inversionAttempts: "dontInvert" });
+  return result ? [{ format: "qr_code", rawValue: result.data }] : [];
+}
+
+/**
+ * Scans an image for codes.
+ *
+ * @param {Blob|File} image
+ * @returns {Promise<Array<{ format: string, rawValue: string }>>} empty if none
+ *   were found; scanning problems are logged, never thrown, so OCR still runs
+ */
+export async function scanReceiptCodes(image) {
+  let bitmap = null;
+  try {
+    bitmap = await createImageBitmap(image);
+    const detector = await getDetector();
+    const codes = detector
+      ? (await detector.detect(bitmap)).map(({ format, rawValue }) => ({ format, rawValue }))
+      : await scanWithJsQr(bitmap);
+    return codes.filter((code) => code.rawValue);
+  } catch (err) {
+    console.error("Error scanning receipt codes:", err);
+    return [];
+  } finally {
+    if (bitmap) bitmap.close();
+  }
+}
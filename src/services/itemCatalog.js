@@ -0,0 +1,171 @@
+/**
+ * File: /src/services/itemCatalog.js
+ *
+ * Stores the personal item catalog (utils/itemCatalog.js) in the
+ * `item_catalog` collection, one document per item with the owner's `userId`.
+ * A receipt's items are learned once, when its split is saved, and the
+ * receipt is marked `itemsLearned` in the same write so it's never counted
+ * twice. Receipts split before the catalog existed are picked up the next
+ * time the catalog is loaded.
+ */
+
+import {
+  collection,
+  doc,
+  getDocs,
+  updateDoc,
+  deleteDoc,
+  query,
+  where,
+  writeBatch,
+} from "firebase/firestore";
+import { db } from "./firebase";
+import { separateSummaryFromItems } from "../utils/receiptParser";
+import { parseAmount } from "../utils/helpers";
+import { catalogKey, entryMatches, recordPurchase, mergeCatalogEntries } from "../utils/itemCatalog";
+
+// Firestore allows 500 writes per batch
+const BATCH_LIMIT = 450;
+
+function withoutId(entry) {
+  const fields = { ...entry };
+  delete fields.id;
+  return fields;
+}
+
+/**
+ * Adds one receipt's items to `catalog` (changed in place), returning the
+ * entries it touched.
+ */
+function learnInto(catalog, receipt) {
+  const { normalItems } = separateSummaryFromItems(receipt.items || []);
+  const date = receipt.transactionDate || receipt.date || receipt.updatedAt || new Date().toISOString();
+  const touched = new Map();
+  const seenKeys = new Set(); // an item listed twice on one receipt is one purchase
+
+  normalItems.forEach((item) => {
+    const key = catalogKey(item.name);
+    if (!key || seenKeys.has(key)) return;
+    seenKeys.add(key);
+
+    const index = catalog.findIndex((entry) => entryMatches(entry, key));
+    const existing = index === -1 ? null : catalog[index];
+    const updated = {
+      id: existing ? existing.id : doc(collection(db, "item_catalog")).id,
+      ...recordPurchase(existing, {
+        name: item.name,
+        price: parseAmount(item.price),
+        merchant: receipt.merchant || null,
+        date,
+      }),
+    };
+    if (index === -1) catalog.push(updated);
+    else catalog[index] = updated;
+    touched.set(updated.id, updated);
+  });
+  return [...touched.values()];
+}
+
+/**
+ * Writes learned entries and marks the receipts they came from.
+ */
+async function saveLearned(userId, entries, receiptIds) {
+  const writes = [
+    ...entries.map((entry) => (batch) =>
+      batch.set(doc(db, "item_catalog", entry.id), { ...withoutId(entry), userId })
+    ),
+    ...receiptIds.map((receiptId) => (batch) =>
+      batch.update(doc(db, "receipts", receiptId), { itemsLearned: true })
+    ),
+  ];
+  for (let start = 0; start < writes.length; start += BATCH_LIMIT) {
+    const batch = writeBatch(db);
+    writes.slice(start, start + BATCH_LIMIT).forEach((write) => write(batch));
+    await batch.commit();
+  }
+}
+
+async function fetchCatalog(userId) {
+  const snapshot = await getDocs(
+    query(collection(db, "item_catalog"), where("userId", "==", userId))
+  );
+  return snapshot.docs.map((entryDoc) => ({ id: entryDoc.id, ...entryDoc.data() }));
+}
+
+/**
+ * Learns a receipt's items once its split is saved. Skipped offline (the
+ * receipt stays unlearned and is picked up by a later loadItemCatalog).
+ *
+ * @param {object} receipt - the receipt draft ({ id, items, merchant, ... })
+ * @returns {Promise<boolean>} true if the items were learned
+ */
+export async function learnReceiptItems(userId, receipt) {
+  if (receipt.itemsLearned || !navigator.onLine) return false;
+  const catalog = await fetchCatalog(userId);
+  await saveLearned(userId, learnInto(catalog, receipt), [receipt.id]);
+  return true;
+}
+
+/**
+ * The user's catalog entries ({ id, ...entry }), after learning any split
+ * receipts that haven't been learned yet.
+ */
+export async function loadItemCatalog(userId) {
+  const catalog = await fetchCatalog(userId);
+  if (!navigator.onLine) return catalog;
+
+  const receiptsSnapshot = await getDocs(
+    query(collection(db, "receipts"), where("userId", "==", userId))
+  );
+  const unlearned = receiptsSnapshot.docs
+    .map((receiptDoc) => ({ id: receiptDoc.id, ...receiptDoc.data() }))
+    .filter((receipt) => receipt.status === "analyzed" && !receipt.itemsLearned)
+    .sort((a, b) => (a.date || "").localeCompare(b.date || ""));
+  if (unlearned.length === 0) return catalog;
+
+  const touched = new Map();
+  unlearned.forEach((receipt) => {
+    learnInto(catalog, receipt).forEach((entry) => touched.set(entry.id, entry));
+  });
+  await saveLearned(
+    userId,
+    [...touched.values()],
+    unlearned.map((receipt) => receipt.id)
+  );
+  return catalog;
+}
+
+/**
+ * Renames an entry and/or corrects its last price. The old name stays as an
+ * alias, so receipts that print it still count towards this entry.
+ *
+ * @returns {Promise<object>} the updated entry
+ */
+export async function updateCatalogItem(entry, { name, lastPrice }) {
+  const key = catalogKey(name);
+  const aliases = new Set(entry.aliases || []);
+  if (key !== entry.key) aliases.add(entry.key);
+  aliases.delete(key);
+
+  const changes = { name: name.trim(), key, aliases: [...aliases], lastPrice };
+  await updateDoc(doc(db, "item_catalog", entry.id), changes);
+  return { ...entry, ...changes };
+}
+
+/**
+ * Merges `others` into `target` (see mergeCatalogEntries) and deletes them.
+ *
+ * @returns {Promise<object>} the merged entry
+ */
+export async function mergeCatalogItems(target, others) {
+  const merged = mergeCatalogEntries(target, others);
+  const batch = writeBatch(db);
+  batch.set(doc(db, "item_catalog", target.id), withoutId(merged));
+  others.forEach((other) => batch.delete(doc(db, "item_catalog", other.id)));
+  await batch.commit();
+  return merged;
+}
+
+export async function deleteCatalogItem(entryId) {
+  await deleteDoc(doc(db, "item_catalog", entryId));
+}
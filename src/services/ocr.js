@@ -0,0 +1,130 @@
+/**
+ * File: /src/services/ocr.js
+ *
+ * One long-lived Tesseract worker shared by every analysis, so the engine and
+ * language data are loaded once per language instead of once per photo.
+ * A running recognition can be cancelled; the worker is then thrown away and
+ * rebuilt on the next call (Tesseract has no way to stop a job mid-page).
+ *
+ * Language data is cached in IndexedDB by Tesseract itself, and the engine
+ * scripts are cached by the /ocr-sw.js service worker, so OCR keeps working
+ * offline once a language has been used.
+ */
+
+import Tesseract from "tesseract.js";
+import { linesFromTesseractBlocks } from "../utils/receiptParser";
+
+let workerPromise = null;
+let workerLanguage = null; // "language|langPath" the current worker was built for
+let progressListener = null;
+let activeJob = null; // { reject } for the recognition in flight
+
+/**
+ * Thrown (as a rejection) by recognizeLines when cancelOcr is called.
+ */
+export class OcrCancelledError extends Error {
+  constructor() {
+    super("OCR was cancelled.");
+    this.name = "OcrCancelledError";
+  }
+}
+
+function getWorker({ language, langPath }) {
+  const key = `${language}|${langPath || ""}`;
+  if (workerPromise && workerLanguage !== key) {
+    terminateOcrWorker();
+  }
+  if (!workerPromise) {
+    workerLanguage = key;
+    const created = Tesseract.createWorker(language, 1, {
+      ...(langPath ? { langPath } : {}),
+      cacheMethod: "write",
+      logger: (info) => {
+        if (info.status === "recognizing text" && progressListener) {
+          progressListener(info.progress);
+        }
+      },
+    });
+    workerPromise = created;
+    // A failed load (e.g. offline before the language was ever cached) is retried next time
+    created.catch(() => {
+      if (workerPromise === created) {
+        workerPromise = null;
+        workerLanguage = null;
+      }
+    });
+  }
+  return workerPromise;
+}
+
+/**
+ * Starts loading the engine and language data ahead of the first analysis.
+ */
+export function preloadOcr(ocrSettings) {
+  getWorker(ocrSettings).catch((err) => console.error("Error preloading OCR:", err));
+}
+
+/**
+ * Runs OCR on a single image (photo or rendered PDF page) and returns its
+ * line objects, including line/word bounding boxes, tagged with `page`.
+ *
+ * @param {Blob|File} image
+ * @param {number} page - index stored on each line
+ * @param {(fraction: number) => void} onProgress - recognition progress, 0..1
+ * @param {{ language: string, langPath?: string, whitelist: string }} ocrSettings - see ocrSettingsFor
+ * @returns {Promise<object[]>} rejects with OcrCancelledError if cancelled
+ */
+export async function recognizeLines(image, page, onProgress, ocrSettings) {
+  const cancelled = new Promise((_, reject) => {
+    activeJob = { reject };
+  });
+
+  const run = async () => {
+    const worker = await getWorker(ocrSettings);
+    await worker.setParameters({
+      tessedit_char_whitelist: ocrSettings.whitelist,
+      tessedit_pageseg_mode: "6",
+    });
+    progressListener = onProgress;
+    const result = await worker.recognize(image, {}, { text: true, blocks: true });
+    return linesFromTesseractBlocks(result.data.blocks, page);
+  };
+
+  try {
+    return await Promise.race([run(), cancelled]);
+  } finally {
+    progressListener = null;
+    activeJob = null;
+  }
+}
+
+/**
+ * Stops the recognition in flight (if any). Its promise rejects with
+ * OcrCancelledError and the busy worker is terminated.
+ */
+export function cancelOcr() {
+  if (!activeJob) return;
+  activeJob.reject(new OcrCancelledError());
+  terminateOcrWorker();
+}
+
+export function terminateOcrWorker() {
+  const pending = workerPromise;
+  workerPromise = null;
+  workerLanguage = null;
+  if (pending) {
+    pending.then((worker) => worker.terminate()).catch(() => {});
+  }
+}
+
+/**
+ * Registers the service worker that caches the Tesseract engine and
+ * language files. Production builds only, so the dev server never has a
+ * service worker sitting in front of it.
+ */
+export function registerOcrCache() {
+  if (!import.meta.env.PROD || !("serviceWorker" in navigator)) return;
+  navigator.serviceWorker
+    .register("/ocr-sw.js")
+    .catch((err) => console.error("Error registering OCR cache:", err));
+}
@@ -0,0 +1,271 @@
+/**
+ * File: /src/services/receiptDrafts.js
+ *
+ * Receipt drafts: the `receipts` document a receipt is worked on in, from the
+ * first scan or manual entry until its split is saved. Pages find it through
+ * the id in the URL (/receipt/:receiptId/...) and autosave into it, so
+ * several receipts can be open at once, in different tabs or on different
+ * devices. Firestore's offline cache (firebase.js) keeps drafts readable and
+ * writable without a connection; writes sync when it comes back.
+ *
+ * A draft is { userId, name, status, items, tax, tip, rawText, header,
+ * merchant, location, transactionDate, cardLast4, locale, codes, fingerprint,
+ * images, acceptedDifference, createdAt, updatedAt }. `status` is "pending"
+ * while it is a draft and "analyzed" once the split is saved (with `date`,
+ * `total` and `breakdown`).
+ *
+ * Photos are uploaded first (receiptImages.js) under the draft's id, so the
+ * document can link to them; a failed upload doesn't stop the save.
+ *
+ * A user's group is whoever splits receipts with them: `receipt_groups/{hostId}`
+ * lists ({ memberIds }) the signed-in friends who assigned items through the
+ * host's split link (ReceiptAssign).
+ */
+
+import {
+  collection,
+  doc,
+  setDoc,
+  getDoc,
+  getDocs,
+  updateDoc,
+  deleteDoc,
+  query,
+  where,
+  arrayUnion,
+} from "firebase/firestore";
+import { db } from "./firebase";
+import { uploadReceiptImages, deleteReceiptImages } from "./receiptImages";
+import { transactionDateOf } from "../utils/receiptHeader";
+import { codesForRecord } from "../utils/receiptCodes";
+import { findDuplicateReceipt } from "../utils/receiptFingerprint";
+
+// Most values a Firestore "in" filter takes
+const IN_QUERY_LIMIT = 30;
+
+/**
+ * The receipt details, plus the fields the history shows and sorts by.
+ */
+function headerFields(header) {
+  return {
+    header,
+    merchant: header?.merchant ?? null,
+    location: header?.location ?? null,
+    transactionDate: transactionDateOf(header),
+    cardLast4: header?.cardLast4 ?? null,
+  };
+}
+
+/**
+ * The draft fields that come from a scan: receipt details and codes.
+ */
+function scanFields({ header = null, codes = [], localeId = null }) {
+  return { ...headerFields(header), codes: codesForRecord(codes), locale: localeId };
+}
+
+async function storeImages(userId, receiptId, imageSources) {
+  // Storage has no offline queue; a draft made offline is saved without photos
+  if (imageSources.length === 0 || !navigator.onLine) return [];
+  try {
+    return await uploadReceiptImages(userId, receiptId, imageSources);
+  } catch (err) {
+    console.error("Error uploading receipt images:", err);
+    return [];
+  }
+}
+
+/**
+ * Offline, Firestore keeps the write in its cache and only settles it once it
+ * reaches the server, so it isn't waited for.
+ */
+async function commit(write) {
+  if (navigator.onLine) {
+    await write;
+  } else {
+    write.catch((err) => console.error("Error syncing receipt draft:", err));
+  }
+}
+
+/**
+ * Creates a draft.
+ *
+ * @param {string} userId
+ * @param {object} draft - { header, codes, imageSources, localeId } from a scan (all
+ *   optional), plus draft fields to store as-is (name, items, tax, tip, rawText,
+ *   fingerprint, duplicateOf, ...)
+ * @returns {Promise<{ id: string, images: Array }>} the new draft's id and stored images
+ */
+export async function createReceiptDraft(userId, { imageSources = [], ...draft }) {
+  const docRef = doc(collection(db, "receipts"));
+  const images = await storeImages(userId, docRef.id, imageSources);
+  const { header, codes, localeId, ...fields } = draft;
+  const now = new Date().toISOString();
+
+  await commit(
+    setDoc(docRef, {
+      userId,
+      status: "pending",
+      name: null,
+      items: [],
+      tax: 0,
+      tip: 0,
+      rawText: "",
+      fingerprint: null,
+      acceptedDifference: null,
+      ...scanFields({ header, codes, localeId }),
+      images,
+      ...fields,
+      createdAt: now,
+      updatedAt: now,
+    })
+  );
+  return { id: docRef.id, images };
+}
+
+/**
+ * Replaces a draft's scan (a re-analysis of the same photos): details, codes,
+ * photos and whatever else is passed, like createReceiptDraft.
+ */
+export async function saveReceiptScan(userId, receiptId, { imageSources = [], ...draft }) {
+  const images = await storeImages(userId, receiptId, imageSources);
+  const { header, codes, localeId, ...fields } = draft;
+  await updateReceiptDraft(receiptId, {
+    ...scanFields({ header, codes, localeId }),
+    images,
+    ...fields,
+  });
+  return { id: receiptId, images };
+}
+
+/**
+ * Saves edits to a draft (any draft fields; a new `header` also updates the
+ * merchant/location/date fields shown in the history).
+ */
+export async function updateReceiptDraft(receiptId, changes) {
+  await commit(
+    updateDoc(doc(db, "receipts", receiptId), {
+      ...changes,
+      ...(changes.header !== undefined && headerFields(changes.header)),
+      updatedAt: new Date().toISOString(),
+    })
+  );
+}
+
+/**
+ * @returns {Promise<object|null>} { id, ...draft }, or null if it doesn't exist
+ */
+export async function loadReceiptDraft(receiptId) {
+  const snapshot = await getDoc(doc(db, "receipts", receiptId));
+  return snapshot.exists() ? { id: snapshot.id, ...snapshot.data() } : null;
+}
+
+/**
+ * The user's unfinished receipts, most recently edited first.
+ */
+export async function listReceiptDrafts(userId) {
+  const snapshot = await getDocs(query(collection(db, "receipts"), where("userId", "==", userId)));
+  return snapshot.docs
+    .map((draftDoc) => ({ id: draftDoc.id, ...draftDoc.data() }))
+    .filter((draft) => draft.status !== "analyzed")
+    .sort((a, b) =>
+      (b.updatedAt || b.createdAt || "").localeCompare(a.updatedAt || a.createdAt || "")
+    );
+}
+
+/**
+ * Deletes a draft and its photos.
+ */
+export async function deleteReceiptDraft(draft) {
+  await deleteReceiptImages(draft.images || []);
+  await deleteDoc(doc(db, "receipts", draft.id));
+}
+
+/**
+ * Adds a friend to the host's group (they assigned items on the host's link).
+ */
+export async function joinReceiptGroup(hostId, userId) {
+  if (hostId === userId) return;
+  await setDoc(doc(db, "receipt_groups", hostId), { memberIds: arrayUnion(userId) }, { merge: true });
+}
+
+/**
+ * The user and everyone in their groups: the friends in the user's own group,
+ * and the hosts and members of the groups the user joined.
+ */
+async function groupMemberIds(userId) {
+  const [ownGroup, joinedGroups] = await Promise.all([
+    getDoc(doc(db, "receipt_groups", userId)),
+    getDocs(query(collection(db, "receipt_groups"), where("memberIds", "array-contains", userId))),
+  ]);
+  const ids = new Set([userId, ...(ownGroup.data()?.memberIds || [])]);
+  joinedGroups.docs.forEach((groupDoc) => {
+    ids.add(groupDoc.id);
+    (groupDoc.data().memberIds || []).forEach((id) => ids.add(id));
+  });
+  return [...ids];
+}
+
+/**
+ * Group members' receipts that could match `fingerprint`: the same printed
+ * total or the same photo hash. The filtering happens in Firestore, so other
+ * people's receipts aren't downloaded wholesale; a near-identical photo with
+ * a different total is only caught among the user's own receipts.
+ */
+async function groupReceipts(userId, fingerprint) {
+  const memberIds = (await groupMemberIds(userId)).filter((id) => id !== userId);
+  const filters = [
+    fingerprint.total !== null && where("fingerprint.total", "==", fingerprint.total),
+    fingerprint.imageHash && where("fingerprint.imageHash", "==", fingerprint.imageHash),
+  ].filter(Boolean);
+
+  const queries = [];
+  for (let i = 0; i < memberIds.length; i += IN_QUERY_LIMIT) {
+    const ids = memberIds.slice(i, i + IN_QUERY_LIMIT);
+    filters.forEach((filter) =>
+      queries.push(query(collection(db, "receipts"), where("userId", "in", ids), filter))
+    );
+  }
+  const snapshots = await Promise.all(queries.map((groupQuery) => getDocs(groupQuery)));
+  const receipts = new Map();
+  snapshots.forEach((snapshot) =>
+    snapshot.docs.forEach((receiptDoc) =>
+      receipts.set(receiptDoc.id, { id: receiptDoc.id, ...receiptDoc.data() })
+    )
+  );
+  return [...receipts.values()];
+}
+
+/**
+ * The earlier receipt, the user's own or one from their groups, that matches
+ * `fingerprint` (see findDuplicateReceipt). `shared` is true when someone else
+ * uploaded it. If the group's receipts can't be read, only the user's own are
+ * checked.
+ *
+ * @param {string} userId
+ * @param {object} fingerprint - from buildFingerprint
+ * @param {object} [options]
+ * @param {string|null} [options.excludeId] - the draft being checked, if it was already saved
+ * @returns {Promise<{ receipt: object, reason: string, shared: boolean } | null>}
+ */
+export async function findExistingReceipt(userId, fingerprint, { excludeId = null } = {}) {
+  const ownSnapshot = await getDocs(
+    query(collection(db, "receipts"), where("userId", "==", userId))
+  );
+  const ownReceipts = ownSnapshot.docs.map((receiptDoc) => ({
+    id: receiptDoc.id,
+    ...receiptDoc.data(),
+  }));
+
+  let sharedReceipts = [];
+  try {
+    sharedReceipts = await groupReceipts(userId, fingerprint);
+  } catch (err) {
+    console.error("Error checking group receipts for duplicates:", err);
+  }
+
+  const receipts = [...ownReceipts, ...sharedReceipts].filter(
+    (receipt) => receipt.id !== excludeId
+  );
+  const match = findDuplicateReceipt(fingerprint, receipts);
+  return match && { ...match, shared: match.receipt.userId !== userId };
+}
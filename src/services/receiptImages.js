@@ -0,0 +1,73 @@
+/**
+ * File: /src/services/receiptImages.js
+ *
+ * Keeps the receipt photos in Firebase Storage next to the receipt record, so
+ * the original can be checked later (e.g. when a friend disputes a charge).
+ * Each page is stored as its original photo plus the enhanced version that
+ * was OCR'd, under receipt-images/{userId}/{receiptId}/ (see storage.rules).
+ *
+ * Records keep one entry per page: { original: { path, url }, processed: { path, url } | null },
+ * where `path` is the Storage reference and `url` its download URL, which is
+ * what pages display (participants on the assignment page aren't signed in).
+ */
+
+import { ref, uploadBytes, getDownloadURL, deleteObject } from "firebase/storage";
+import { storage } from "./firebase";
+
+const EXTENSIONS = {
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/webp": "webp",
+  "image/gif": "gif",
+  "image/bmp": "bmp",
+};
+
+async function uploadImage(path, blob) {
+  const imageRef = ref(storage, path);
+  await uploadBytes(imageRef, blob, { contentType: blob.type || "image/png" });
+  return { path: imageRef.fullPath, url: await getDownloadURL(imageRef) };
+}
+
+function fileNameFor(pageIdx, kind, blob) {
+  return `page-${pageIdx + 1}-${kind}.${EXTENSIONS[blob.type] || "png"}`;
+}
+
+/**
+ * Uploads each page's original and enhanced image.
+ *
+ * @param {string} userId
+ * @param {string} receiptId - id of the receipts document the images belong to
+ * @param {Array<{ original: Blob, processed: Blob|null }>} sources - one per page, in order
+ * @returns {Promise<Array<{ original: { path, url }, processed: { path, url } | null }>>}
+ */
+export async function uploadReceiptImages(userId, receiptId, sources) {
+  const folder = `receipt-images/${userId}/${receiptId}`;
+  const images = [];
+  for (let pageIdx = 0; pageIdx < sources.length; pageIdx++) {
+    const { original, processed } = sources[pageIdx];
+    images.push({
+      original: await uploadImage(
+        `${folder}/${fileNameFor(pageIdx, "original", original)}`,
+        original
+      ),
+      processed: processed
+        ? await uploadImage(`${folder}/${fileNameFor(pageIdx, "enhanced", processed)}`, processed)
+        : null,
+    });
+  }
+  return images;
+}
+
+/**
+ * Removes a receipt's stored photos. Missing files are ignored.
+ */
+export async function deleteReceiptImages(images) {
+  const paths = images.flatMap((image) => [image.original, image.processed].filter(Boolean));
+  await Promise.all(
+    paths.map(({ path }) =>
+      deleteObject(ref(storage, path)).catch((err) => {
+        if (err.code !== "storage/object-not-found") throw err;
+      })
+    )
+  );
+}
@@ -0,0 +1,68 @@
+/**
+ * File: /src/services/receiptReader.js
+ *
+ * Reads one receipt photo from start to finish without any UI: codes first,
+ * then (unless a code listed the items) enhancement and OCR, then parsing,
+ * receipt details and the duplicate fingerprint. Used by the batch queue;
+ * UploadReceipt runs the same steps itself across several pages.
+ */
+
+import { recognizeLines } from "./ocr";
+import { scanReceiptCodes } from "./codeScanner";
+import { preprocessReceiptImage, perceptualHash } from "../utils/imagePreprocess";
+import { textToLines, mergeOcrPages } from "../utils/receiptParser";
+import { parseWithTemplate } from "../utils/receiptTemplates";
+import { ocrSettingsFor } from "../utils/locales";
+import { extractReceiptHeader } from "../utils/receiptHeader";
+import {
+  decodeReceiptCodes,
+  pickReceiptData,
+  mergeCodeData,
+  applyCodeHeader,
+  describeCodeData,
+} from "../utils/receiptCodes";
+import { buildFingerprint, receiptTotal } from "../utils/receiptFingerprint";
+
+/**
+ * @param {File|Blob} file - a receipt photo
+ * @param {object} options
+ * @param {object} options.locale - from getLocale
+ * @param {boolean} [options.enhance=true] - clean the photo up before OCR
+ * @param {(fraction: number) => void} [options.onProgress]
+ * @returns {Promise<{ rawText, items, header, codes, fingerprint, imageSources }>}
+ *   Rejects with OcrCancelledError when cancelOcr() is called.
+ */
+export async function readReceiptImage(file, { locale, enhance = true, onProgress = () => {} }) {
+  const codes = decodeReceiptCodes(await scanReceiptCodes(file));
+  const codeData = pickReceiptData(codes);
+
+  let processed = null;
+  let lines;
+  if (codeData?.items) {
+    lines = textToLines(describeCodeData(codeData), 0);
+  } else {
+    processed = enhance ? (await preprocessReceiptImage(file)).blob : null;
+    lines = await recognizeLines(processed || file, 0, onProgress, ocrSettingsFor(locale));
+  }
+  onProgress(1);
+
+  const mergedLines = mergeOcrPages([lines]);
+  const parsed = parseWithTemplate(mergedLines, null, locale);
+  const items = mergeCodeData(parsed.items, codeData);
+  const header = applyCodeHeader(extractReceiptHeader(mergedLines, locale), codeData);
+  const imageHash = await perceptualHash(file).catch(() => null);
+
+  return {
+    rawText: mergedLines.map((line) => line.text).join("\n"),
+    items,
+    header,
+    codes,
+    fingerprint: buildFingerprint({
+      imageHash,
+      merchant: header.merchant,
+      date: header.date,
+      total: receiptTotal(items),
+    }),
+    imageSources: [{ original: file, processed }],
+  };
+}
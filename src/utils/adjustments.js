@@ -0,0 +1,189 @@
+/**
+ * File: /src/utils/adjustments.js
+ *
+ * Discounts, coupons, voids, deposits, fees, service charges and credits on a
+ * receipt. An adjustment either belongs to the item printed just above it
+ * (stored on that item as `item.adjustments`), or to the whole receipt (a row
+ * of its own with `row.adjustment` set to its type and a signed price).
+ *
+ * On a draft, whole-receipt rows live in their own `adjustments` list, each
+ * with an `id` and an allocation rule (`allocation`, plus `people` for
+ * "people"): how the amount is shared when the receipt is split.
+ */
+
+import { parseAmount, roundCents } from "./helpers";
+import { itemModifierTotal } from "./modifiers";
+
+export const ADJUSTMENT_TYPES = {
+  discount: "Discount",
+  void: "Void",
+  deposit: "Deposit",
+  fee: "Fee",
+  service: "Service Charge",
+  credit: "Credit",
+};
+
+// Types that take money off the bill; the rest add to it
+const CREDIT_TYPES = ["discount", "void", "credit"];
+
+export const ALLOCATION_RULES = {
+  proportional: "By what each person spent",
+  equal: "Split equally",
+  people: "Specific people",
+};
+
+// Checked in order, so "VOID COUPON" reads as a void
+const ADJUSTMENT_PATTERNS = [
+  { type: "void", regex: /\bvoid(?:ed)?\b/i },
+  {
+    type: "service",
+    regex: /\b(?:service\s*(?:charge|fee)|auto[-\s]*grat\w*|gratuity\s+(?:included|added))\b/i,
+  },
+  {
+    type: "fee",
+    regex:
+      /\b(?:bag\s*(?:fee|charge|tax)|(?:delivery|booking|convenience|small\s*order)\s*(?:fee|charge)|surcharge)\b/i,
+  },
+  { type: "deposit", regex: /\b(?:deposit|dep|crv|redemption|recycl\w*)\b/i },
+  { type: "discount", regex: /\b(?:coupon|cpn|discount|saved|promo|rebate|markdown)\b/i },
+  // Words that also turn up in item names ("Coffee Off Menu", "Reward Bar"):
+  // only a discount when the amount is printed negative
+  { type: "discount", regex: /\b(?:off|disc|reward|savings?)\b/i, negativeOnly: true },
+];
+
+// "-1.00", "-$1.00", "$-1.00", "1.00-" or "(1.00)". The minus has to touch the
+// number: "Soda - 2.50" is an item with a dash before its price.
+const NEGATIVE_AMOUNT_REGEX =
+  /(?:(?<![\w.])\$?-\$?(\d+\.\d{2})|\$?(\d+\.\d{2})-(?!\d)|\(\s*\$?(\d+\.\d{2})\s*\))/;
+const AMOUNT_REGEX = /\$?(\d+\.\d{2})/;
+
+// Summary labels that never start an adjustment on their own
+const SUMMARY_LABEL_REGEX = /(tax|tip|total|subtotal|amount due|due|balance|paid|change)/i;
+
+// "You saved 5.00" / "Total savings" lines restate discounts already printed above
+const INFORMATIONAL_REGEX = /(you\s+saved|total\s+savings|savings\s+(?:this|today)|saved\s+today)/i;
+
+// Adjustments with these words apply to the whole receipt, not the line above
+const RECEIPT_WIDE_REGEX = /\b(order|transaction|receipt|basket|entire|all\s+items|total)\b/i;
+
+/**
+ * True for lines that only restate savings and must not be counted again.
+ */
+export function isInformationalLine(text) {
+  return INFORMATIONAL_REGEX.test(text);
+}
+
+/**
+ * Reads an adjustment line: { type, label, amount, receiptWide } or null if
+ * the line isn't one. `amount` is a signed string ("-1.00"); discounts and
+ * voids are always negative, deposits and fees keep the printed sign. A void
+ * printed without an amount gets `amount: null` (it cancels the line above).
+ */
+export function parseAdjustmentLine(text) {
+  const line = text.trim();
+  const negative = line.match(NEGATIVE_AMOUNT_REGEX);
+  const pattern = ADJUSTMENT_PATTERNS.find(
+    ({ regex, negativeOnly }) => regex.test(line) && (!negativeOnly || negative)
+  );
+
+  if (!pattern && !negative) return null;
+  // "Tax 1.20" or "Change -5.00" are summary lines unless an adjustment word is present
+  if (!pattern && SUMMARY_LABEL_REGEX.test(line)) return null;
+  if (pattern?.type === "discount" && !negative && !AMOUNT_REGEX.test(line)) return null;
+
+  const type = pattern ? pattern.type : "discount";
+  const printed = negative || line.match(AMOUNT_REGEX);
+  let amount = null;
+  if (printed) {
+    const value = parseFloat(negative ? negative[1] || negative[2] || negative[3] : printed[1]);
+    const isCredit = CREDIT_TYPES.includes(type) || Boolean(negative);
+    amount = (isCredit ? -value : value).toFixed(2);
+  } else if (type !== "void") {
+    return null; // a deposit/fee label with no amount is just text
+  }
+
+  const label =
+    line
+      .replace(printed ? printed[0] : "", "")
+      .replace(/\s+/g, " ")
+      .trim() || ADJUSTMENT_TYPES[type];
+
+  return {
+    type,
+    label,
+    amount,
+    receiptWide: type === "fee" || type === "service" || RECEIPT_WIDE_REGEX.test(label),
+  };
+}
+
+function quantityOf(item) {
+  return parseInt(item.qty || "1", 10) || 1;
+}
+
+/**
+ * Sum of the adjustments attached to one item (negative for net savings).
+ */
+export function itemAdjustmentTotal(item) {
+  return roundCents(
+    (item.adjustments || []).reduce((sum, adj) => sum + parseAmount(adj.amount), 0)
+  );
+}
+
+/**
+ * What an item line really costs: price x qty plus its add-ons (see
+ * modifiers.js) and its own adjustments.
+ */
+export function itemNetTotal(item) {
+  return roundCents(
+    parseAmount(item.price) * quantityOf(item) + itemModifierTotal(item) + itemAdjustmentTotal(item)
+  );
+}
+
+/**
+ * Sum of receipt-level adjustment rows.
+ */
+export function receiptAdjustmentTotal(adjustmentRows) {
+  return roundCents(adjustmentRows.reduce((sum, row) => sum + parseAmount(row.price), 0));
+}
+
+/**
+ * A whole-receipt adjustment's price with the sign its type implies, from an
+ * amount typed without one ("5.00" -> "-5.00" for a discount).
+ */
+export function signedAdjustmentPrice(type, amount) {
+  const unsigned = String(amount ?? "").replace(/^\s*-/, "");
+  return CREDIT_TYPES.includes(type) ? `-${unsigned}` : unsigned;
+}
+
+/**
+ * Whole-receipt adjustment rows as a draft's `adjustments` list: each gets an
+ * id and, unless it has one, the "proportional" rule they were always split by.
+ */
+export function toReceiptAdjustments(rows) {
+  return rows.map((row, idx) => ({
+    ...row,
+    id: row.id || `adjustment-${idx + 1}`,
+    allocation: row.allocation || "proportional",
+    people: row.people || [],
+  }));
+}
+
+/**
+ * Shares an "equal" or "people" adjustment out to the cent: { [userName]: amount }.
+ * "equal" is everyone in the split; "people" with nobody picked falls back to it.
+ */
+export function splitAdjustment(row, participants) {
+  const chosen = row.allocation === "people" ? (row.people || []).filter(Boolean) : [];
+  const people = chosen.length > 0 ? chosen : participants;
+  if (people.length === 0) return {};
+
+  const cents = Math.round(parseAmount(row.price) * 100);
+  const each = Math.trunc(cents / people.length);
+  const leftover = cents - each * people.length; // the first few pay a cent more (or less)
+  return Object.fromEntries(
+    people.map((name, idx) => [
+      name,
+      (each + (idx < Math.abs(leftover) ? Math.sign(leftover) : 0)) / 100,
+    ])
+  );
+}
@@ -0,0 +1,63 @@
+/**
+ * File: /src/utils/helpers.js
+ *
+ * Small shared helpers for working with receipt amounts and dates.
+ */
+
+/**
+ * Converts a price as typed or OCR'd ("$4.99", "4.99", "4,99 €", 4.99, "") to
+ * a number. Anything that isn't a readable number becomes 0.
+ */
+export function parseAmount(value) {
+  if (typeof value === "number") return Number.isFinite(value) ? value : 0;
+  let text = String(value ?? "").trim();
+  // Decimal comma ("4,99", "1.234,56"): drop thousands dots, comma becomes the point
+  if (/,\d{2}\D*$/.test(text)) text = text.replace(/\./g, "").replace(",", ".");
+  const cleaned = text.replace(/[^0-9.-]/g, "");
+  const amount = parseFloat(cleaned);
+  return Number.isFinite(amount) ? amount : 0;
+}
+
+/**
+ * Formats a number as dollars, e.g. 4.5 -> "$4.50" and -1 -> "-$1.00".
+ */
+export function formatMoney(amount) {
+  const sign = amount < 0 ? "-" : "";
+  return `${sign}$${Math.abs(amount).toFixed(2)}`;
+}
+
+/**
+ * Rounds to whole cents so sums of many prices can be compared exactly.
+ */
+export function roundCents(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+// Transaction dates read from a receipt can be a bare day ("2025-01-23")
+const DATE_ONLY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Parses a stored date. Bare days are read as local midnight rather than
+ * UTC, so they don't show up as the previous day west of Greenwich.
+ */
+export function parseDate(isoString) {
+  if (!isoString) return null;
+  const dateObj = new Date(DATE_ONLY_REGEX.test(isoString) ? `${isoString}T00:00` : isoString);
+  return isNaN(dateObj.getTime()) ? null : dateObj;
+}
+
+/**
+ * A small helper to format ISO date strings into a more readable format.
+ * Returns "Unknown Date" if invalid or missing.
+ */
+export function formatDate(isoString) {
+  const dateObj = parseDate(isoString);
+  if (!dateObj) return "Unknown Date";
+  // Example output: "January 23, 2025, 3:45 PM" ("January 23, 2025" for a bare day)
+  return dateObj.toLocaleString("en-US", {
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+    ...(DATE_ONLY_REGEX.test(isoString) ? {} : { hour: "numeric", minute: "2-digit" }),
+  });
+}
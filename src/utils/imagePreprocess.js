@@ -0,0 +1,568 @@
+/**
+ * File: /src/utils/imagePreprocess.js
+ *
+ * In-browser cleanup of receipt photos before OCR. Everything runs on plain
+ * grayscale buffers ({ width, height, data }) with a canvas only used for
+ * decoding, resampling and rotation, so no extra dependencies are needed.
+ *
+ * Pipeline: grayscale -> perspective crop to the paper -> deskew/rotation
+ * -> upscale small images -> adaptive threshold.
+ *
+ * The same paper detection, plus a focus measure, runs on live camera frames
+ * for the capture mode's outline and auto-shutter (detectReceiptInFrame), and
+ * perceptualHash fingerprints photos so re-uploads of a receipt are noticed.
+ */
+
+// Large phone photos are shrunk first so the per-pixel passes stay fast
+const MAX_DIMENSION = 2400;
+
+// Receipts narrower than this (after cropping) are upscaled for Tesseract
+const MIN_OCR_WIDTH = 1200;
+const MAX_UPSCALE = 3;
+
+// Paper detection runs on a thumbnail of this size
+const DETECT_DIMENSION = 300;
+
+// Paper must cover this fraction of the frame to be cropped to
+const MIN_PAPER_AREA = 0.15;
+const MAX_PAPER_AREA = 0.95;
+
+// Skew search range and step, in degrees
+const MAX_SKEW = 15;
+const SKEW_STEP = 0.5;
+
+// Bradley adaptive threshold: window = width / 8, pixel is ink if 15% darker than its window
+const THRESHOLD_WINDOW_DIVISOR = 8;
+const THRESHOLD_SENSITIVITY = 0.15;
+
+export const DEFAULT_PREPROCESS_OPTIONS = {
+  crop: true,
+  deskew: true,
+  upscale: true,
+  threshold: true,
+};
+
+/* ------------------------------------------------------------------ */
+/* Canvas <-> grayscale buffers                                        */
+/* ------------------------------------------------------------------ */
+
+function createCanvas(width, height) {
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.max(1, Math.round(width));
+  canvas.height = Math.max(1, Math.round(height));
+  return canvas;
+}
+
+/**
+ * Converts a canvas to a grayscale buffer using Rec. 601 luma weights.
+ */
+function canvasToGray(canvas) {
+  const { width, height } = canvas;
+  const rgba = canvas.getContext("2d").getImageData(0, 0, width, height).data;
+  const data = new Uint8ClampedArray(width * height);
+  for (let i = 0, p = 0; i < data.length; i++, p += 4) {
+    data[i] = 0.299 * rgba[p] + 0.587 * rgba[p + 1] + 0.114 * rgba[p + 2];
+  }
+  return { width, height, data };
+}
+
+function grayToCanvas(gray) {
+  const canvas = createCanvas(gray.width, gray.height);
+  const ctx = canvas.getContext("2d");
+  const imageData = ctx.createImageData(gray.width, gray.height);
+  for (let i = 0, p = 0; i < gray.data.length; i++, p += 4) {
+    const v = gray.data[i];
+    imageData.data[p] = v;
+    imageData.data[p + 1] = v;
+    imageData.data[p + 2] = v;
+    imageData.data[p + 3] = 255;
+  }
+  ctx.putImageData(imageData, 0, 0);
+  return canvas;
+}
+
+/**
+ * Decodes a File/Blob into a canvas, shrinking it to MAX_DIMENSION if needed.
+ */
+async function blobToCanvas(blob) {
+  const bitmap = await createImageBitmap(blob);
+  const scale = Math.min(1, MAX_DIMENSION / Math.max(bitmap.width, bitmap.height));
+  const canvas = createCanvas(bitmap.width * scale, bitmap.height * scale);
+  canvas.getContext("2d").drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+  return canvas;
+}
+
+function canvasToBlob(canvas) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (blob) resolve(blob);
+      else reject(new Error("Could not encode the processed image."));
+    }, "image/png");
+  });
+}
+
+/**
+ * Resamples a grayscale buffer by `scale` using the canvas' smoothing.
+ */
+function resizeGray(gray, scale) {
+  const source = grayToCanvas(gray);
+  const target = createCanvas(gray.width * scale, gray.height * scale);
+  const ctx = target.getContext("2d");
+  ctx.imageSmoothingQuality = "high";
+  ctx.drawImage(source, 0, 0, target.width, target.height);
+  return canvasToGray(target);
+}
+
+/**
+ * Rotates a grayscale buffer clockwise by `degrees`, growing the canvas so
+ * nothing is clipped and filling the new corners with white paper.
+ */
+function rotateGray(gray, degrees) {
+  const radians = (degrees * Math.PI) / 180;
+  const cos = Math.abs(Math.cos(radians));
+  const sin = Math.abs(Math.sin(radians));
+  const target = createCanvas(
+    gray.width * cos + gray.height * sin,
+    gray.width * sin + gray.height * cos
+  );
+  const ctx = target.getContext("2d");
+  ctx.fillStyle = "#ffffff";
+  ctx.fillRect(0, 0, target.width, target.height);
+  ctx.translate(target.width / 2, target.height / 2);
+  ctx.rotate(radians);
+  ctx.drawImage(grayToCanvas(gray), -gray.width / 2, -gray.height / 2);
+  return canvasToGray(target);
+}
+
+/* ------------------------------------------------------------------ */
+/* Analysis helpers                                                    */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Otsu's method: the gray level that best separates paper from background/ink.
+ */
+function otsuThreshold(data) {
+  const histogram = new Array(256).fill(0);
+  data.forEach((v) => {
+    histogram[v] += 1;
+  });
+
+  const total = data.length;
+  let sumAll = 0;
+  for (let i = 0; i < 256; i++) sumAll += i * histogram[i];
+
+  let sumBackground = 0;
+  let weightBackground = 0;
+  let bestThreshold = 127;
+  let bestVariance = 0;
+  for (let t = 0; t < 256; t++) {
+    weightBackground += histogram[t];
+    if (weightBackground === 0) continue;
+    const weightForeground = total - weightBackground;
+    if (weightForeground === 0) break;
+
+    sumBackground += t * histogram[t];
+    const meanBackground = sumBackground / weightBackground;
+    const meanForeground = (sumAll - sumBackground) / weightForeground;
+    const variance =
+      weightBackground * weightForeground * (meanBackground - meanForeground) ** 2;
+    if (variance > bestVariance) {
+      bestVariance = variance;
+      bestThreshold = t;
+    }
+  }
+  return bestThreshold;
+}
+
+/**
+ * Nearest-neighbour thumbnail used for the cheap detection passes.
+ */
+function thumbnailGray(gray, maxDimension) {
+  const scale = Math.min(1, maxDimension / Math.max(gray.width, gray.height));
+  const width = Math.max(1, Math.round(gray.width * scale));
+  const height = Math.max(1, Math.round(gray.height * scale));
+  const data = new Uint8ClampedArray(width * height);
+  for (let y = 0; y < height; y++) {
+    const sy = Math.min(gray.height - 1, Math.floor(y / scale));
+    for (let x = 0; x < width; x++) {
+      const sx = Math.min(gray.width - 1, Math.floor(x / scale));
+      data[y * width + x] = gray.data[sy * gray.width + sx];
+    }
+  }
+  return { width, height, data, scale };
+}
+
+/**
+ * Finds the four corners of the receipt paper: the largest bright connected
+ * region, with corners taken as its extreme points along both diagonals.
+ *
+ * @returns {{ tl, tr, br, bl } | null} corners in `gray` coordinates, or null
+ *   if no clear paper edge was found (paper fills the frame, or no contrast)
+ */
+export function findPaperQuad(gray) {
+  const thumb = thumbnailGray(gray, DETECT_DIMENSION);
+  const { width, height, data } = thumb;
+  const threshold = otsuThreshold(data);
+
+  // Label the largest 4-connected bright component
+  const labels = new Int32Array(width * height);
+  let bestLabel = 0;
+  let bestSize = 0;
+  let nextLabel = 1;
+  const stack = [];
+  for (let start = 0; start < data.length; start++) {
+    if (labels[start] || data[start] <= threshold) continue;
+    let size = 0;
+    labels[start] = nextLabel;
+    stack.push(start);
+    while (stack.length) {
+      const idx = stack.pop();
+      size += 1;
+      const x = idx % width;
+      const neighbours = [
+        x > 0 ? idx - 1 : -1,
+        x < width - 1 ? idx + 1 : -1,
+        idx - width,
+        idx + width,
+      ];
+      neighbours.forEach((n) => {
+        if (n >= 0 && n < data.length && !labels[n] && data[n] > threshold) {
+          labels[n] = nextLabel;
+          stack.push(n);
+        }
+      });
+    }
+    if (size > bestSize) {
+      bestSize = size;
+      bestLabel = nextLabel;
+    }
+    nextLabel += 1;
+  }
+
+  const areaFraction = bestSize / data.length;
+  if (areaFraction < MIN_PAPER_AREA || areaFraction > MAX_PAPER_AREA) return null;
+
+  let tl = null;
+  let tr = null;
+  let br = null;
+  let bl = null;
+  for (let idx = 0; idx < labels.length; idx++) {
+    if (labels[idx] !== bestLabel) continue;
+    const x = idx % width;
+    const y = Math.floor(idx / width);
+    if (!tl || x + y < tl.x + tl.y) tl = { x, y };
+    if (!br || x + y > br.x + br.y) br = { x, y };
+    if (!tr || x - y > tr.x - tr.y) tr = { x, y };
+    if (!bl || x - y < bl.x - bl.y) bl = { x, y };
+  }
+
+  const toFull = (p) => ({ x: p.x / thumb.scale, y: p.y / thumb.scale });
+  return { tl: toFull(tl), tr: toFull(tr), br: toFull(br), bl: toFull(bl) };
+}
+
+/**
+ * Solves the 8 unknowns of the homography that maps the output rectangle
+ * (0,0)-(w,h) onto the source quad, by Gaussian elimination.
+ */
+function solveHomography(quad, w, h) {
+  const pairs = [
+    [0, 0, quad.tl],
+    [w, 0, quad.tr],
+    [w, h, quad.br],
+    [0, h, quad.bl],
+  ];
+  const matrix = [];
+  pairs.forEach(([u, v, { x, y }]) => {
+    matrix.push([u, v, 1, 0, 0, 0, -u * x, -v * x, x]);
+    matrix.push([0, 0, 0, u, v, 1, -u * y, -v * y, y]);
+  });
+
+  for (let col = 0; col < 8; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < 8; row++) {
+      if (Math.abs(matrix[row][col]) > Math.abs(matrix[pivot][col])) pivot = row;
+    }
+    [matrix[col], matrix[pivot]] = [matrix[pivot], matrix[col]];
+    if (Math.abs(matrix[col][col]) < 1e-12) return null;
+    for (let row = 0; row < 8; row++) {
+      if (row === col) continue;
+      const factor = matrix[row][col] / matrix[col][col];
+      for (let k = col; k < 9; k++) matrix[row][k] -= factor * matrix[col][k];
+    }
+  }
+  return matrix.map((row, i) => row[8] / matrix[i][i]);
+}
+
+/**
+ * Warps the paper quad into an upright rectangle (perspective correction).
+ */
+function warpPerspective(gray, quad) {
+  const dist = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+  const width = Math.round(Math.max(dist(quad.tl, quad.tr), dist(quad.bl, quad.br)));
+  const height = Math.round(Math.max(dist(quad.tl, quad.bl), dist(quad.tr, quad.br)));
+  if (width < 50 || height < 50) return null;
+
+  const h = solveHomography(quad, width, height);
+  if (!h) return null;
+
+  const data = new Uint8ClampedArray(width * height);
+  for (let v = 0; v < height; v++) {
+    for (let u = 0; u < width; u++) {
+      const denom = h[6] * u + h[7] * v + 1;
+      const x = Math.round((h[0] * u + h[1] * v + h[2]) / denom);
+      const y = Math.round((h[3] * u + h[4] * v + h[5]) / denom);
+      data[v * width + u] =
+        x >= 0 && y >= 0 && x < gray.width && y < gray.height
+          ? gray.data[y * gray.width + x]
+          : 255;
+    }
+  }
+  return { width, height, data };
+}
+
+/**
+ * Scores how well ink pixels line up into horizontal rows after rotating
+ * them by `degrees` (sum of squared row counts; sharper rows score higher).
+ */
+function rowProfileScore(points, degrees, swapAxes) {
+  const radians = (degrees * Math.PI) / 180;
+  const sin = Math.sin(radians);
+  const cos = Math.cos(radians);
+  const rows = new Map();
+  points.forEach(({ x, y }) => {
+    const px = swapAxes ? y : x;
+    const py = swapAxes ? x : y;
+    const row = Math.round(px * sin + py * cos);
+    rows.set(row, (rows.get(row) || 0) + 1);
+  });
+  let score = 0;
+  rows.forEach((count) => {
+    score += count * count;
+  });
+  return score;
+}
+
+/**
+ * Tries every skew angle in range and returns the one with the sharpest rows.
+ */
+function bestSkew(points, swapAxes) {
+  let angle = 0;
+  let score = -1;
+  for (let candidate = -MAX_SKEW; candidate <= MAX_SKEW; candidate += SKEW_STEP) {
+    const candidateScore = rowProfileScore(points, candidate, swapAxes);
+    if (candidateScore > score) {
+      score = candidateScore;
+      angle = candidate;
+    }
+  }
+  return { angle: Math.abs(angle) < SKEW_STEP ? 0 : angle, score };
+}
+
+/**
+ * Detects how far the text is rotated. Returns the clockwise rotation, in
+ * degrees, that makes the text lines horizontal: small skew angles from the
+ * projection profile, plus 90 when the receipt was photographed sideways.
+ */
+export function detectRotation(gray) {
+  const thumb = thumbnailGray(gray, 800);
+  const threshold = otsuThreshold(thumb.data);
+
+  // Sample at most ~40k ink pixels to keep the angle search quick
+  const ink = [];
+  thumb.data.forEach((v, idx) => {
+    if (v <= threshold) ink.push(idx);
+  });
+  if (ink.length < 100) return 0;
+  const stride = Math.max(1, Math.floor(ink.length / 40000));
+  const points = [];
+  for (let i = 0; i < ink.length; i += stride) {
+    points.push({ x: ink[i] % thumb.width, y: Math.floor(ink[i] / thumb.width) });
+  }
+
+  const upright = bestSkew(points, false);
+  const sideways = bestSkew(points, true);
+
+  // Text running top-to-bottom lines up far better along columns than rows.
+  // Rotating a quarter turn maps a column skew of `angle` to a row skew of `-angle`.
+  if (sideways.score > upright.score * 2) {
+    return 90 - sideways.angle;
+  }
+  return upright.angle;
+}
+
+/**
+ * Bradley–Roth adaptive threshold using an integral image, so uneven lighting
+ * and faded thermal print still come out as black text on white.
+ */
+function adaptiveThreshold(gray) {
+  const { width, height, data } = gray;
+  const integral = new Float64Array((width + 1) * (height + 1));
+  for (let y = 0; y < height; y++) {
+    let rowSum = 0;
+    for (let x = 0; x < width; x++) {
+      rowSum += data[y * width + x];
+      integral[(y + 1) * (width + 1) + (x + 1)] = integral[y * (width + 1) + (x + 1)] + rowSum;
+    }
+  }
+
+  const half = Math.max(8, Math.floor(width / THRESHOLD_WINDOW_DIVISOR / 2));
+  const output = new Uint8ClampedArray(width * height);
+  for (let y = 0; y < height; y++) {
+    const y0 = Math.max(0, y - half);
+    const y1 = Math.min(height - 1, y + half);
+    for (let x = 0; x < width; x++) {
+      const x0 = Math.max(0, x - half);
+      const x1 = Math.min(width - 1, x + half);
+      const count = (x1 - x0 + 1) * (y1 - y0 + 1);
+      const sum =
+        integral[(y1 + 1) * (width + 1) + (x1 + 1)] -
+        integral[y0 * (width + 1) + (x1 + 1)] -
+        integral[(y1 + 1) * (width + 1) + x0] +
+        integral[y0 * (width + 1) + x0];
+      output[y * width + x] =
+        data[y * width + x] * count <= sum * (1 - THRESHOLD_SENSITIVITY) ? 0 : 255;
+    }
+  }
+  return { width, height, data: output };
+}
+
+/* ------------------------------------------------------------------ */
+/* Public pipeline                                                     */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Cleans up a receipt photo for OCR.
+ *
+ * @param {Blob} blob - the original photo (or a rendered PDF page)
+ * @param {object} [options] - toggles for each step, see DEFAULT_PREPROCESS_OPTIONS
+ * @returns {Promise<{ blob: Blob, width: number, height: number, rotation: number, cropped: boolean }>}
+ */
+export async function preprocessReceiptImage(blob, options = {}) {
+  const opts = { ...DEFAULT_PREPROCESS_OPTIONS, ...options };
+  let gray = canvasToGray(await blobToCanvas(blob));
+
+  let cropped = false;
+  if (opts.crop) {
+    const quad = findPaperQuad(gray);
+    const warped = quad && warpPerspective(gray, quad);
+    if (warped) {
+      gray = warped;
+      cropped = true;
+    }
+  }
+
+  let rotation = 0;
+  if (opts.deskew) {
+    rotation = detectRotation(gray);
+    if (rotation !== 0) gray = rotateGray(gray, rotation);
+  }
+
+  if (opts.upscale && gray.width < MIN_OCR_WIDTH) {
+    gray = resizeGray(gray, Math.min(MAX_UPSCALE, MIN_OCR_WIDTH / gray.width));
+  }
+
+  if (opts.threshold) {
+    gray = adaptiveThreshold(gray);
+  }
+
+  return {
+    blob: await canvasToBlob(grayToCanvas(gray)),
+    width: gray.width,
+    height: gray.height,
+    rotation,
+    cropped,
+  };
+}
+
+/* ------------------------------------------------------------------ */
+/* Live camera frames                                                  */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Focus measure: variance of the Laplacian. Blurry frames have soft edges
+ * and score low; the value only means something relative to other frames
+ * from the same camera.
+ */
+function laplacianVariance(gray) {
+  const { width, height, data } = gray;
+  let sum = 0;
+  let sumSquares = 0;
+  let count = 0;
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const idx = y * width + x;
+      const value =
+        data[idx - 1] + data[idx + 1] + data[idx - width] + data[idx + width] - 4 * data[idx];
+      sum += value;
+      sumSquares += value * value;
+      count += 1;
+    }
+  }
+  if (count === 0) return 0;
+  const mean = sum / count;
+  return sumSquares / count - mean * mean;
+}
+
+/**
+ * Looks for the receipt in one camera frame (a <video> or canvas).
+ *
+ * @param {HTMLVideoElement|HTMLCanvasElement} source
+ * @param {number} width - source width in pixels (videoWidth for a video)
+ * @param {number} height - source height in pixels
+ * @returns {{ quad: { tl, tr, br, bl } | null, sharpness: number }} quad corners
+ *   as fractions (0..1) of the frame size, so they can be drawn at any size
+ */
+export function detectReceiptInFrame(source, width, height) {
+  const scale = Math.min(1, DETECT_DIMENSION / Math.max(width, height));
+  const canvas = createCanvas(width * scale, height * scale);
+  canvas.getContext("2d").drawImage(source, 0, 0, canvas.width, canvas.height);
+  const gray = canvasToGray(canvas);
+
+  const quad = findPaperQuad(gray);
+  const toFraction = (p) => ({ x: p.x / gray.width, y: p.y / gray.height });
+  return {
+    quad: quad && {
+      tl: toFraction(quad.tl),
+      tr: toFraction(quad.tr),
+      br: toFraction(quad.br),
+      bl: toFraction(quad.bl),
+    },
+    sharpness: laplacianVariance(gray),
+  };
+}
+
+/* ------------------------------------------------------------------ */
+/* Duplicate detection                                                 */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Difference hash (dHash) of an image: shrink to 9x8 gray and record whether
+ * each pixel is brighter than its right neighbour. Two photos of the same
+ * receipt differ in only a few of the 64 bits.
+ *
+ * @param {Blob} blob
+ * @returns {Promise<string>} 16 hex characters
+ */
+export async function perceptualHash(blob) {
+  const source = await blobToCanvas(blob);
+  const canvas = createCanvas(9, 8);
+  const ctx = canvas.getContext("2d");
+  ctx.imageSmoothingQuality = "high";
+  ctx.drawImage(source, 0, 0, 9, 8);
+  const { data } = canvasToGray(canvas);
+
+  let hash = "";
+  for (let y = 0; y < 8; y++) {
+    let nibble = 0;
+    for (let x = 0; x < 8; x++) {
+      const bit = data[y * 9 + x] > data[y * 9 + x + 1] ? 1 : 0;
+      nibble = (nibble << 1) | bit;
+      if (x % 4 === 3) {
+        hash += nibble.toString(16);
+        nibble = 0;
+      }
+    }
+  }
+  return hash;
+}
@@ -0,0 +1,156 @@
+/**
+ * File: /src/utils/itemCatalog.js
+ *
+ * The personal item catalog: every item a user has split before, with how
+ * often and how recently they bought it and what it last cost, overall and
+ * per merchant. Stored by services/itemCatalog.js; this file only matches,
+ * ranks and merges entries.
+ *
+ * An entry is { name, key, aliases, count, lastPrice, lastUsed, merchants },
+ * where `merchants` maps a merchant key to { name, count, lastPrice, lastUsed }.
+ */
+
+// A purchase this many days old counts half as much as one made today
+const RECENCY_HALF_LIFE_DAYS = 60;
+
+// Buying an item at the receipt's own merchant counts this much more
+const MERCHANT_BOOST = 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Matching key for an item or merchant name: "Iced Latte (L)" and
+ * "ICED LATTE L" both become "iced latte l".
+ */
+export function catalogKey(name) {
+  return String(name ?? "")
+    .toLowerCase()
+    .replace(/[^\p{L}\d]+/gu, " ")
+    .trim();
+}
+
+/**
+ * True if the entry is this item, under its name or a name merged into it.
+ */
+export function entryMatches(entry, key) {
+  return entry.key === key || (entry.aliases || []).includes(key);
+}
+
+function recencyWeight(lastUsed, now) {
+  const time = Date.parse(lastUsed);
+  if (Number.isNaN(time)) return 0.5;
+  const days = Math.max(0, (now - time) / DAY_MS);
+  return Math.pow(0.5, days / RECENCY_HALF_LIFE_DAYS);
+}
+
+/**
+ * Records one receipt's purchase of an item on its entry (a new entry when
+ * `entry` is null). Returns the updated entry; the input isn't changed.
+ */
+export function recordPurchase(entry, { name, price, merchant, date }) {
+  const key = catalogKey(name);
+  const base = entry || {
+    name: name.trim(),
+    key,
+    aliases: [],
+    count: 0,
+    lastPrice: price,
+    lastUsed: date,
+    merchants: {},
+  };
+  const isLatest = !base.lastUsed || date >= base.lastUsed;
+  const updated = {
+    ...base,
+    count: base.count + 1,
+    lastPrice: isLatest ? price : base.lastPrice,
+    lastUsed: isLatest ? date : base.lastUsed,
+    merchants: { ...base.merchants },
+  };
+
+  const merchantKey = catalogKey(merchant);
+  if (merchantKey) {
+    const seen = base.merchants?.[merchantKey];
+    const isLatestThere = !seen || date >= seen.lastUsed;
+    updated.merchants[merchantKey] = {
+      name: merchant.trim(),
+      count: (seen?.count || 0) + 1,
+      lastPrice: isLatestThere ? price : seen.lastPrice,
+      lastUsed: isLatestThere ? date : seen.lastUsed,
+    };
+  }
+  return updated;
+}
+
+/**
+ * Suggestions for the item search: entries whose name contains `search`
+ * (all of them when it's empty), ranked by how often and how recently they
+ * were bought. With a `merchant`, items bought there rank first and are
+ * priced at what they cost there.
+ *
+ * @returns {Array<{ entry, name, price, atMerchant }>}
+ */
+export function rankCatalogItems(entries, { search = "", merchant = null, limit = 8 } = {}) {
+  const searchKey = catalogKey(search);
+  const merchantKey = catalogKey(merchant);
+  const now = Date.now();
+
+  return entries
+    .filter(
+      (entry) =>
+        !searchKey ||
+        entry.key.includes(searchKey) ||
+        (entry.aliases || []).some((alias) => alias.includes(searchKey))
+    )
+    .map((entry) => {
+      const atMerchant = merchantKey ? entry.merchants?.[merchantKey] : null;
+      let score = entry.count * recencyWeight(entry.lastUsed, now);
+      if (atMerchant) {
+        score += MERCHANT_BOOST * atMerchant.count * recencyWeight(atMerchant.lastUsed, now);
+      }
+      return {
+        entry,
+        name: entry.name,
+        price: atMerchant ? atMerchant.lastPrice : entry.lastPrice,
+        atMerchant: Boolean(atMerchant),
+        score,
+      };
+    })
+    .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name))
+    .slice(0, limit)
+    .map(({ entry, name, price, atMerchant }) => ({ entry, name, price, atMerchant }));
+}
+
+/**
+ * Folds `others` into `target`: counts add up, the latest price wins, and the
+ * merged names become aliases so they match `target` from now on.
+ */
+export function mergeCatalogEntries(target, others) {
+  return others.reduce((merged, other) => {
+    const otherIsLater = (other.lastUsed || "") > (merged.lastUsed || "");
+    const merchants = { ...merged.merchants };
+    Object.entries(other.merchants || {}).forEach(([merchantKey, seen]) => {
+      const mine = merchants[merchantKey];
+      if (!mine) {
+        merchants[merchantKey] = seen;
+        return;
+      }
+      const later = seen.lastUsed > mine.lastUsed ? seen : mine;
+      merchants[merchantKey] = {
+        ...later,
+        count: mine.count + seen.count,
+      };
+    });
+
+    const aliases = new Set([...(merged.aliases || []), other.key, ...(other.aliases || [])]);
+    aliases.delete(merged.key);
+
+    return {
+      ...merged,
+      aliases: [...aliases],
+      count: merged.count + other.count,
+      lastPrice: otherIsLater ? other.lastPrice : merged.lastPrice,
+      lastUsed: otherIsLater ? other.lastUsed : merged.lastUsed,
+      merchants,
+    };
+  }, target);
+}
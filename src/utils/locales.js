@@ -0,0 +1,249 @@
+/**
+ * File: /src/utils/locales.js
+ *
+ * Receipt locales: which Tesseract language to OCR with, how amounts are
+ * written (decimal comma, €/£), whether dates are day-first, and the local
+ * words for Subtotal/Tax/Tip/Total and for payment/change lines.
+ * OCR lines are normalized to "12.50" amounts before parsing, so the parsers
+ * and templates only ever see one number format.
+ *
+ * Language data is fetched from Tesseract's CDN unless VITE_TESSDATA_PATH is
+ * set, e.g. to "/tessdata" with deu.traineddata.gz etc. placed in public/tessdata.
+ */
+
+export const DEFAULT_LOCALE_ID = "en-US";
+
+const LOCALE_STORAGE_KEY = "receiptLocale";
+
+// Summary labels for amounts that are printed for information only: VAT that
+// is already inside the item prices, and the pre-VAT net amount
+export const INCLUDED_TAX_LABEL = "Tax (included)";
+export const NET_SUBTOTAL_LABEL = "Subtotal (net)";
+// Summary label for how the bill was paid and the change given back
+export const PAYMENT_LABEL = "Payment";
+
+// Characters every locale can read; letters with accents are added per locale
+const BASE_WHITELIST =
+  "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz$.,:-@/% ";
+
+// English labels are always understood: receipts abroad often mix them in.
+// `payment` words mark a payment/change line wherever they appear; the short
+// `paymentLabel` words also start item names ("Bar Nuts", "CB Burger"), so they
+// only count when the amount follows them directly ("Bar 20.00").
+const ENGLISH_KEYWORDS = {
+  subtotal: ["sub total", "subtotal", "sub-total"],
+  tax: ["tax", "vat", "gst", "hst"],
+  tip: ["tip", "gratuity"],
+  total: ["total"],
+  net: [],
+  payment: ["change due", "cash tendered", "amount tendered", "amount paid"],
+  paymentLabel: ["cash", "change", "paid", "card"],
+};
+
+export const RECEIPT_LOCALES = [
+  {
+    id: "en-US",
+    label: "English (US, $)",
+    ocrLanguage: "eng",
+    decimalComma: false,
+    dayFirst: false,
+    taxIncluded: false,
+    extraChars: "",
+    keywords: {},
+  },
+  {
+    id: "en-GB",
+    label: "English (UK, £)",
+    ocrLanguage: "eng",
+    decimalComma: false,
+    dayFirst: true,
+    taxIncluded: true,
+    extraChars: "£",
+    keywords: {},
+  },
+  {
+    id: "de-DE",
+    label: "Deutsch (€)",
+    ocrLanguage: "deu",
+    decimalComma: true,
+    dayFirst: true,
+    taxIncluded: true,
+    extraChars: "€äöüÄÖÜß",
+    keywords: {
+      subtotal: ["zwischensumme"],
+      tax: ["mwst", "mehrwertsteuer"],
+      net: ["netto"],
+      tip: ["trinkgeld"],
+      total: ["summe", "gesamt", "gesamtbetrag", "zu zahlen"],
+      payment: ["gegeben", "rückgeld", "zurück", "kartenzahlung", "ec-karte", "bar bezahlt"],
+      paymentLabel: ["bar", "karte"],
+    },
+  },
+  {
+    id: "fr-FR",
+    label: "Français (€)",
+    ocrLanguage: "fra",
+    decimalComma: true,
+    dayFirst: true,
+    taxIncluded: true,
+    extraChars: "€àâçéèêëîïôùûüÀÂÇÉÈÊÎÔÙÛ",
+    keywords: {
+      subtotal: ["sous-total", "sous total"],
+      net: ["total ht", "montant ht"],
+      tax: ["tva"],
+      tip: ["pourboire"],
+      total: ["total ttc", "montant", "à payer"],
+      payment: ["espèces", "rendu", "monnaie", "carte bancaire", "carte bleue", "payé par"],
+      paymentLabel: ["cb", "carte"],
+    },
+  },
+  {
+    id: "es-ES",
+    label: "Español (€)",
+    ocrLanguage: "spa",
+    decimalComma: true,
+    dayFirst: true,
+    taxIncluded: true,
+    extraChars: "€áéíóúüñÁÉÍÓÚÑ",
+    keywords: {
+      subtotal: ["subtotal"],
+      net: ["base imponible"],
+      tax: ["iva", "impuesto"],
+      tip: ["propina"],
+      total: ["importe", "a pagar"],
+      payment: ["efectivo", "entregado", "pago con tarjeta"],
+      paymentLabel: ["cambio", "tarjeta"],
+    },
+  },
+  {
+    id: "it-IT",
+    label: "Italiano (€)",
+    ocrLanguage: "ita",
+    decimalComma: true,
+    dayFirst: true,
+    taxIncluded: true,
+    extraChars: "€àèéìòù",
+    keywords: {
+      subtotal: ["subtotale"],
+      net: ["imponibile"],
+      tax: ["iva"],
+      tip: ["mancia"],
+      total: ["totale", "importo"],
+      payment: ["contanti", "pagamento"],
+      paymentLabel: ["resto", "carta"],
+    },
+  },
+];
+
+export function getLocale(id) {
+  return RECEIPT_LOCALES.find((locale) => locale.id === id) || RECEIPT_LOCALES[0];
+}
+
+export function loadLocaleId() {
+  return getLocale(localStorage.getItem(LOCALE_STORAGE_KEY)).id;
+}
+
+export function saveLocaleId(id) {
+  localStorage.setItem(LOCALE_STORAGE_KEY, id);
+}
+
+/**
+ * Tesseract settings for a locale: language code, langPath (if configured)
+ * and a character whitelist that keeps the locale's accents and symbols.
+ */
+export function ocrSettingsFor(locale) {
+  return {
+    language: locale.ocrLanguage,
+    langPath: import.meta.env.VITE_TESSDATA_PATH || undefined,
+    whitelist: `${BASE_WHITELIST}${locale.extraChars}`,
+  };
+}
+
+/**
+ * Rewrites a line's amounts as "12.50": decimal commas become dots (with
+ * "1.234,56" thousands dots dropped) and €/£/EUR/GBP markers are removed.
+ * Already-normalized text is returned unchanged.
+ */
+export function normalizeAmounts(text, locale) {
+  let normalized = text;
+  if (locale.decimalComma) {
+    normalized = normalized.replace(
+      /(\d{1,3}(?:\.\d{3})+|\d+),(\d{2})(?!\d)/g,
+      (match, whole, cents) => `${whole.replace(/\./g, "")}.${cents}`
+    );
+  }
+  return normalized
+    .replace(/\s*(?:€|£)\s*/g, " ")
+    .replace(/\b(?:EUR|GBP)\b/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Normalizes the text of OCR line objects, keeping their boxes and confidence.
+ */
+export function normalizeLines(lines, locale) {
+  return lines.map((line) => ({ ...line, text: normalizeAmounts(line.text, locale) }));
+}
+
+function keywordsFor(locale, kind) {
+  return [...ENGLISH_KEYWORDS[kind], ...(locale.keywords[kind] || [])];
+}
+
+function escapeWords(words) {
+  return words.map((word) => word.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")).join("|");
+}
+
+/**
+ * Whole-word match that also works for accented words (\b is ASCII-only).
+ */
+function keywordRegex(words) {
+  return new RegExp(`(?:^|[^\\p{L}])(?:${escapeWords(words)})(?=$|[^\\p{L}])`, "iu");
+}
+
+/**
+ * True for a line saying how the bill was paid or how much change came back:
+ * "Rückgeld 2.50", "Espèces 20.00", "CB 12.50". Lines are in "12.50" form.
+ */
+export function isPaymentLine(text, locale) {
+  if (keywordRegex(keywordsFor(locale, "payment")).test(text)) return true;
+  const labels = escapeWords(keywordsFor(locale, "paymentLabel"));
+  return new RegExp(`^\\s*(?:${labels})[\\s:.-]*\\$?\\d+\\.\\d{2}\\s*$`, "iu").test(text);
+}
+
+/**
+ * True if the line carries one of the locale's summary labels (Subtotal, Tax,
+ * Tip, Total, or payment lines like "Change"/"Rückgeld"). English labels keep
+ * matching anywhere in the line, as they always have ("SUBTOTAL:", "TAX1").
+ */
+export function isSummaryLabel(text, locale) {
+  if (/(tax|tip|total|subtotal|amount due|due|balance|paid|change)/i.test(text)) return true;
+  const words = ["subtotal", "tax", "tip", "total", "net"].flatMap((kind) =>
+    keywordsFor(locale, kind)
+  );
+  return keywordRegex(words).test(text) || isPaymentLine(text, locale);
+}
+
+/**
+ * Maps a summary line to "Tax", "Tip", "Payment", "Subtotal" or "Total" (null
+ * for other summary lines). Tax is checked first so "Total TVA" is tax,
+ * payment before the totals so "Montant payé par CB" is a payment, and Subtotal before
+ * Total because local subtotal words often contain the total word.
+ * In locales where prices include VAT, tax and net lines get the
+ * informational labels so they are not added on top of the items again.
+ */
+export function summaryLabelFor(text, locale) {
+  if (/tax/i.test(text) || keywordRegex(keywordsFor(locale, "tax")).test(text)) {
+    return locale.taxIncluded ? INCLUDED_TAX_LABEL : "Tax";
+  }
+  if (/tip/i.test(text) || keywordRegex(keywordsFor(locale, "tip")).test(text)) return "Tip";
+  if (isPaymentLine(text, locale)) return PAYMENT_LABEL;
+  if (locale.keywords.net && keywordRegex(locale.keywords.net).test(text)) {
+    return NET_SUBTOTAL_LABEL;
+  }
+  if (/sub\s*-?\s*total/i.test(text) || keywordRegex(keywordsFor(locale, "subtotal")).test(text)) {
+    return "Subtotal";
+  }
+  if (/total/i.test(text) || keywordRegex(keywordsFor(locale, "total")).test(text)) return "Total";
+  return null;
+}
@@ -0,0 +1,126 @@
+/**
+ * File: /src/utils/modifiers.js
+ *
+ * Add-ons printed under the item they modify ("Burger 12.00 / + Bacon 2.00 /
+ * + Sub fries 1.50"). They're stored on the parent as `item.modifiers`
+ * ([{ name, price }], price for the whole line like the parent's adjustments)
+ * so whoever claims the burger pays for its bacon, per unit claimed.
+ */
+
+import { parseAmount, roundCents } from "./helpers";
+
+// "+ Bacon", "> Sub fries", "Add cheese", "Extra shot", "w/ avocado", "No onions"
+// ("No." is left alone, as in "No. 5 Combo")
+const MODIFIER_REGEX = /^\s*(?:[+>•*]|add\b|extra\b|w\/|with\b|no\b(?!\.))/i;
+
+/**
+ * True for an item line that reads as an add-on to the item above it.
+ */
+export function isModifierLine(text) {
+  return MODIFIER_REGEX.test(text || "");
+}
+
+/**
+ * "+ Sub fries" -> "Sub fries"; words like "Add" or "No" are part of the name.
+ */
+export function modifierName(text) {
+  return text.replace(/^\s*[+>•*]+\s*/, "").trim();
+}
+
+/**
+ * Sum of the add-ons on one item line.
+ */
+export function itemModifierTotal(item) {
+  return roundCents(
+    (item.modifiers || []).reduce((sum, modifier) => sum + parseAmount(modifier.price), 0)
+  );
+}
+
+/**
+ * "Burger (+ Bacon, Sub fries)", for places that show the item as one line.
+ */
+export function itemLabel(item) {
+  const names = (item.modifiers || []).map((modifier) => modifier.name).filter(Boolean);
+  return names.length > 0 ? `${item.name} (+ ${names.join(", ")})` : item.name;
+}
+
+/**
+ * Folds parsed rows that read as add-ons into the row above. A folded row's
+ * own adjustments move to the parent with it.
+ *
+ * @param {object[]} rows - item rows in printed order, each with `source.text`
+ *   (or just `name`) to check for a modifier marker
+ * @returns {object[]} the parent rows
+ */
+export function attachModifiers(rows) {
+  return rows.reduce((parents, row) => {
+    const parent = parents[parents.length - 1];
+    if (!parent || !isModifierLine(row.source?.text ?? row.name)) {
+      parents.push(row);
+      return parents;
+    }
+    parents[parents.length - 1] = {
+      ...parent,
+      modifiers: [
+        ...(parent.modifiers || []),
+        {
+          name: modifierName(row.name),
+          price: row.price,
+          ...(row.source && { source: row.source }),
+        },
+      ],
+      ...(row.adjustments && {
+        adjustments: [...(parent.adjustments || []), ...row.adjustments],
+      }),
+      needsReview: parent.needsReview || row.needsReview,
+    };
+    return parents;
+  }, []);
+}
+
+/**
+ * Makes the row at `index` an add-on of the row above it (editor action for
+ * add-ons the parser didn't recognise). Returns the new rows.
+ */
+export function attachToPreviousItem(items, index) {
+  if (index < 1) return items;
+  const parent = items[index - 1];
+  const row = items[index];
+  const qty = parseInt(row.qty || "1", 10) || 1;
+  const updated = [...items];
+  updated.splice(index - 1, 2, {
+    ...parent,
+    modifiers: [
+      ...(parent.modifiers || []),
+      {
+        name: modifierName(row.name),
+        // An add-on's price is for the whole line
+        price: qty > 1 ? (parseAmount(row.price) * qty).toFixed(2) : row.price,
+        ...(row.source && { source: row.source }),
+      },
+    ],
+  });
+  return updated;
+}
+
+/**
+ * Turns an item's add-on back into an item of its own, right below it.
+ * Returns the new rows.
+ */
+export function detachModifier(items, index, modifierIndex) {
+  const parent = items[index];
+  const modifier = parent.modifiers[modifierIndex];
+  const updated = [...items];
+  updated.splice(
+    index,
+    1,
+    { ...parent, modifiers: parent.modifiers.filter((_, i) => i !== modifierIndex) },
+    {
+      qty: "1",
+      name: modifier.name,
+      price: modifier.price,
+      ...(modifier.source && { source: modifier.source }),
+    }
+  );
+  return updated;
+}
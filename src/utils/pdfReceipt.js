@@ -0,0 +1,119 @@
+/**
+ * File: /src/utils/pdfReceipt.js
+ *
+ * Reads PDF receipts in the browser. Pages with a real text layer (delivery
+ * apps, online stores) are read directly; scanned pages are rendered to an
+ * image so they can go through the same Tesseract pipeline as photos.
+ */
+
+import pdfWorkerUrl from "pdfjs-dist/build/pdf.worker.min.mjs?url";
+
+// A page with fewer visible characters than this is treated as a scan
+const MIN_TEXT_CHARS = 20;
+
+// Render scale for scanned pages; 2x keeps small receipt fonts legible for OCR
+const RENDER_SCALE = 2;
+
+export const PDF_MIME_TYPE = "application/pdf";
+
+/**
+ * True if the dropped file is a PDF (by MIME type, or by extension when the
+ * browser leaves the type empty).
+ */
+export function isPdfFile(file) {
+  return file.type === PDF_MIME_TYPE || /\.pdf$/i.test(file.name || "");
+}
+
+/**
+ * pdf.js is large, so it is only loaded the first time a PDF is dropped.
+ */
+async function loadPdfJs() {
+  const pdfjs = await import("pdfjs-dist");
+  pdfjs.GlobalWorkerOptions.workerSrc = pdfWorkerUrl;
+  return pdfjs;
+}
+
+/**
+ * Rebuilds printed lines from pdf.js text items. Items are grouped by their
+ * baseline (y), then ordered left to right, so "Burger ..... 9.99" stays on
+ * one line even when the PDF stores the name and price as separate runs.
+ */
+function textItemsToText(textItems) {
+  const rows = [];
+
+  textItems.forEach((item) => {
+    if (!item.str || !item.str.trim()) return;
+    const x = item.transform[4];
+    const y = item.transform[5];
+    const tolerance = Math.max(2, (item.height || 10) / 2);
+
+    let row = rows.find((r) => Math.abs(r.y - y) <= tolerance);
+    if (!row) {
+      row = { y, parts: [] };
+      rows.push(row);
+    }
+    row.parts.push({ x, str: item.str.trim() });
+  });
+
+  // PDF y grows upwards, so the top of the receipt has the largest y
+  return rows
+    .sort((a, b) => b.y - a.y)
+    .map((row) =>
+      row.parts
+        .sort((a, b) => a.x - b.x)
+        .map((part) => part.str)
+        .join(" ")
+    )
+    .join("\n");
+}
+
+/**
+ * Renders one PDF page to a PNG blob for OCR.
+ */
+async function renderPageToBlob(page) {
+  const viewport = page.getViewport({ scale: RENDER_SCALE });
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.ceil(viewport.width);
+  canvas.height = Math.ceil(viewport.height);
+
+  await page.render({ canvas, viewport }).promise;
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (blob) resolve(blob);
+      else reject(new Error("Could not render PDF page."));
+    }, "image/png");
+  });
+}
+
+/**
+ * Splits a PDF receipt into pages ready for the OCR flow.
+ *
+ * @param {File} file - the dropped PDF
+ * @returns {Promise<Array<{ text: string } | { image: Blob }>>} one entry per page:
+ *   `text` when the page has a text layer, otherwise a rendered `image` to OCR
+ */
+export async function extractPdfPages(file) {
+  const pdfjs = await loadPdfJs();
+  const data = new Uint8Array(await file.arrayBuffer());
+  const pdf = await pdfjs.getDocument({ data }).promise;
+
+  try {
+    const pages = [];
+    for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+      const page = await pdf.getPage(pageNumber);
+      const content = await page.getTextContent();
+      const text = textItemsToText(content.items);
+
+      if (text.replace(/\s/g, "").length >= MIN_TEXT_CHARS) {
+        pages.push({ text });
+      } else {
+        pages.push({ image: await renderPageToBlob(page) });
+      }
+      page.cleanup();
+    }
+    return pages;
+  } finally {
+    await pdf.destroy();
+  }
+}
@@ -0,0 +1,251 @@
+/**
+ * File: /src/utils/receiptCodes.js
+ *
+ * Parsers for the data encoded in receipt QR codes and barcodes. Some codes
+ * carry the full e-receipt (items and totals), fiscal codes usually carry the
+ * total, tax and date, and many are just a link to the digital receipt.
+ * Whatever a code provides is trusted over OCR, since it came from the till.
+ *
+ * A parser is { id, label, detect(rawValue) -> boolean, parse(rawValue) -> data },
+ * where data is { items, totals, header, link, taxIncluded } (see emptyData). New formats
+ * are added with registerCodeParser.
+ */
+
+import { parseAmount } from "./helpers";
+import { summaryKind } from "./reconcile";
+import { separateSummaryFromItems } from "./receiptParser";
+import { INCLUDED_TAX_LABEL } from "./locales";
+
+const SUMMARY_LABELS = { subtotal: "Subtotal", tax: "Tax", tip: "Tip", total: "Total" };
+
+const parsers = [];
+
+export function registerCodeParser(parser) {
+  parsers.push(parser);
+}
+
+export function getCodeParsers() {
+  return parsers;
+}
+
+function emptyData() {
+  return {
+    items: null, // [{ qty, name, price }] when the code lists the items
+    totals: {}, // { subtotal, tax, tip, total } as "12.50" strings
+    header: {}, // { merchant, date: "YYYY-MM-DD", time: "HH:MM" }
+    link: null, // URL of the digital receipt
+    taxIncluded: false, // true when the tax total is VAT already inside the prices
+  };
+}
+
+function toAmount(value) {
+  return parseAmount(value).toFixed(2);
+}
+
+/**
+ * Runs each scanned code through the first parser that recognizes it.
+ *
+ * @param {Array<{ format: string, rawValue: string }>} codes - from scanReceiptCodes
+ * @returns {Array<{ format, rawValue, parser: string|null, data: object|null }>}
+ */
+export function decodeReceiptCodes(codes) {
+  return codes.map((code) => {
+    const parser = parsers.find((candidate) => candidate.detect(code.rawValue));
+    if (!parser) return { ...code, parser: null, data: null };
+    try {
+      return { ...code, parser: parser.id, data: parser.parse(code.rawValue) };
+    } catch (err) {
+      console.error(`Error parsing ${parser.label} code:`, err);
+      return { ...code, parser: null, data: null };
+    }
+  });
+}
+
+/**
+ * The most useful decoded data: a code with items beats one with only
+ * totals; links and unknown codes give nothing to fill in.
+ */
+export function pickReceiptData(decodedCodes) {
+  const withData = decodedCodes.filter((code) => code.data);
+  const best =
+    withData.find((code) => code.data.items?.length > 0) ||
+    withData.find((code) => Object.keys(code.data.totals).length > 0);
+  return best ? { ...best.data, parser: best.parser } : null;
+}
+
+function codeRow(name, price) {
+  return {
+    qty: "1",
+    name,
+    price,
+    parseScore: 1,
+    ocrConfidence: null,
+    needsReview: false,
+    source: null,
+    fromCode: true,
+  };
+}
+
+/**
+ * Replaces OCR results with what the code provides: its item list (if any)
+ * and its totals, which take the place of the Subtotal/Tax/Tip/Total rows
+ * read by OCR. Anything the code doesn't cover is kept from OCR.
+ */
+export function mergeCodeData(ocrItems, data) {
+  if (!data) return ocrItems;
+  const { normalItems, summaryItems, adjustmentItems } = separateSummaryFromItems(ocrItems);
+  const codeKinds = Object.keys(data.totals);
+  const kindOf = (row) => (row.name === INCLUDED_TAX_LABEL ? "tax" : summaryKind(row.name));
+  const labelOf = (kind) =>
+    kind === "tax" && data.taxIncluded ? INCLUDED_TAX_LABEL : SUMMARY_LABELS[kind];
+
+  const items = data.items
+    ? data.items.map((item) => ({ ...codeRow(item.name, item.price), qty: item.qty }))
+    : [...normalItems, ...adjustmentItems];
+  const keptSummary = summaryItems.filter((row) => !codeKinds.includes(kindOf(row)));
+  const codeSummary = codeKinds.map((kind) => codeRow(labelOf(kind), data.totals[kind]));
+  return [...items, ...keptSummary, ...codeSummary];
+}
+
+/**
+ * Receipt details (see extractReceiptHeader) with the merchant, date and
+ * time from the code taking precedence over what OCR read.
+ */
+export function applyCodeHeader(header, data) {
+  if (!data) return header;
+  const fromCode = Object.fromEntries(
+    Object.entries(data.header).filter(([, value]) => Boolean(value))
+  );
+  return { ...header, ...fromCode };
+}
+
+/**
+ * Plain-text version of code data, used as the receipt text when the item
+ * list came from a code and OCR was skipped.
+ */
+export function describeCodeData(data) {
+  const lines = [];
+  if (data.header.merchant) lines.push(data.header.merchant);
+  if (data.header.date) lines.push([data.header.date, data.header.time].filter(Boolean).join(" "));
+  (data.items || []).forEach((item) => lines.push(`${item.qty} ${item.name} ${item.price}`));
+  Object.entries(data.totals).forEach(([kind, amount]) =>
+    lines.push(`${SUMMARY_LABELS[kind]} ${amount}`)
+  );
+  if (data.link) lines.push(data.link);
+  return lines.join("\n");
+}
+
+/**
+ * What gets stored on the receipt record: every code found, decoded or not.
+ */
+export function codesForRecord(decodedCodes) {
+  return decodedCodes.map(({ format, rawValue, parser }) => ({ format, rawValue, parser }));
+}
+
+/* ------------------------------------------------------------------ */
+/* Built-in parsers                                                    */
+/* ------------------------------------------------------------------ */
+
+/**
+ * JSON e-receipts, as printed by several POS systems and self-checkout apps:
+ * { merchant|store, date, items: [{ name, qty, price | total }], subtotal, tax, tip, total }.
+ */
+registerCodeParser({
+  id: "json",
+  label: "E-receipt (JSON)",
+  detect: (rawValue) => {
+    if (!rawValue.trim().startsWith("{")) return false;
+    try {
+      const json = JSON.parse(rawValue);
+      return Array.isArray(json.items) || json.total !== undefined;
+    } catch {
+      return false;
+    }
+  },
+  parse: (rawValue) => {
+    const json = JSON.parse(rawValue);
+    const data = emptyData();
+
+    if (Array.isArray(json.items) && json.items.length > 0) {
+      data.items = json.items.map((item) => {
+        const qty = Math.max(1, parseInt(item.qty ?? item.quantity ?? 1, 10) || 1);
+        const unitPrice =
+          item.price ?? item.unitPrice ?? item.unit_price ?? parseAmount(item.total ?? item.amount) / qty;
+        return {
+          qty: String(qty),
+          name: String(item.name ?? item.description ?? item.title ?? "Item").trim(),
+          price: toAmount(unitPrice),
+        };
+      });
+    }
+    Object.keys(SUMMARY_LABELS).forEach((kind) => {
+      if (json[kind] !== undefined && json[kind] !== null) data.totals[kind] = toAmount(json[kind]);
+    });
+
+    const merchant = json.merchant ?? json.store ?? json.storeName;
+    if (merchant) data.header.merchant = String(merchant).trim();
+    const dateMatch = String(json.date ?? json.datetime ?? "").match(
+      /^(\d{4}-\d{2}-\d{2})(?:[T ](\d{2}:\d{2}))?/
+    );
+    if (dateMatch) {
+      data.header.date = dateMatch[1];
+      if (dateMatch[2]) data.header.time = dateMatch[2];
+    }
+    if (json.url) data.link = String(json.url);
+    return data;
+  },
+});
+
+/**
+ * Russian fiscal receipts (FNS): "t=20240115T1830&s=1250.00&fn=...&i=...&fp=...&n=1".
+ * Carries the total and the transaction date/time.
+ */
+registerCodeParser({
+  id: "ru-fns",
+  label: "Fiscal receipt (RU)",
+  detect: (rawValue) => /(^|&)t=\d{8}T\d{4}/.test(rawValue) && /(^|&)s=\d/.test(rawValue),
+  parse: (rawValue) => {
+    const params = new URLSearchParams(rawValue);
+    const data = emptyData();
+    data.totals.total = toAmount(params.get("s"));
+    const [, y, mo, d, h, mi] = params.get("t").match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})/);
+    data.header.date = `${y}-${mo}-${d}`;
+    data.header.time = `${h}:${mi}`;
+    return data;
+  },
+});
+
+/**
+ * Portuguese invoices (ATCUD QR): "A:123456789*B:...*F:20240115*...*N:2.30*O:12.30*...".
+ * F is the date, N the total VAT (already in the prices) and O the total.
+ */
+registerCodeParser({
+  id: "pt-atcud",
+  label: "Fiscal invoice (PT)",
+  detect: (rawValue) => /^A:\d{9}\*B:/.test(rawValue),
+  parse: (rawValue) => {
+    const fields = Object.fromEntries(
+      rawValue.split("*").map((field) => {
+        const sep = field.indexOf(":");
+        return [field.slice(0, sep), field.slice(sep + 1)];
+      })
+    );
+    const data = { ...emptyData(), taxIncluded: true };
+    if (fields.O) data.totals.total = toAmount(fields.O);
+    if (fields.N) data.totals.tax = toAmount(fields.N);
+    const date = (fields.F || "").match(/^(\d{4})(\d{2})(\d{2})$/);
+    if (date) data.header.date = `${date[1]}-${date[2]}-${date[3]}`;
+    return data;
+  },
+});
+
+/**
+ * A link to the digital receipt. Nothing is fetched (the stores' pages don't
+ * allow it from here); the link is kept on the receipt.
+ */
+registerCodeParser({
+  id: "link",
+  label: "Digital receipt link",
+  detect: (rawValue) => /^https?:\/\/\S+$/i.test(rawValue.trim()),
+  parse: (rawValue) => ({ ...emptyData(), link: rawValue.trim() }),
+});
@@ -0,0 +1,104 @@
+/**
+ * File: /src/utils/receiptFingerprint.js
+ *
+ * Fingerprints for spotting a receipt that was already uploaded (by the payer
+ * and then again by a friend, or twice by the same person). A fingerprint is
+ * { imageHash, merchant, date, total }; any part may be null.
+ *
+ * Two receipts match when their photos hash almost the same, or when the
+ * printed details agree: same total, plus same merchant or same date, with
+ * nothing that is known on both sides disagreeing.
+ */
+
+import { parseAmount, roundCents } from "./helpers";
+import { summaryKind } from "./reconcile";
+import { itemNetTotal, receiptAdjustmentTotal } from "./adjustments";
+import { separateSummaryFromItems } from "./receiptParser";
+
+// dHash bits (of 64) two photos of the same receipt may differ by
+const MAX_HASH_DISTANCE = 6;
+
+/**
+ * The receipt total: the printed Total if there is one, otherwise items plus
+ * receipt-level adjustments, tax and tip.
+ */
+export function receiptTotal(rows) {
+  const { normalItems, summaryItems, adjustmentItems } = separateSummaryFromItems(rows);
+  const printed = summaryItems.filter((row) => summaryKind(row.name) === "total");
+  if (printed.length > 0) return roundCents(parseAmount(printed[printed.length - 1].price));
+
+  const extras = summaryItems
+    .filter((row) => ["tax", "tip"].includes(summaryKind(row.name)))
+    .reduce((sum, row) => sum + parseAmount(row.price), 0);
+  return roundCents(
+    normalItems.reduce((sum, item) => sum + itemNetTotal(item), 0) +
+      receiptAdjustmentTotal(adjustmentItems) +
+      extras
+  );
+}
+
+function normalizeMerchant(name) {
+  return (name || "").toLowerCase().replace(/[^\p{L}\d]/gu, "") || null;
+}
+
+/**
+ * @param {{ imageHash?: string|null, merchant?: string|null, date?: string|null, total?: number|null }} parts
+ *   `date` is the transaction day ("YYYY-MM-DD", a time part is ignored)
+ */
+export function buildFingerprint({ imageHash = null, merchant = null, date = null, total = null }) {
+  return {
+    imageHash,
+    merchant: normalizeMerchant(merchant),
+    date: date ? date.slice(0, 10) : null,
+    total: total ? roundCents(total) : null,
+  };
+}
+
+export function hammingDistance(hashA, hashB) {
+  let distance = 0;
+  for (let i = 0; i < hashA.length; i++) {
+    let diff = parseInt(hashA[i], 16) ^ parseInt(hashB[i], 16);
+    while (diff) {
+      distance += diff & 1;
+      diff >>= 1;
+    }
+  }
+  return distance;
+}
+
+/**
+ * Why two fingerprints look like the same receipt ("photo", "details"), or
+ * null if they don't.
+ */
+export function matchFingerprints(a, b) {
+  if (!a || !b) return null;
+  if (
+    a.imageHash &&
+    b.imageHash &&
+    a.imageHash.length === b.imageHash.length &&
+    hammingDistance(a.imageHash, b.imageHash) <= MAX_HASH_DISTANCE
+  ) {
+    return "photo";
+  }
+
+  if (a.total === null || a.total !== b.total) return null;
+  const same = (key) => a[key] !== null && a[key] === b[key];
+  const conflict = (key) => a[key] !== null && b[key] !== null && a[key] !== b[key];
+  if ((same("merchant") || same("date")) && !conflict("merchant") && !conflict("date")) {
+    return "details";
+  }
+  return null;
+}
+
+/**
+ * The earlier receipt this fingerprint matches, preferring ones that were
+ * already split. `receipts` are { id, fingerprint, status, ... } records.
+ *
+ * @returns {{ receipt: object, reason: string } | null}
+ */
+export function findDuplicateReceipt(fingerprint, receipts) {
+  const matches = receipts
+    .map((receipt) => ({ receipt, reason: matchFingerprints(fingerprint, receipt.fingerprint) }))
+    .filter((match) => match.reason);
+  return matches.find((match) => match.receipt.status === "analyzed") || matches[0] || null;
+}
@@ -0,0 +1,171 @@
+/**
+ * File: /src/utils/receiptHeader.js
+ *
+ * Pulls the structured details printed around the items: merchant name and
+ * address from the header, and transaction date/time and the card's last four
+ * digits from wherever they appear (usually the header or the footer).
+ */
+
+import { getLocale, DEFAULT_LOCALE_ID } from "./locales";
+
+// Store name and address sit above the first priced line, within this many lines
+const HEADER_LINES = 8;
+
+const PRICE_REGEX = /\d+[.,]\d{2}/;
+
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+// Header lines that are never the merchant name
+const NOT_MERCHANT_REGEX =
+  /(receipt|welcome|thank|invoice|order|table|server|guest|check|cashier|store\s*#|tel|phone|www\.|\.com|@)/i;
+
+const PHONE_REGEX = /(?:\(\d{3}\)\s*|\b\d{3}[-.\s])\d{3}[-.\s]\d{4}\b|\+\d[\d\s]{7,}/;
+
+const STREET_REGEX = new RegExp(
+  [
+    // "123 Main St", "45 Market Street Suite 2"
+    "^\\d+[a-z]?\\s+.*\\b(st|street|ave|avenue|rd|road|blvd|boulevard|dr|drive|ln|lane|way|hwy|highway|pl|place|ct|court|pkwy|parkway|sq|square)\\b",
+    // "Hauptstraße 12", "Bahnhofstr. 5"
+    "\\w+(str\\.|straße|strasse|weg|platz|gasse|allee)\\s*\\d+",
+    // "12 rue de Rivoli", "Via Roma 3", "Calle Mayor 5"
+    "(^\\d+,?\\s+)?\\b(rue|avenue|av\\.|bd|boulevard|place|allée|via|viale|piazza|corso|calle|avda\\.?|avenida|plaza|c/)\\s+\\w+",
+  ].join("|"),
+  "iu"
+);
+
+// "Springfield, IL 62704", "10115 Berlin", "London SW1A 1AA"
+const CITY_REGEX =
+  /\b[A-Z]{2}\s+\d{5}(?:-\d{4})?\b|^\d{4,5}\s+\p{L}|\b[A-Z]{1,2}\d[A-Z\d]?\s*\d[A-Z]{2}\b/u;
+
+/**
+ * "THE CHEESECAKE FACTORY" -> "The Cheesecake Factory"; mixed case is kept.
+ */
+function tidyName(text) {
+  const cleaned = text.replace(/^[^\p{L}\d]+|[^\p{L}\d)!'.]+$/gu, "").replace(/\s+/g, " ");
+  if (cleaned !== cleaned.toUpperCase()) return cleaned;
+  return cleaned.toLowerCase().replace(/(^|[\s\-/&])(\p{L})/gu, (m, sep, ch) => sep + ch.toUpperCase());
+}
+
+function pad(value) {
+  return String(value).padStart(2, "0");
+}
+
+/**
+ * Builds "YYYY-MM-DD" if the parts make a real calendar date, else null.
+ */
+function toIsoDate(year, month, day) {
+  const fullYear = year < 100 ? 2000 + year : year;
+  if (fullYear < 2000 || fullYear > 2099 || month < 1 || month > 12 || day < 1) return null;
+  const check = new Date(fullYear, month - 1, day);
+  if (check.getMonth() !== month - 1) return null; // e.g. 31/02
+  return `${fullYear}-${pad(month)}-${pad(day)}`;
+}
+
+/**
+ * Finds the transaction date. Numeric dates are read day-first in locales
+ * that write them that way, unless one part can only be a day (> 12).
+ */
+export function findDate(text, locale = getLocale(DEFAULT_LOCALE_ID)) {
+  const iso = text.match(/\b(20\d{2})[-/.](\d{1,2})[-/.](\d{1,2})\b/);
+  if (iso) {
+    const date = toIsoDate(+iso[1], +iso[2], +iso[3]);
+    if (date) return date;
+  }
+
+  const numericRegex = /\b(\d{1,2})[/.-](\d{1,2})[/.-](\d{4}|\d{2})(?![\d.,])/g;
+  for (const match of text.matchAll(numericRegex)) {
+    const [a, b, year] = [+match[1], +match[2], +match[3]];
+    const dayFirst = a > 12 || (b <= 12 && locale.dayFirst);
+    const date = dayFirst ? toIsoDate(year, b, a) : toIsoDate(year, a, b);
+    if (date) return date;
+  }
+
+  const monthNames = MONTHS.join("|");
+  const monthFirst = text.match(
+    new RegExp(`\\b(${monthNames})[a-z]*\\.?\\s+(\\d{1,2}),?\\s+(\\d{4})\\b`, "i")
+  );
+  if (monthFirst) {
+    const month = MONTHS.indexOf(monthFirst[1].toLowerCase()) + 1;
+    return toIsoDate(+monthFirst[3], month, +monthFirst[2]);
+  }
+  const dayFirstNamed = text.match(
+    new RegExp(`\\b(\\d{1,2})\\s+(${monthNames})[a-z]*\\.?,?\\s+(\\d{4})\\b`, "i")
+  );
+  if (dayFirstNamed) {
+    const month = MONTHS.indexOf(dayFirstNamed[2].toLowerCase()) + 1;
+    return toIsoDate(+dayFirstNamed[3], month, +dayFirstNamed[1]);
+  }
+  return null;
+}
+
+/**
+ * Finds the transaction time as 24-hour "HH:MM" ("7:42 PM", "19:42:05", "19h42").
+ */
+export function findTime(text) {
+  const match = text.match(/\b([01]?\d|2[0-3])[:h]([0-5]\d)(?::[0-5]\d)?\s*([ap])?\.?m?\b/i);
+  if (!match) return null;
+  let hours = +match[1];
+  const meridiem = match[3]?.toLowerCase();
+  if (meridiem === "p" && hours < 12) hours += 12;
+  if (meridiem === "a" && hours === 12) hours = 0;
+  return `${pad(hours)}:${match[2]}`;
+}
+
+/**
+ * Last four digits of the card, from "************1234", "XXXX1234" or
+ * "VISA ending in 1234". Amounts like "VISA 25.00" are not mistaken for it.
+ */
+export function findCardLast4(text) {
+  const masked = text.match(/(?:[*xX#•]{3,}[\s-]*)+(\d{4})\b/);
+  if (masked) return masked[1];
+  const labelled = text.match(
+    /\b(?:visa|mastercard|mc|amex|american express|discover|debit|credit|card|acct|account)\b[^\n\d]*?(\d{4})(?![\d.,])/i
+  );
+  return labelled ? labelled[1] : null;
+}
+
+/**
+ * Extracts the receipt details from OCR lines.
+ *
+ * @param {Array<{ text: string }>} lines - merged OCR lines, top to bottom
+ * @param {object} [locale] - receipt locale (date order)
+ * @returns {{ merchant: string|null, location: string|null, date: string|null,
+ *   time: string|null, cardLast4: string|null }} `date` is "YYYY-MM-DD", `time` "HH:MM"
+ */
+export function extractReceiptHeader(lines, locale = getLocale(DEFAULT_LOCALE_ID)) {
+  const firstPriced = lines.findIndex((line) => PRICE_REGEX.test(line.text));
+  const header = lines
+    .slice(0, Math.min(HEADER_LINES, firstPriced === -1 ? lines.length : firstPriced))
+    .map((line) => line.text.trim());
+  const fullText = lines.map((line) => line.text).join("\n");
+
+  const isDetailLine = (text) =>
+    STREET_REGEX.test(text) ||
+    CITY_REGEX.test(text) ||
+    PHONE_REGEX.test(text) ||
+    findDate(text, locale) !== null ||
+    findTime(text) !== null;
+
+  const merchantLine = header.find(
+    (text) =>
+      (text.match(/\p{L}/gu) || []).length >= 3 && !NOT_MERCHANT_REGEX.test(text) && !isDetailLine(text)
+  );
+  const locationLines = header.filter((text) => STREET_REGEX.test(text) || CITY_REGEX.test(text));
+
+  return {
+    merchant: merchantLine ? tidyName(merchantLine) : null,
+    location: locationLines.length > 0 ? locationLines.slice(0, 2).join(", ") : null,
+    date: findDate(fullText, locale),
+    time: findTime(fullText),
+    cardLast4: findCardLast4(fullText),
+  };
+}
+
+/**
+ * "YYYY-MM-DD" or "YYYY-MM-DDTHH:MM" (local time, no zone) for storing as the
+ * receipt's date; null when no date was found.
+ */
+export function transactionDateOf(header) {
+  if (!header?.date) return null;
+  return header.time ? `${header.date}T${header.time}` : header.date;
+}
@@ -0,0 +1,465 @@
+/**
+ * File: /src/utils/receiptImport.js
+ *
+ * Turns e-receipts that are already text into the same rows the other entry
+ * pages produce ({ qty, name, price } items, plus Tax and Tip amounts):
+ *
+ * - Text: pasted plain-text or HTML email bodies (delivery and ride apps).
+ *   Lines are read by the same parser as OCR'd receipts, so fees, discounts
+ *   and Subtotal/Total lines are understood the same way.
+ * - CSV: one item per line as qty,name,price. A header row is optional and
+ *   may name the columns in any order (qty/quantity, name/item/description,
+ *   price/amount). Commas, semicolons and tabs all work as separators. Rows
+ *   named Tax or Tip set those amounts instead of becoming items.
+ * - JSON, in this format (only `items` is required; `qty` defaults to 1 and
+ *   `price` is per unit):
+ *
+ *     {
+ *       "name": "Dinner at Joe's",
+ *       "items": [
+ *         { "qty": 2, "name": "Burger", "price": 12.5 },
+ *         { "name": "Fries", "price": "4.00" }
+ *       ],
+ *       "adjustments": [{ "type": "discount", "name": "Promo", "amount": -5 }],
+ *       "tax": 3.2,
+ *       "tip": 6
+ *     }
+ *
+ *   `adjustments` types are those of adjustments.js (discount, void, deposit, fee).
+ *   The type sets the sign: discounts and voids are taken off whether the
+ *   amount is written 5 or -5, deposits and fees are added.
+ *
+ * Problems are collected per line (per item for JSON) instead of failing the
+ * whole import, so the user can see exactly what to fix.
+ */
+
+import { parseAmount, roundCents } from "./helpers";
+import { parseWithTemplate } from "./receiptTemplates";
+import { separateSummaryFromItems, reviewReason, parseItemLine } from "./receiptParser";
+import { extractReceiptHeader } from "./receiptHeader";
+import { summaryKind } from "./reconcile";
+import { ADJUSTMENT_TYPES, signedAdjustmentPrice } from "./adjustments";
+import { getLocale, DEFAULT_LOCALE_ID } from "./locales";
+
+export const IMPORT_FORMATS = {
+  text: "Text / email",
+  csv: "CSV",
+  json: "JSON",
+};
+
+// "12.50", "$12.50", "12,50 €", "-3"
+const AMOUNT_REGEX = /^-?\s*[$€£]?\s*-?\d+(?:[.,]\d{1,2})?\s*[€£]?$/;
+
+// CSV rows with exactly these names set Tax/Tip ("Taxi fare" stays an item)
+const TAX_NAME_REGEX = /^(?:sales\s+)?tax(?:es)?$/i;
+const TIP_NAME_REGEX = /^(?:tip|gratuity)$/i;
+
+// A comma that separates fields, not a decimal comma ("Fries,4.00" but not "12,50")
+const FIELD_COMMA_REGEX = /\D,|,\D/;
+
+const HTML_REGEX = /<\/?(?:html|body|div|table|tr|td|p|br|span|font)\b/i;
+
+/**
+ * Guesses the format from the file name, or from the content when pasted.
+ */
+export function detectImportFormat(input, fileName = "") {
+  const extension = fileName.toLowerCase().split(".").pop();
+  if (extension === "csv") return "csv";
+  if (extension === "json") return "json";
+  if (["txt", "html", "htm"].includes(extension)) return "text";
+
+  const trimmed = input.trim();
+  if (trimmed.startsWith("{") || trimmed.startsWith("[")) return "json";
+  const firstLines = trimmed.split(/\r?\n/).slice(0, 5);
+  const looksLikeCsv =
+    firstLines.length > 0 &&
+    firstLines.every((line) => line.split(/[,;\t]/).length >= 2) &&
+    !HTML_REGEX.test(trimmed);
+  return looksLikeCsv ? "csv" : "text";
+}
+
+/**
+ * HTML email body -> plain text with one line per block/table row.
+ */
+export function htmlToText(html) {
+  const withBreaks = html
+    .replace(/<(?:style|script|head)[\s\S]*?<\/(?:style|script|head)>/gi, "")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<\/(?:p|div|tr|li|h[1-6]|table)>/gi, "\n")
+    .replace(/<\/t[dh]>/gi, " ");
+  const doc = new DOMParser().parseFromString(withBreaks, "text/html");
+  return (doc.body.textContent || "")
+    .split("\n")
+    .map((line) => line.replace(/\s+/g, " ").trim())
+    .filter(Boolean)
+    .join("\n");
+}
+
+function lineError(line, text, message) {
+  return { line, text, message };
+}
+
+/**
+ * An imported amount as a number. A decimal comma with one digit is read as
+ * tenths ("1,5" is 1.50), where parseAmount would see a thousands comma (15).
+ */
+function importAmount(value) {
+  if (typeof value !== "string") return parseAmount(value);
+  return parseAmount(
+    value.replace(/,(\d)(\s*[€£]?\s*)$/, (match, digit, rest) => `,${digit}0${rest}`)
+  );
+}
+
+/**
+ * Splits summary rows into Tax/Tip amounts; Subtotal/Total rows stay with the
+ * items so the analysis page can check them, other summary lines are dropped.
+ */
+function splitTaxAndTip(rows) {
+  const { normalItems, summaryItems, adjustmentItems } = separateSummaryFromItems(rows);
+  let tax = 0;
+  let tip = 0;
+  const totals = [];
+  summaryItems.forEach((row) => {
+    const kind = summaryKind(row.name);
+    const amount = parseAmount(row.price) * (parseInt(row.qty, 10) || 1);
+    if (kind === "tax") tax += amount;
+    else if (kind === "tip") tip += amount;
+    else if (kind === "subtotal" || kind === "total") totals.push(row);
+  });
+  return {
+    items: [...normalItems, ...adjustmentItems, ...totals],
+    tax: roundCents(tax),
+    tip: roundCents(tip),
+  };
+}
+
+function importText(input, locale) {
+  const text = HTML_REGEX.test(input) ? htmlToText(input) : input;
+  const lines = text
+    .split(/\r?\n/)
+    .map((raw, idx) => ({ text: raw.trim(), page: 0, lineNumber: idx + 1 }))
+    .filter((line) => line.text);
+
+  const parsed = parseWithTemplate(lines, null, locale);
+  const errors = parsed.items
+    .filter((row) => row.needsReview)
+    .map((row) =>
+      lineError(row.source?.lineNumber ?? null, row.source?.text ?? row.name, reviewReason(row))
+    );
+  if (parsed.items.length === 0) {
+    errors.push(lineError(null, "", "No lines with prices were found."));
+  }
+
+  // Delivery emails rarely print the store as a header: "Your order from Chipotle"
+  const orderFrom = text.match(/\b(?:order|receipt)\s+from\s+([^\n]+)/i);
+  const header = extractReceiptHeader(lines, locale);
+  if (!header.merchant && orderFrom) header.merchant = orderFrom[1].trim();
+  return {
+    name: header.merchant || "",
+    header,
+    ...splitTaxAndTip(parsed.items),
+    errors,
+  };
+}
+
+/**
+ * Splits one CSV line, honouring "quoted, fields" and "" escapes.
+ */
+function splitCsvLine(line, separator) {
+  const fields = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === separator) {
+      fields.push(field.trim());
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  fields.push(field.trim());
+  return fields;
+}
+
+function csvColumns(headerFields) {
+  const find = (regex) => headerFields.findIndex((field) => regex.test(field));
+  const columns = {
+    qty: find(/^(qty|quantity|count)$/i),
+    name: find(/^(name|item|description|product)$/i),
+    price: find(/^(price|amount|unit price|cost)$/i),
+  };
+  return columns.name !== -1 && columns.price !== -1 ? columns : null;
+}
+
+/**
+ * Which field holds qty, name and price: from the header row if there is one,
+ * otherwise qty,name,price (name,price with two columns). Unquoted commas in
+ * a name just split it into extra middle fields, which are joined back.
+ */
+function csvFields(fields, columns, separator) {
+  if (columns) {
+    return [
+      columns.qty === -1 ? "1" : fields[columns.qty],
+      fields[columns.name],
+      fields[columns.price],
+    ];
+  }
+  if (fields.length === 2) return ["1", fields[0], fields[1]];
+  return [fields[0], fields.slice(1, -1).join(`${separator} `), fields[fields.length - 1]];
+}
+
+function importCsv(input) {
+  const rawLines = input.split(/\r?\n/);
+  const headerIdx = rawLines.findIndex((line) => line.trim());
+  const firstLine = rawLines[headerIdx] || "";
+  const separator = firstLine.includes("\t")
+    ? "\t"
+    : firstLine.includes(";") && !firstLine.includes(",")
+    ? ";"
+    : ",";
+
+  let columns = null;
+  const rows = [];
+  let tax = 0;
+  let tip = 0;
+  const errors = [];
+  rawLines.forEach((raw, idx) => {
+    const lineNumber = idx + 1;
+    if (!raw.trim()) return;
+    const fields = splitCsvLine(raw, separator);
+
+    // A header row, if present, is the first non-empty line and names the columns
+    if (idx === headerIdx) {
+      columns = csvColumns(fields);
+      if (columns) return;
+    }
+    const [qtyField, nameField, priceField] = csvFields(fields, columns, separator);
+
+    if (fields.length < 2) {
+      errors.push(lineError(lineNumber, raw, "Expected qty,name,price."));
+      return;
+    }
+    const qty = Number(qtyField || "1");
+    if (!Number.isInteger(qty) || qty < 1) {
+      errors.push(
+        lineError(lineNumber, raw, `Quantity "${qtyField}" must be a whole number of at least 1.`)
+      );
+      return;
+    }
+    if (!nameField) {
+      errors.push(lineError(lineNumber, raw, "Item name is missing."));
+      return;
+    }
+    if (!priceField || !AMOUNT_REGEX.test(priceField)) {
+      errors.push(lineError(lineNumber, raw, `Price "${priceField || ""}" is not a valid amount.`));
+      return;
+    }
+    const amount = importAmount(priceField);
+    if (TAX_NAME_REGEX.test(nameField)) {
+      tax += amount * qty;
+    } else if (TIP_NAME_REGEX.test(nameField)) {
+      tip += amount * qty;
+    } else {
+      rows.push({ qty: String(qty), name: nameField, price: amount.toFixed(2) });
+    }
+  });
+
+  if (rows.length === 0 && errors.length === 0) {
+    errors.push(lineError(null, "", "The file has no item rows."));
+  }
+  return {
+    name: "",
+    header: null,
+    items: rows,
+    tax: roundCents(tax),
+    tip: roundCents(tip),
+    errors,
+  };
+}
+
+/**
+ * The result of an import that stopped at its first problem.
+ */
+function failedImport(error) {
+  return { name: "", header: null, items: [], tax: 0, tip: 0, errors: [error] };
+}
+
+/**
+ * Byte offset in a JSON syntax error ("... at position 42") -> line number.
+ */
+function jsonErrorLine(input, err) {
+  const position = err.message.match(/position (\d+)/);
+  return position ? input.slice(0, Number(position[1])).split("\n").length : null;
+}
+
+function importJson(input) {
+  let json;
+  try {
+    json = JSON.parse(input);
+  } catch (err) {
+    return failedImport(lineError(jsonErrorLine(input, err), "", `Invalid JSON: ${err.message}`));
+  }
+
+  const receipt = Array.isArray(json) ? { items: json } : json;
+  if (!receipt || typeof receipt !== "object") {
+    return failedImport(lineError(null, "", "Expected a receipt object or a list of items."));
+  }
+  const errors = [];
+  const itemList = Array.isArray(receipt.items) ? receipt.items : [];
+  if (itemList.length === 0) {
+    errors.push(lineError(null, "items", "\"items\" must be a non-empty list."));
+  }
+  let adjustmentList = [];
+  if (Array.isArray(receipt.adjustments)) {
+    adjustmentList = receipt.adjustments;
+  } else if (receipt.adjustments !== undefined && receipt.adjustments !== null) {
+    errors.push(lineError(null, "adjustments", "\"adjustments\" must be a list."));
+  }
+
+  const items = [];
+  itemList.forEach((item, idx) => {
+    const where = `items[${idx}]`;
+    if (!item || typeof item !== "object") {
+      errors.push(lineError(null, where, "Each item must be an object."));
+      return;
+    }
+    const qty = item.qty === undefined ? 1 : Number(item.qty);
+    if (!String(item.name ?? "").trim()) {
+      errors.push(lineError(null, where, "\"name\" is missing."));
+    } else if (!Number.isInteger(qty) || qty < 1) {
+      errors.push(lineError(null, where, "\"qty\" must be a whole number of at least 1."));
+    } else if (!AMOUNT_REGEX.test(String(item.price ?? ""))) {
+      errors.push(lineError(null, where, "\"price\" must be an amount."));
+    } else {
+      items.push({
+        qty: String(qty),
+        name: String(item.name).trim(),
+        price: importAmount(item.price).toFixed(2),
+      });
+    }
+  });
+
+  adjustmentList.forEach((adj, idx) => {
+    const where = `adjustments[${idx}]`;
+    if (!ADJUSTMENT_TYPES[adj?.type]) {
+      errors.push(
+        lineError(null, where, `"type" must be one of ${Object.keys(ADJUSTMENT_TYPES).join(", ")}.`)
+      );
+    } else if (!AMOUNT_REGEX.test(String(adj.amount ?? ""))) {
+      errors.push(lineError(null, where, "\"amount\" must be an amount."));
+    } else {
+      items.push({
+        qty: "1",
+        name: String(adj.name || ADJUSTMENT_TYPES[adj.type]),
+        // The type sets the sign: a discount of 5 takes 5.00 off
+        price: signedAdjustmentPrice(adj.type, Math.abs(importAmount(adj.amount)).toFixed(2)),
+        adjustment: adj.type,
+      });
+    }
+  });
+
+  const amountOf = (key) => {
+    if (receipt[key] === undefined || receipt[key] === null) return 0;
+    if (AMOUNT_REGEX.test(String(receipt[key]))) return roundCents(importAmount(receipt[key]));
+    errors.push(lineError(null, key, `"${key}" must be an amount.`));
+    return 0;
+  };
+
+  return {
+    name: String(receipt.name || "").trim(),
+    header: null,
+    items,
+    tax: amountOf("tax"),
+    tip: amountOf("tip"),
+    errors,
+  };
+}
+
+/**
+ * Imports an e-receipt.
+ *
+ * @param {string} input - pasted text or file contents
+ * @param {"text"|"csv"|"json"} format - see detectImportFormat
+ * @param {object} [locale] - number format and labels for text imports
+ * @returns {{ name: string, header: object|null, items: object[], tax: number, tip: number,
+ *   errors: Array<{ line: number|null, text: string, message: string }> }} `header`
+ *   holds the receipt details (extractReceiptHeader) read from a text import
+ */
+export function importReceipt(input, format, locale = getLocale(DEFAULT_LOCALE_ID)) {
+  if (format === "csv") return importCsv(input);
+  if (format === "json") return importJson(input);
+  return importText(input, locale);
+}
+
+/**
+ * Rows pasted into the item grid from a spreadsheet or a notes app: one item
+ * per line, tab- or comma-separated like a CSV import (header row optional),
+ * or free text like "2 Burger 12.00". Unlike an import nothing is rejected;
+ * an unreadable quantity becomes 1 and a missing price 0.00. Empty cells at
+ * the end of a line are ignored, and decimal-comma prices ("12,50") are read
+ * as 12.50, also when commas separate the fields ("Burger,12,50").
+ *
+ * @returns {Array<{ qty: string, name: string, price: string }>}
+ */
+export function parsePastedItems(text) {
+  const lines = text.split(/\r?\n/).filter((line) => line.trim());
+  const separator = lines.some((line) => line.includes("\t"))
+    ? "\t"
+    : lines.every((line) => FIELD_COMMA_REGEX.test(line))
+    ? ","
+    : null;
+
+  let columns = null;
+  return lines.flatMap((line, idx) => {
+    if (!separator) {
+      // "Soda 1,50" reads like "Soda 1.50"
+      const { qty, name, price } = parseItemLine(line.trim().replace(/(\d),(\d{2})$/, "$1.$2"));
+      return [{ qty, name, price: parseAmount(price).toFixed(2) }];
+    }
+    const fields = splitCsvLine(line, separator);
+    while (fields.length > 1 && !fields[fields.length - 1]) fields.pop();
+    if (idx === 0) {
+      columns = csvColumns(fields);
+      if (columns) return [];
+    }
+    // Without a header, a first field that isn't a quantity is part of the name
+    const hasQty = columns || /^\d+$/.test(fields[0]);
+    const expected = columns ? Math.max(columns.qty, columns.name, columns.price) + 1 : hasQty ? 3 : 2;
+    if (
+      separator === "," &&
+      fields.length === expected + 1 &&
+      /^\$?\d+$/.test(fields[fields.length - 2]) &&
+      /^\d{2}$/.test(fields[fields.length - 1])
+    ) {
+      // "Burger,12,50": the last comma is the price's decimal comma
+      fields.splice(-2, 2, `${fields[fields.length - 2]}.${fields[fields.length - 1]}`);
+    }
+    const joiner = separator === "\t" ? " " : `${separator} `;
+    const [qtyField, nameField, priceField] =
+      fields.length === 1
+        ? ["1", fields[0], ""]
+        : hasQty
+        ? csvFields(fields, columns, separator)
+        : ["1", fields.slice(0, -1).join(joiner), fields[fields.length - 1]];
+    const qty = parseInt(qtyField, 10);
+    return [
+      {
+        qty: String(qty >= 1 ? qty : 1),
+        name: nameField || "Item",
+        price: parseAmount((priceField || "").replace(/^(\$?\d+),(\d{2})$/, "$1.$2")).toFixed(2),
+      },
+    ];
+  });
+}
@@ -0,0 +1,528 @@
+/**
+ * File: /src/utils/receiptParser.js
+ *
+ * Pure helpers that turn OCR output into receipt rows. Kept out of the page
+ * components so the same parsing can run on one photo or on several photos
+ * of the same long receipt.
+ */
+
+import {
+  parseAdjustmentLine,
+  isInformationalLine,
+  itemNetTotal,
+  ADJUSTMENT_TYPES,
+} from "./adjustments";
+import {
+  getLocale,
+  DEFAULT_LOCALE_ID,
+  normalizeLines,
+  isSummaryLabel,
+  summaryLabelFor,
+  PAYMENT_LABEL,
+} from "./locales";
+import { attachModifiers } from "./modifiers";
+import { reconcileReceipt } from "./reconcile";
+import { parseAmount } from "./helpers";
+
+// How many lines at the top/bottom of a photo are checked for repeated headers/footers
+const HEADER_WINDOW = 6;
+const FOOTER_WINDOW = 6;
+
+// Max number of lines two consecutive photos can share at their seam
+const MAX_OVERLAP = 15;
+
+// "2 x Burger @ 9.99 19.98": the amount after the @ is the unit price
+const UNIT_PRICE_REGEX = /^(.*?)\s*@\s*(\$?\d+\.\d{2})(?:\s*\/?\s*(?:ea|each))?(?:\s+\$?\d+\.\d{2})?$/i;
+
+// Any line carrying a price, used to tell where the store header ends
+// (runs on raw OCR text, so decimal commas count too)
+const PRICE_REGEX = /\d+[.,]\d{2}/;
+
+// Two lines with at least this bigram similarity are treated as the same line
+const SAME_LINE_THRESHOLD = 0.85;
+
+// Rows below either bar get a "needs review" badge (confidence is Tesseract's 0-100)
+const MIN_OCR_CONFIDENCE = 70;
+const MIN_PARSE_SCORE = 0.6;
+
+/**
+ * Splits OCR lines into relevant lines, categorized as item lines, summary
+ * lines or adjustment lines (discounts, voids, deposits, fees). Accepts raw
+ * OCR text or line objects ({ text, page, bbox }); line objects are returned
+ * as-is so each row can be traced back to where it was printed.
+ *
+ * Each adjustment comes as { line, adjustment, afterItem }, where `afterItem`
+ * is the item line printed above it (null after a summary line).
+ * `nameLines` are price-less lines printed right above an item line, such as
+ * "BANANAS" over "2.10 lb @ 0.59 /lb 1.24"; only some templates use them.
+ *
+ * Lines are expected in "12.50" form (see normalizeLines); `locale` supplies
+ * the local Tax/Total/... words.
+ */
+export function extractRelevantLines(ocrLines, locale = getLocale(DEFAULT_LOCALE_ID)) {
+  const allLines = typeof ocrLines === "string" ? textToLines(ocrLines) : ocrLines;
+  const currencyRegex = /(\$|(\d+\.\d{2}))/;
+
+  const itemLines = [];
+  const summaryLines = [];
+  const adjustmentLines = [];
+  const nameLines = [];
+  let lastItemLine = null;
+  let lastNameLine = null;
+
+  allLines.forEach((lineObj) => {
+    const line = lineObj.text.trim();
+    if (!line || isInformationalLine(line)) return;
+    const nameAbove = lastNameLine;
+    lastNameLine = null;
+
+    const adjustment = parseAdjustmentLine(line);
+    if (adjustment) {
+      adjustmentLines.push({ line: lineObj, adjustment, afterItem: lastItemLine });
+      return;
+    }
+
+    // Summary = a Tax/Total/... label, or a bare amount with no item name next to it
+    if (isSummaryLabel(line, locale) || /^\$?\d+\.\d{2}$/.test(line)) {
+      summaryLines.push(lineObj);
+      lastItemLine = null;
+    } else if (currencyRegex.test(line)) {
+      if (nameAbove) nameLines.push(nameAbove);
+      itemLines.push(lineObj);
+      lastItemLine = lineObj;
+    } else if (/[a-z]{2}/i.test(line)) {
+      lastNameLine = lineObj;
+    }
+  });
+
+  return { itemLines, summaryLines, adjustmentLines, nameLines };
+}
+
+/**
+ * Parses an item line into structured data { qty, name, price, parseScore }.
+ * The quantity may be written "2 Burger" or "2 x Burger". The price is the
+ * amount at the end of the line, or the unit price after an "@".
+ */
+export function parseItemLine(line) {
+  let qty = "1";
+  let name = line;
+  let price = "";
+
+  const qtyMatch = line.match(/^(\d+)(?:\s*[xX×])?\s+(.*)/);
+  if (qtyMatch) {
+    qty = qtyMatch[1];
+    name = qtyMatch[2];
+  }
+
+  const unitMatch = name.match(UNIT_PRICE_REGEX);
+  const priceMatch = name.match(/(\$?\d+\.\d{2})$/);
+  if (unitMatch) {
+    name = unitMatch[1];
+    price = unitMatch[2];
+  } else if (priceMatch) {
+    price = priceMatch[1];
+    // "Soda - 2.50": the dash only separates the name from the price
+    name = name.replace(price, "").trim().replace(/\s+[-–—:]$/, "");
+  }
+
+  return scoreItemRow({ qty, name, price });
+}
+
+/**
+ * Fills in defaults for an item row and scores how cleanly it was read.
+ * `parseScore` (0..1) drops when the row had to fall back to defaults or the
+ * name looks like OCR noise. Shared by the layout templates in receiptTemplates.js.
+ */
+export function scoreItemRow({ qty, name, price }) {
+  let parseScore = 1;
+  if (!price) parseScore -= 0.6; // fell back to $0.00
+  if (!name) parseScore -= 0.5; // fell back to "Item"
+  else if ((name.match(/[a-z]/gi) || []).length < 2) parseScore -= 0.3; // no readable word
+  if (parseInt(qty, 10) > 50) parseScore -= 0.3; // probably a SKU read as a quantity
+
+  return {
+    qty,
+    name: name || "Item",
+    price: price || "$0.00",
+    parseScore: Math.max(0, parseScore),
+  };
+}
+
+/**
+ * Parses a summary line into structured data { qty, name, price, parseScore }.
+ * Local labels (MwSt, TVA, Pourboire...) map to "Tax", "Tip", "Subtotal", "Total".
+ */
+export function parseSummaryLine(line, locale = getLocale(DEFAULT_LOCALE_ID)) {
+  let qty = "1";
+  let name = "Summary Item";
+  let price = "$0.00";
+
+  const currencyMatch = line.match(/(\$?\d+\.\d{2})/);
+  if (currencyMatch) {
+    price = currencyMatch[1];
+  }
+
+  name =
+    summaryLabelFor(line, locale) ||
+    line.replace(currencyMatch?.[0], "").trim() ||
+    "Summary Item";
+
+  let parseScore = 1;
+  if (!currencyMatch) parseScore -= 0.6;
+  if (name === "Summary Item") parseScore -= 0.3;
+
+  return { qty, name, price, parseScore: Math.max(0, parseScore) };
+}
+
+/**
+ * Separates "summary" lines (e.g., Tax, Tip, Subtotal, Total, Payment) from normal items.
+ */
+export function separateSummaryFromItems(allItems) {
+  const summaryKeywords = ["Tax", "Tip", "Subtotal", "Total", "Summary Item", PAYMENT_LABEL];
+  const normalItems = [];
+  const summaryItems = [];
+  const adjustmentItems = []; // receipt-level discounts, voids, deposits, fees
+
+  allItems.forEach((item) => {
+    if (item.adjustment) {
+      adjustmentItems.push(item);
+    } else if (
+      summaryKeywords.some((keyword) =>
+        item.name.toLowerCase().includes(keyword.toLowerCase())
+      )
+    ) {
+      summaryItems.push(item);
+    } else {
+      normalItems.push(item);
+    }
+  });
+
+  return { normalItems, summaryItems, adjustmentItems };
+}
+
+/**
+ * Puts edited normal items back in place among the summary and adjustment
+ * rows they were separated from (same count and order as separateSummaryFromItems gave).
+ */
+export function withNormalItems(allItems, normalItems) {
+  const original = separateSummaryFromItems(allItems).normalItems;
+  let next = 0;
+  return allItems.map((item) => (original.includes(item) ? normalItems[next++] : item));
+}
+
+/**
+ * Adds review metadata to a parsed row: the OCR confidence of its line and
+ * whether it should be flagged for the user to check. Text read from a PDF
+ * text layer has no OCR confidence and is only judged on the parse.
+ */
+export function withReviewFlag(row, line) {
+  const ocrConfidence = typeof line?.confidence === "number" ? Math.round(line.confidence) : null;
+  const lowConfidence = ocrConfidence !== null && ocrConfidence < MIN_OCR_CONFIDENCE;
+  const poorParse = row.parseScore < MIN_PARSE_SCORE;
+  return { ...row, ocrConfidence, needsReview: lowConfidence || poorParse };
+}
+
+/**
+ * Short human-readable reason a row was flagged, for the badge tooltip.
+ */
+export function reviewReason(row) {
+  const reasons = [];
+  if (row.ocrConfidence !== null && row.ocrConfidence < MIN_OCR_CONFIDENCE) {
+    reasons.push(`low OCR confidence (${row.ocrConfidence}%)`);
+  }
+  if (row.parseScore < MIN_PARSE_SCORE) {
+    reasons.push("name or price could not be read cleanly");
+  }
+  return reasons.join(", ");
+}
+
+/**
+ * Identifies an OCR line by its page and position, so a table row can be
+ * matched back to the region it came from.
+ */
+export function lineKey(line) {
+  if (!line?.bbox) return null;
+  return `${line.page}:${line.bbox.x0},${line.bbox.y0}`;
+}
+
+/**
+ * Where a parsed row came from; stored on the row so the preview can highlight it.
+ */
+function sourceOf(line) {
+  if (line.bbox) return { page: line.page, bbox: line.bbox, text: line.text };
+  // Imported text has no boxes, but keeps its line number for error reports
+  return line.lineNumber ? { lineNumber: line.lineNumber, text: line.text } : undefined;
+}
+
+/**
+ * The generic item grammar: one row per item line, "[qty] name price".
+ */
+function parseGenericItems(itemLines) {
+  return itemLines.map((line) => ({ row: parseItemLine(line.text), line }));
+}
+
+/**
+ * Parses OCR lines into table rows: item lines first, then receipt-level
+ * adjustments, then summary lines (Tax, Tip, Total...). Each row keeps a
+ * `source` pointing at its OCR line and a `needsReview` flag for
+ * low-confidence or fallback parses. Adjustments printed right under an item
+ * are attached to it as `item.adjustments`, and add-ons ("+ Bacon 2.00") as
+ * `item.modifiers`, instead of getting a row. Prices are per unit; an amount
+ * printed as a line total is divided by the quantity (see resolveLineTotals).
+ *
+ * @param {Array<{ text: string }>|string} ocrLines
+ * @param {{ parseItems: Function }} [template] - layout template from
+ *   receiptTemplates.js; the generic grammar is used when omitted
+ * @param {object} [locale] - receipt locale from locales.js (number format, labels)
+ * @returns {{ items: object[], summaryLines: string[] }}
+ */
+export function parseReceiptLines(ocrLines, template, locale = getLocale(DEFAULT_LOCALE_ID)) {
+  const lines = normalizeLines(
+    typeof ocrLines === "string" ? textToLines(ocrLines) : ocrLines,
+    locale
+  );
+  const { itemLines, summaryLines, adjustmentLines, nameLines } = extractRelevantLines(
+    lines,
+    locale
+  );
+  const parseItems = template?.parseItems || parseGenericItems;
+
+  // Templates that read a name printed on its own line get those lines too, in order
+  const templateLines = template?.usesNameLines
+    ? lines.filter((line) => itemLines.includes(line) || nameLines.includes(line))
+    : itemLines;
+  const itemResults = parseItems(templateLines);
+  const parsedItems = itemResults.map(({ row, line }) => ({
+    ...withReviewFlag(row, line),
+    source: sourceOf(line),
+  }));
+
+  // Templates can fold a line into the row above it, so each adjustment goes
+  // to the last row that starts at or above the item line it was printed under
+  const rowStarts = itemResults.map(({ line }) => itemLines.indexOf(line));
+  const adjustmentRows = [];
+  adjustmentLines.forEach(({ line, adjustment, afterItem }) => {
+    const afterIdx = itemLines.indexOf(afterItem);
+    const targetIdx =
+      adjustment.receiptWide || afterIdx === -1
+        ? -1
+        : rowStarts.reduce((found, start, idx) => (start <= afterIdx ? idx : found), -1);
+    const target = parsedItems[targetIdx];
+
+    if (target) {
+      const amount = adjustment.amount ?? (-itemNetTotal(target)).toFixed(2);
+      target.adjustments = [
+        ...(target.adjustments || []),
+        { type: adjustment.type, label: adjustment.label, amount, source: sourceOf(line) },
+      ];
+    } else {
+      adjustmentRows.push(adjustmentRow(adjustment, line));
+    }
+  });
+  const parsedSummaryItems = summaryLines.map((line) => ({
+    ...withReviewFlag(parseSummaryLine(line.text, locale), line),
+    source: sourceOf(line),
+  }));
+
+  const unitPriced = itemResults.map(
+    ({ line, unitPrice }) => unitPrice || UNIT_PRICE_REGEX.test(line.text)
+  );
+  const items = resolveLineTotals(parsedItems, unitPriced, adjustmentRows, parsedSummaryItems);
+
+  return {
+    items: [...attachModifiers(items), ...adjustmentRows, ...parsedSummaryItems],
+    summaryLines: summaryLines.map((line) => line.text),
+  };
+}
+
+/**
+ * "2 x Burger 19.98" prints either the unit price or the line total, and the
+ * rows are read as unit prices. When the printed Subtotal/Total only adds up
+ * with line totals, those rows get the line total divided by their quantity
+ * instead. Rows whose unit price is known ("@ 9.99") are left alone.
+ */
+function resolveLineTotals(items, unitPriced, adjustmentRows, summaryRows) {
+  const ambiguous = (item) =>
+    !unitPriced[items.indexOf(item)] && (parseInt(item.qty, 10) || 1) > 1;
+  if (!items.some(ambiguous)) return items;
+  if (reconcileReceipt(items, summaryRows, adjustmentRows).balanced) return items;
+
+  const asLineTotals = items.map((item) =>
+    ambiguous(item)
+      ? { ...item, price: (parseAmount(item.price) / parseInt(item.qty, 10)).toFixed(2) }
+      : item
+  );
+  const reconciliation = reconcileReceipt(asLineTotals, summaryRows, adjustmentRows);
+  return reconciliation.hasPrintedTotals && reconciliation.balanced ? asLineTotals : items;
+}
+
+/**
+ * A receipt-level adjustment row. A void with nothing above it to cancel has
+ * no amount, so it is flagged for the user to fill in.
+ */
+function adjustmentRow(adjustment, line) {
+  const row = {
+    qty: "1",
+    name: adjustment.label || ADJUSTMENT_TYPES[adjustment.type],
+    price: adjustment.amount ?? "0.00",
+    adjustment: adjustment.type,
+    parseScore: adjustment.amount === null ? 0.3 : 1,
+  };
+  return { ...withReviewFlag(row, line), source: sourceOf(line) };
+}
+
+/**
+ * Parses a single OCR line picked by the user on the preview. Lines that the
+ * bulk parse would skip (no price found) are still returned as an item row.
+ * Adjustment lines come back as receipt-level adjustment rows.
+ */
+export function parseSingleLine(ocrLine, template, locale = getLocale(DEFAULT_LOCALE_ID)) {
+  const [line] = normalizeLines([ocrLine], locale);
+  const { summaryLines, adjustmentLines } = extractRelevantLines([line], locale);
+  if (adjustmentLines.length > 0) return adjustmentRow(adjustmentLines[0].adjustment, line);
+  const parseItems = template?.parseItems || parseGenericItems;
+  const parsed =
+    summaryLines.length > 0
+      ? parseSummaryLine(line.text, locale)
+      : parseItems([line])[0]?.row || parseItemLine(line.text);
+  return { ...withReviewFlag(parsed, line), source: sourceOf(line) };
+}
+
+/**
+ * Flattens Tesseract's block -> paragraph -> line tree into line objects
+ * { text, page, bbox, confidence, words }.
+ */
+export function linesFromTesseractBlocks(blocks, page = 0) {
+  const lines = [];
+  (blocks || []).forEach((block) => {
+    block.paragraphs.forEach((paragraph) => {
+      paragraph.lines.forEach((line) => {
+        const text = line.text.trim();
+        if (!text) return;
+        lines.push({
+          text,
+          page,
+          bbox: line.bbox,
+          confidence: line.confidence,
+          words: line.words.map((word) => ({ text: word.text, bbox: word.bbox })),
+        });
+      });
+    });
+  });
+  return lines;
+}
+
+/**
+ * Splits one photo's OCR text into line objects { text, page }.
+ * Blank lines are dropped so they never count towards an overlap.
+ */
+export function textToLines(ocrText, page = 0) {
+  return ocrText
+    .split("\n")
+    .map((text) => text.trim())
+    .filter(Boolean)
+    .map((text) => ({ text, page }));
+}
+
+/**
+ * Lowercases a line and strips punctuation/whitespace noise so that the same
+ * printed line read from two photos compares equal.
+ */
+function normalizeLine(text) {
+  return text.toLowerCase().replace(/[^a-z0-9.]/g, "");
+}
+
+function bigrams(str) {
+  const grams = [];
+  for (let i = 0; i < str.length - 1; i++) {
+    grams.push(str.slice(i, i + 2));
+  }
+  return grams;
+}
+
+/**
+ * Dice coefficient over character bigrams, tolerant of the odd misread
+ * character between two photos of the same line.
+ */
+function isSameLine(a, b) {
+  const left = normalizeLine(a.text);
+  const right = normalizeLine(b.text);
+  if (!left || !right) return false;
+  if (left === right) return true;
+  if (left.length < 3 || right.length < 3) return false;
+
+  const leftGrams = bigrams(left);
+  const rightGrams = bigrams(right);
+  const pool = [...rightGrams];
+  let matches = 0;
+  leftGrams.forEach((gram) => {
+    const hit = pool.indexOf(gram);
+    if (hit !== -1) {
+      matches += 1;
+      pool.splice(hit, 1);
+    }
+  });
+  return (2 * matches) / (leftGrams.length + rightGrams.length) >= SAME_LINE_THRESHOLD;
+}
+
+/**
+ * Returns how many lines at the end of `merged` are repeated at the start of `next`.
+ * The longest run wins, so a partially re-photographed section is dropped whole.
+ */
+function findOverlap(merged, next) {
+  const maxLen = Math.min(MAX_OVERLAP, merged.length, next.length);
+  for (let len = maxLen; len > 0; len--) {
+    const tail = merged.slice(merged.length - len);
+    const matchesAll = tail.every((line, i) => isSameLine(line, next[i]));
+    if (matchesAll) return len;
+  }
+  return 0;
+}
+
+/**
+ * Merges the OCR lines of several photos of one receipt, in order.
+ *
+ * - Store headers repeated at the top of later photos are dropped (page 1 keeps them).
+ * - Footers repeated at the bottom of earlier photos are dropped (the last page keeps them).
+ * - Lines shared at the seam of two overlapping photos are kept only once, so
+ *   an item near a page edge is not counted twice.
+ *
+ * @param {Array<Array<{ text: string }>>} pages - line objects per photo, in receipt order
+ * @returns {Array<{ text: string }>} the merged line objects
+ */
+export function mergeOcrPages(pages) {
+  const nonEmpty = pages.filter((lines) => lines.length > 0);
+  if (nonEmpty.length === 0) return [];
+  if (nonEmpty.length === 1) return [...nonEmpty[0]];
+
+  // Header = the first page's lines above its first priced line
+  const firstPage = nonEmpty[0];
+  const firstPriced = firstPage.findIndex((line) => PRICE_REGEX.test(line.text));
+  const header = firstPage.slice(0, Math.min(HEADER_WINDOW, firstPriced === -1 ? 0 : firstPriced));
+  const footer = nonEmpty[nonEmpty.length - 1].slice(-FOOTER_WINDOW);
+
+  return nonEmpty.reduce((merged, lines, pageIdx) => {
+    if (pageIdx === 0) return [...lines];
+
+    let start = 0;
+    while (start < lines.length && header.some((h) => isSameLine(h, lines[start]))) {
+      start += 1;
+    }
+    const body = lines.slice(start);
+
+    // Peel repeated footer lines off the previous photo, but stop as soon as
+    // its tail lines up with the start of this one (that is overlap, not footer)
+    let end = merged.length;
+    while (
+      end > 0 &&
+      findOverlap(merged.slice(0, end), body) === 0 &&
+      footer.some((f) => isSameLine(f, merged[end - 1]))
+    ) {
+      end -= 1;
+    }
+    const kept = merged.slice(0, end);
+
+    const overlap = findOverlap(kept, body);
+    return [...kept, ...body.slice(overlap)];
+  }, []);
+}
@@ -0,0 +1,358 @@
+/**
+ * File: /src/utils/receiptTemplates.js
+ *
+ * Layout templates for stores whose receipts the generic "[qty] name price"
+ * grammar reads badly. Each template scores how well it fits a receipt (from
+ * the merchant name in the header and the shape of its priced lines) and
+ * turns the item lines into rows with its own grammar. The generic parser is
+ * always registered and wins whenever no other template scores higher.
+ *
+ * A template is { id, label, description, detect(context), parseItems(itemLines) }:
+ * - `detect({ headerText, lines })` returns a 0..1 fit score.
+ * - `parseItems(itemLines)` returns [{ row, line, unitPrice }], one per item
+ *   row, where `row` is { qty, name, price, parseScore } and `line` is the
+ *   priced OCR line it came from (see parseReceiptLines). `unitPrice: true`
+ *   says the price is known to be per unit ("2 @ 3.99"); otherwise a
+ *   multi-quantity row's price may be read as its line total.
+ * - `usesNameLines: true` also passes the price-less lines printed right above
+ *   an item line ("BANANAS" over its weight line); they must not become rows
+ *   of their own.
+ */
+
+import { parseItemLine, parseReceiptLines, scoreItemRow } from "./receiptParser";
+import { parseAmount } from "./helpers";
+import { getLocale, DEFAULT_LOCALE_ID, normalizeLines } from "./locales";
+
+export const GENERIC_TEMPLATE_ID = "generic";
+
+// Score the generic parser gets; a template must beat it to be picked
+const GENERIC_SCORE = 0.3;
+
+// Lines above the first priced line (at most this many) are the store header
+const HEADER_LINES = 8;
+
+const PRICE_REGEX = /\d+\.\d{2}/;
+
+// "2 @ 3.99" / "2 x $3.99" multi-buy notation
+const MULTI_BUY_REGEX = /\b(\d+)\s*(?:@|[xX])\s*(\$?\d+\.\d{2})(?:\s*(?:\/\s*)?(?:ea|each))?/i;
+
+// "1.25 lb @ 1.99 /lb" weighed produce
+const WEIGHED_REGEX = /(\d*\.\d+|\d+)\s*(lbs?|kg)\s*@\s*\$?\d+\.\d{2}(?:\s*\/\s*(?:lbs?|kg))?/i;
+
+// UPC/SKU columns: a run of 6+ digits that is not part of a price
+const SKU_REGEX = /(?:^|\s)(\d{6,14})(?=\s|$)/;
+
+// Price printed before the name: "3.99 Coffee" or "2 x 3.99 Coffee"
+const PRICE_LEFT_REGEX = /^(?:(\d+)\s*[xX]?\s+)?(\$?\d+\.\d{2})\s+(.*[a-z].*)$/i;
+
+const templates = [];
+
+/**
+ * Adds a template to the registry (or replaces one with the same id).
+ */
+export function registerTemplate(template) {
+  const existing = templates.findIndex((t) => t.id === template.id);
+  if (existing !== -1) templates.splice(existing, 1, template);
+  else templates.push(template);
+}
+
+export function getTemplates() {
+  return [...templates];
+}
+
+export function getTemplate(id) {
+  return templates.find((t) => t.id === id) || templates.find((t) => t.id === GENERIC_TEMPLATE_ID);
+}
+
+/**
+ * Header text used for merchant matching: the lines above the first price.
+ */
+function headerTextOf(lines) {
+  const firstPriced = lines.findIndex((line) => PRICE_REGEX.test(line.text));
+  const end = Math.min(HEADER_LINES, firstPriced === -1 ? lines.length : firstPriced);
+  return lines
+    .slice(0, end)
+    .map((line) => line.text)
+    .join("\n");
+}
+
+function mentionsMerchant(headerText, merchants) {
+  return merchants.some((pattern) => pattern.test(headerText));
+}
+
+/**
+ * Share of the priced lines that match `regex` (0 when there are none).
+ */
+function shareOfPricedLines(lines, regex) {
+  const priced = lines.filter((line) => PRICE_REGEX.test(line.text));
+  if (priced.length === 0) return 0;
+  return priced.filter((line) => regex.test(line.text)).length / priced.length;
+}
+
+/**
+ * Scores every registered template against the receipt and returns the best
+ * fit. Ties go to the template registered first, so generic wins a tie.
+ *
+ * @param {Array<{ text: string }>} lines - merged OCR lines
+ * @returns {{ template: object, scores: Object<string, number> }}
+ */
+export function detectTemplate(lines) {
+  const context = { headerText: headerTextOf(lines), lines };
+  const scores = {};
+  let best = getTemplate(GENERIC_TEMPLATE_ID);
+  let bestScore = -1;
+
+  templates.forEach((template) => {
+    const score = template.detect(context);
+    scores[template.id] = score;
+    if (score > bestScore) {
+      best = template;
+      bestScore = score;
+    }
+  });
+
+  return { template: best, scores };
+}
+
+/**
+ * Parses OCR lines with the given template, or with the best-detected one
+ * when `templateId` is null. Amounts are normalized for `locale` first so
+ * detection sees "12.50" even on decimal-comma receipts.
+ *
+ * @returns {{ items: object[], summaryLines: string[], templateId: string, detectedTemplateId: string }}
+ */
+export function parseWithTemplate(ocrLines, templateId = null, locale = getLocale(DEFAULT_LOCALE_ID)) {
+  const lines = normalizeLines(ocrLines, locale);
+  const detected = detectTemplate(lines).template;
+  const template = templateId ? getTemplate(templateId) : detected;
+  return {
+    ...parseReceiptLines(lines, template, locale),
+    templateId: template.id,
+    detectedTemplateId: detected.id,
+  };
+}
+
+/* ------------------------------------------------------------------ */
+/* Built-in templates                                                  */
+/* ------------------------------------------------------------------ */
+
+registerTemplate({
+  id: GENERIC_TEMPLATE_ID,
+  label: "Generic",
+  description: "One item per line: quantity, name, then price.",
+  detect: () => GENERIC_SCORE,
+  parseItems: (itemLines) =>
+    itemLines.map((line) => ({ row: parseItemLine(line.text), line })),
+});
+
+/**
+ * Grocery layout: multi-buys print the unit price as "2 @ 3.99", either on
+ * the item line or on its own line under it, and weighed produce prints
+ * "1.25 lb @ 1.99 /lb" under the name. The row price is per unit. A name
+ * printed without a price takes the price of the weight or multi-buy line
+ * under it.
+ */
+registerTemplate({
+  id: "multi-buy",
+  label: "Grocery (2 @ 3.99)",
+  description: "Quantities written as “2 @ 3.99”, often on their own line under the item.",
+  usesNameLines: true,
+  detect: ({ headerText, lines }) => {
+    const merchant = mentionsMerchant(headerText, [
+      /kroger/i,
+      /safeway/i,
+      /albertsons/i,
+      /publix/i,
+      /trader\s*joe/i,
+      /whole\s*foods/i,
+      /\bvons\b/i,
+      /ralphs/i,
+      /\baldi\b/i,
+    ]);
+    const hits = lines.filter(
+      (line) => MULTI_BUY_REGEX.test(line.text) || WEIGHED_REGEX.test(line.text)
+    ).length;
+    if (!merchant && hits === 0) return 0;
+    return Math.min(1, (merchant ? 0.35 : 0) + (hits > 0 ? 0.35 + Math.min(hits, 4) * 0.1 : 0));
+  },
+  parseItems: (itemLines) => {
+    const results = []; // { row, line, multiBuy, weighed }
+    let pending = null; // a "2 @ 3.99" line printed above its item
+    let pendingName = null; // a price-less name line ("BANANAS") waiting for its price
+
+    // A "2 @ 3.99" line that no item claimed: kept as a nameless row to review
+    const flushPending = () => {
+      if (!pending) return;
+      const row = applyMultiBuy(
+        scoreItemRow({ qty: "1", name: "", price: pending.lineTotal || "" }),
+        pending.qty,
+        pending.unitPrice,
+        pending.lineTotal ? parseAmount(pending.lineTotal) : null
+      );
+      results.push({ row, line: pending.line, multiBuy: true });
+      pending = null;
+    };
+
+    // Row price becomes the unit price; a line total that disagrees means a misread
+    const applyMultiBuy = (row, qty, unitPrice, lineTotal) => {
+      const consistent =
+        !lineTotal || Math.abs(parseInt(qty, 10) * parseAmount(unitPrice) - lineTotal) <= 0.01;
+      return {
+        ...row,
+        qty,
+        price: unitPrice,
+        parseScore: consistent ? row.parseScore : Math.max(0, row.parseScore - 0.5),
+      };
+    };
+
+    itemLines.forEach((line) => {
+      if (!PRICE_REGEX.test(line.text)) {
+        pendingName = line.text.trim();
+        return;
+      }
+      const name = pendingName;
+      pendingName = null;
+
+      const weighed = line.text.match(WEIGHED_REGEX);
+      const multi = weighed ? null : line.text.match(MULTI_BUY_REGEX);
+      const notation = (weighed || multi || [""])[0];
+      const rest = line.text.replace(notation, " ").replace(/\s+/g, " ").trim();
+      const hasName = /[a-z]{2}/i.test(rest);
+      const previous = results[results.length - 1];
+
+      if (weighed) {
+        const weight = `${weighed[1]} ${weighed[2].toLowerCase()}`;
+        if (hasName) {
+          const row = parseItemLine(rest);
+          results.push({ row: { ...row, name: `${row.name} (${weight})` }, line, weighed: true });
+        } else if (name) {
+          const printedPrice = rest.match(/\$?\d+\.\d{2}/);
+          const row = scoreItemRow({
+            qty: "1",
+            name: `${name} (${weight})`,
+            price: printedPrice ? printedPrice[0] : "",
+          });
+          results.push({ row, line, weighed: true });
+        } else if (previous && !previous.weighed) {
+          previous.row = { ...previous.row, name: `${previous.row.name} (${weight})` };
+          previous.weighed = true;
+        }
+        return;
+      }
+
+      if (multi) {
+        const printedTotal = rest.match(/\$?\d+\.\d{2}/);
+        if (hasName) {
+          const row = applyMultiBuy(
+            parseItemLine(rest),
+            multi[1],
+            multi[2],
+            printedTotal ? parseAmount(printedTotal[0]) : null
+          );
+          results.push({ row, line, multiBuy: true });
+        } else if (name) {
+          const row = applyMultiBuy(
+            scoreItemRow({ qty: "1", name, price: printedTotal ? printedTotal[0] : "" }),
+            multi[1],
+            multi[2],
+            printedTotal ? parseAmount(printedTotal[0]) : null
+          );
+          results.push({ row, line, multiBuy: true });
+        } else if (previous && !previous.multiBuy) {
+          const lineTotal = printedTotal ? parseAmount(printedTotal[0]) : parseAmount(previous.row.price);
+          previous.row = applyMultiBuy(previous.row, multi[1], multi[2], lineTotal);
+          previous.multiBuy = true;
+        } else {
+          flushPending();
+          pending = {
+            qty: multi[1],
+            unitPrice: multi[2],
+            lineTotal: printedTotal ? printedTotal[0] : null,
+            line,
+          };
+        }
+        return;
+      }
+
+      const row = parseItemLine(line.text);
+      if (pending) {
+        results.push({
+          row: applyMultiBuy(row, pending.qty, pending.unitPrice, parseAmount(row.price)),
+          line,
+          multiBuy: true,
+        });
+        pending = null;
+      } else {
+        results.push({ row, line });
+      }
+    });
+    flushPending();
+
+    return results.map(({ row, line, multiBuy }) => ({ row, line, unitPrice: Boolean(multiBuy) }));
+  },
+});
+
+/**
+ * Price on the left, name on the right: "3.99 Coffee" (some cafés and
+ * hand-held POS printers). An optional quantity can come first.
+ */
+registerTemplate({
+  id: "price-left",
+  label: "Price first",
+  description: "Prices printed before the item name, e.g. “3.99 Latte”.",
+  detect: ({ lines }) => {
+    const share = shareOfPricedLines(lines, PRICE_LEFT_REGEX);
+    return share >= 0.5 ? 0.4 + share * 0.5 : 0;
+  },
+  parseItems: (itemLines) =>
+    itemLines.map((line) => {
+      const match = line.text.trim().match(PRICE_LEFT_REGEX);
+      if (!match) return { row: parseItemLine(line.text), line };
+
+      let qty = match[1] || "1";
+      let name = match[3].trim();
+      const trailingQty = name.match(/\s+[xX]\s*(\d+)$/);
+      if (trailingQty) {
+        qty = trailingQty[1];
+        name = name.slice(0, trailingQty.index).trim();
+      }
+      return { row: scoreItemRow({ qty, name, price: match[2] }), line };
+    }),
+});
+
+/**
+ * Big-box layout with a UPC/SKU column and a tax flag after the price:
+ * "GV MILK 2% 007874235186 F 3.48 N". The SKU is kept on the row.
+ */
+registerTemplate({
+  id: "sku-columns",
+  label: "SKU columns",
+  description: "Item codes next to each item and tax flags after the price.",
+  detect: ({ headerText, lines }) => {
+    const merchant = mentionsMerchant(headerText, [
+      /wal\s*-?\s*mart/i,
+      /costco/i,
+      /target/i,
+      /sam'?s\s*club/i,
+      /home\s*depot/i,
+      /lowe'?s/i,
+      /best\s*buy/i,
+    ]);
+    const share = shareOfPricedLines(lines, SKU_REGEX);
+    return Math.min(1, (merchant ? 0.35 : 0) + (share >= 0.3 ? 0.3 + share * 0.5 : 0));
+  },
+  parseItems: (itemLines) =>
+    itemLines.map((line) => {
+      const skuMatch = line.text.match(SKU_REGEX);
+      if (!skuMatch) return { row: parseItemLine(line.text), line };
+
+      const text = line.text
+        .replace(skuMatch[1], " ")
+        .replace(/^[A-Z]\s+/, "") // leading item-type flag ("E 123456 ...")
+        .replace(/(\d+\.\d{2})\s+[A-Z]{1,2}$/, "$1") // trailing tax flag
+        .replace(/\s[A-Z]\s+(?=\$?\d+\.\d{2}$)/, " ") // flag between SKU and price
+        .replace(/\s+/g, " ")
+        .trim();
+      return { row: { ...parseItemLine(text), sku: skuMatch[1] }, line };
+    }),
+});
@@ -0,0 +1,192 @@
+/**
+ * File: /src/utils/reconcile.js
+ *
+ * Checks parsed items, tax and tip against the Subtotal/Total printed on the
+ * receipt, and points at the rows most likely responsible for a mismatch.
+ */
+
+import { parseAmount, formatMoney, roundCents } from "./helpers";
+import { itemNetTotal, receiptAdjustmentTotal } from "./adjustments";
+
+// Differences up to this many dollars are treated as rounding
+const TOLERANCE = 0.01;
+
+// Digits OCR commonly confuses on thermal receipts (each maps to its look-alikes)
+const CONFUSABLE_DIGITS = {
+  0: ["8", "6", "9"],
+  1: ["7", "4"],
+  3: ["8"],
+  4: ["1", "9"],
+  5: ["6", "8"],
+  6: ["5", "8", "0"],
+  7: ["1"],
+  8: ["3", "0", "6", "5"],
+  9: ["4", "0"],
+};
+
+/**
+ * Classifies a summary row by its label; null for rows like "Change" or "Paid",
+ * and for informational rows such as VAT already included in the prices.
+ */
+export function summaryKind(name) {
+  const label = (name || "").toLowerCase();
+  if (/\((?:included|net)\)/.test(label)) return null;
+  if (/sub\s*-?\s*total/.test(label)) return "subtotal";
+  if (label.includes("tax")) return "tax";
+  if (label.includes("tip")) return "tip";
+  if (label.includes("total")) return "total";
+  return null;
+}
+
+/**
+ * Picks the printed amounts out of the summary rows. When a label appears more
+ * than once (e.g. "Total" and "Total Due"), the last one printed wins.
+ */
+function printedAmounts(summary) {
+  const printed = { subtotal: null, tax: null, tip: null, total: null };
+  summary.forEach((row) => {
+    const kind = summaryKind(row.name);
+    if (kind) printed[kind] = parseAmount(row.price);
+  });
+  return printed;
+}
+
+/**
+ * Every price this one could be if OCR misread a single digit.
+ */
+function misreadAlternatives(price) {
+  const text = parseAmount(price).toFixed(2);
+  const alternatives = [];
+  [...text].forEach((ch, pos) => {
+    (CONFUSABLE_DIGITS[ch] || []).forEach((replacement) => {
+      const candidate = parseFloat(text.slice(0, pos) + replacement + text.slice(pos + 1));
+      if (candidate > 0) alternatives.push(candidate);
+    });
+  });
+  return alternatives;
+}
+
+/**
+ * Looks for rows that would explain `difference` (printed minus computed):
+ * a misread digit, a line read twice, or a line that was never picked up.
+ */
+function findCulprits(items, difference) {
+  const culprits = [];
+  const near = (a, b) => Math.abs(a - b) <= TOLERANCE;
+
+  items.forEach((item, index) => {
+    const qty = parseInt(item.qty || "1", 10) || 1;
+    const current = parseAmount(item.price);
+    misreadAlternatives(item.price).forEach((candidate) => {
+      if (near((candidate - current) * qty, difference)) {
+        culprits.push({
+          type: "misread",
+          index,
+          suggestedPrice: candidate.toFixed(2),
+          message: `“${item.name}” may be ${formatMoney(candidate)} rather than ${formatMoney(current)} (misread digit).`,
+        });
+      }
+    });
+  });
+
+  if (difference < 0) {
+    const extras = items
+      .map((item, index) => ({ item, index }))
+      .filter(({ item }) => near(itemNetTotal(item), -difference));
+    const repeats = extras.filter(({ item, index }) =>
+      items.some(
+        (other, otherIdx) =>
+          otherIdx < index && other.name === item.name && other.price === item.price
+      )
+    );
+    // A line read twice is the likelier story; only fall back to "doesn't belong"
+    (repeats.length > 0 ? repeats : extras).forEach(({ item, index }) => {
+      culprits.push({
+        type: "doubled",
+        index,
+        message:
+          repeats.length > 0
+            ? `“${item.name}” appears twice; the second line may be a duplicate.`
+            : `“${item.name}” (${formatMoney(itemNetTotal(item))}) matches the extra amount; it may not belong on this receipt.`,
+      });
+    });
+  } else if (difference > 0) {
+    culprits.push({
+      type: "missing",
+      index: null,
+      message: `An item costing ${formatMoney(difference)} may be missing from the list.`,
+    });
+  }
+
+  return culprits;
+}
+
+/**
+ * Compares computed sums with the totals printed on the receipt.
+ *
+ * @param {object[]} items - normal item rows ({ qty, name, price, adjustments })
+ * @param {object[]} summary - summary rows (Subtotal, Tax, Tip, Total...)
+ * @param {object[]} [adjustments] - receipt-level adjustment rows (order
+ *   discounts, bag fees...). Receipts print these above or below the
+ *   Subtotal, so the Subtotal check accepts either.
+ * @returns {{
+ *   checks: Array<{ label: string, computed: number, printed: number, difference: number, ok: boolean }>,
+ *   difference: number,
+ *   balanced: boolean,
+ *   hasPrintedTotals: boolean,
+ *   culprits: object[]
+ * }}
+ *   `difference` is the first failing check's printed minus computed amount.
+ */
+export function reconcileReceipt(items, summary, adjustments = []) {
+  const printed = printedAmounts(summary);
+  const itemsSum = roundCents(items.reduce((sum, item) => sum + itemNetTotal(item), 0));
+  const adjusted = roundCents(itemsSum + receiptAdjustmentTotal(adjustments));
+  const tax = printed.tax || 0;
+  const tip = printed.tip || 0;
+
+  const checks = [];
+  if (printed.subtotal !== null) {
+    const beforeAdjustments = Math.abs(printed.subtotal - itemsSum) <= TOLERANCE;
+    checks.push({
+      label: "Subtotal",
+      computed: beforeAdjustments ? itemsSum : adjusted,
+      printed: printed.subtotal,
+    });
+  }
+  if (printed.total !== null) {
+    checks.push({
+      label: "Total",
+      computed: roundCents(adjusted + tax + tip),
+      printed: printed.total,
+    });
+  }
+  checks.forEach((check) => {
+    check.difference = roundCents(check.printed - check.computed);
+    check.ok = Math.abs(check.difference) <= TOLERANCE;
+  });
+
+  const failing = checks.find((check) => !check.ok);
+  const difference = failing ? failing.difference : 0;
+
+  return {
+    checks,
+    difference,
+    balanced: !failing,
+    hasPrintedTotals: checks.length > 0,
+    culprits: failing ? findCulprits(items, difference) : [],
+  };
+}
+
+/**
+ * A mismatch counts as accepted only for the exact difference the user saw;
+ * any further edit that changes the difference needs a fresh look.
+ */
+export function isDiscrepancyAccepted(reconciliation, acceptedDifference) {
+  return (
+    reconciliation.balanced ||
+    (acceptedDifference !== null &&
+      acceptedDifference !== undefined &&
+      Math.abs(acceptedDifference - reconciliation.difference) <= TOLERANCE)
+  );
+}
@@ -0,0 +1,97 @@
+/**
+ * File: /src/utils/taxCategories.js
+ *
+ * Tax categories for receipts that mix tax rates: groceries that aren't
+ * taxed, alcohol at a higher rate, and so on. Each item carries
+ * `item.taxCategory` ("standard" when missing, "exempt", or a custom
+ * category's id) and the receipt carries the rates in `taxCategories`:
+ * { standardRate, custom: [{ id, label, rate }] }, rates in percent as typed
+ * ("8.875"; a blank standard rate means it isn't known).
+ *
+ * The receipt's tax total still comes from the receipt; categories only
+ * decide which items it falls on. Items in a category with a rate are taxed
+ * at that rate, and standard items without a rate share what's left.
+ */
+
+import { parseAmount, roundCents } from "./helpers";
+import { itemNetTotal } from "./adjustments";
+
+export const DEFAULT_TAX_CATEGORIES = { standardRate: "", custom: [] };
+
+/**
+ * The categories an item can be put in, for a select: [{ id, label }].
+ */
+export function taxCategoryOptions(taxCategories = DEFAULT_TAX_CATEGORIES) {
+  return [
+    { id: "standard", label: "Standard" },
+    { id: "exempt", label: "Exempt" },
+    ...taxCategories.custom.map(({ id, label, rate }) => ({
+      id,
+      label: `${label || "Custom"} (${rate || 0}%)`,
+    })),
+  ];
+}
+
+/**
+ * The item's rate in percent: 0 when exempt, null for a standard item when
+ * the receipt has no standard rate. Unknown categories count as standard.
+ */
+function rateOf(item, taxCategories) {
+  if (item.taxCategory === "exempt") return 0;
+  const custom = taxCategories.custom.find((category) => category.id === item.taxCategory);
+  if (custom) return Math.max(0, parseAmount(custom.rate));
+  const { standardRate } = taxCategories;
+  return standardRate === "" || standardRate == null ? null : Math.max(0, parseAmount(standardRate));
+}
+
+/**
+ * Splits the receipt's tax total over its items by category.
+ *
+ * @param {Array} items - normal items
+ * @param {object} taxCategories
+ * @param {number} totalTax
+ * @returns {Array<number>} each item line's tax, in the order of `items`
+ */
+export function itemLineTaxes(items, taxCategories = DEFAULT_TAX_CATEGORIES, totalTax) {
+  const bases = items.map((item) => Math.max(0, itemNetTotal(item)));
+  const sumOfBases = bases.reduce((sum, base) => sum + base, 0);
+  if (totalTax <= 0 || sumOfBases <= 0) return items.map(() => 0);
+
+  const rates = items.map((item) => rateOf(item, taxCategories));
+  const proportional = () => bases.map((base) => roundCents((totalTax * base) / sumOfBases));
+  if (items.every((item) => !item.taxCategory || item.taxCategory === "standard")) {
+    // One rate for everything: tax in proportion to price, as before categories
+    return proportional();
+  }
+
+  const rated = bases.map((base, idx) => (rates[idx] === null ? 0 : (base * rates[idx]) / 100));
+  const ratedTax = rated.reduce((sum, tax) => sum + tax, 0);
+  const unratedBase = bases.reduce((sum, base, idx) => sum + (rates[idx] === null ? base : 0), 0);
+
+  if (unratedBase > 0 && ratedTax <= totalTax) {
+    // Standard items without a rate take whatever the rated items leave
+    const remainder = totalTax - ratedTax;
+    return bases.map((base, idx) =>
+      roundCents(rates[idx] === null ? (remainder * base) / unratedBase : rated[idx])
+    );
+  }
+  if (ratedTax > 0) {
+    // Rates that don't quite match the printed tax (rounding, or a rate
+    // that's off) are scaled so the shares still add up to it
+    return rated.map((tax) => roundCents((totalTax * tax) / ratedTax));
+  }
+  return proportional();
+}
+
+/**
+ * How much of the tax falls on each category: { [categoryId]: amount }.
+ */
+export function taxByCategory(items, taxCategories = DEFAULT_TAX_CATEGORIES, lineTaxes) {
+  const known = new Set(["exempt", ...taxCategories.custom.map((category) => category.id)]);
+  const totals = {};
+  items.forEach((item, idx) => {
+    const id = known.has(item.taxCategory) ? item.taxCategory : "standard";
+    totals[id] = roundCents((totals[id] || 0) + lineTaxes[idx]);
+  });
+  return totals;
+}
@@ -0,0 +1,83 @@
+/**
+ * File: /src/utils/taxTip.js
+ *
+ * Tax and tip entered by hand, either as a dollar amount or as a percentage
+ * ("8.875% tax", "18% tip on pre-tax"). A draft stores the resulting dollars
+ * in `tax`/`tip` and, for percentages, the rule they came from in
+ * `taxRule`/`tipRule`: { percent } for tax, { percent, base } for tip.
+ */
+
+import { parseAmount, roundCents } from "./helpers";
+import { separateSummaryFromItems } from "./receiptParser";
+import { itemNetTotal, receiptAdjustmentTotal } from "./adjustments";
+
+export const TIP_PRESETS = [15, 18, 20, 25];
+
+// What a tip percentage is taken of
+export const TIP_BASES = {
+  "pre-tax": "pre-tax subtotal",
+  "post-tax": "subtotal + tax",
+};
+
+/**
+ * The items' subtotal: each line's net total plus receipt-level discounts and
+ * fees. Summary rows (a scanned receipt's own Tax, Total, ...) are skipped.
+ */
+export function itemsSubtotal(items) {
+  const { normalItems, adjustmentItems } = separateSummaryFromItems(items);
+  return roundCents(
+    normalItems.reduce((sum, item) => sum + itemNetTotal(item), 0) +
+      receiptAdjustmentTotal(adjustmentItems)
+  );
+}
+
+/**
+ * Dollars for a charge as entered: { mode: "amount" | "percent", value } with
+ * `value` as typed. Negative values count as zero.
+ */
+function chargeAmount({ mode, value }, base) {
+  const number = Math.max(0, parseAmount(value));
+  return mode === "percent" ? roundCents((Math.max(0, base) * number) / 100) : roundCents(number);
+}
+
+/**
+ * Works out tax and tip for the items.
+ *
+ * @param {Array} items
+ * @param {object} tax - { mode, value }
+ * @param {object} tip - { mode, value, base } (base is a TIP_BASES key)
+ * @returns {{ subtotal: number, tax: number, tip: number, taxRule: object|null, tipRule: object|null }}
+ */
+export function resolveTaxAndTip(items, tax, tip) {
+  const subtotal = itemsSubtotal(items);
+  const taxAmount = chargeAmount(tax, subtotal);
+  const tipBase = tip.base === "post-tax" ? subtotal + taxAmount : subtotal;
+  return {
+    subtotal,
+    tax: taxAmount,
+    tip: chargeAmount(tip, tipBase),
+    taxRule: tax.mode === "percent" ? { percent: Math.max(0, parseAmount(tax.value)) } : null,
+    tipRule:
+      tip.mode === "percent"
+        ? { percent: Math.max(0, parseAmount(tip.value)), base: tip.base }
+        : null,
+  };
+}
+
+/**
+ * A stored rule back as the form's { mode, value } (amounts come from the
+ * stored dollars).
+ */
+export function chargeFromRule(rule, amount) {
+  if (rule) return { mode: "percent", value: String(rule.percent) };
+  return { mode: "amount", value: amount ? String(amount) : "" };
+}
+
+/**
+ * "20% tip", "18% tip on subtotal + tax", "8.875% tax"; null for a plain amount.
+ */
+export function describeChargeRule(kind, rule) {
+  if (!rule) return null;
+  const label = `${rule.percent}% ${kind}`;
+  return rule.base === "post-tax" ? `${label} on ${TIP_BASES["post-tax"]}` : label;
+}